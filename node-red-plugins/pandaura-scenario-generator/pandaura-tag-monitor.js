@@ -8,7 +8,7 @@ module.exports = function(RED) {
     "use strict";
     
     const axios = require('axios');
-    const WebSocket = require('ws');
+    const { io } = require('socket.io-client');
 
     function PandauraTagMonitorNode(config) {
         RED.nodes.createNode(this, config);
@@ -20,10 +20,11 @@ module.exports = function(RED) {
         this.minValue = parseFloat(config.minValue) || 0;
         this.maxValue = parseFloat(config.maxValue) || 100;
         this.enableWebSocket = config.enableWebSocket || false;
+        this.simulationId = config.simulationId || '';
         
         const node = this;
         let pollTimer = null;
-        let ws = null;
+        let socket = null;
         
         node.status({ fill: "blue", shape: "dot", text: "ready" });
         
@@ -64,43 +65,70 @@ module.exports = function(RED) {
             }
         };
         
-        // WebSocket-based real-time monitoring
+        // Real-time monitoring: the simulator pushes the tag over socket.io whenever it changes
         node.startWebSocketMonitoring = function(tagName) {
-            try {
-                const wsUrl = `ws://${node.pandauraHost}/ws/simulator/tags`;
-                ws = new WebSocket(wsUrl);
-                
-                ws.on('open', () => {
-                    node.log(`WebSocket connected for tag: ${tagName}`);
-                    // Subscribe to specific tag
-                    ws.send(JSON.stringify({ action: 'subscribe', tag: tagName }));
-                });
-                
-                ws.on('message', (data) => {
-                    try {
-                        const tagData = JSON.parse(data);
-                        node.processTagValue(tagData.tag, tagData.value, tagData.timestamp);
-                    } catch (error) {
-                        node.warn(`Invalid WebSocket message: ${error.message}`);
+            const subscription = { variables: [tagName] };
+            if (node.simulationId) {
+                subscription.simulationId = node.simulationId;
+            }
+            
+            const current = io(`http://${node.pandauraHost}`, { reconnectionAttempts: 5 });
+            socket = current;
+            let connected = false;
+            
+            // Polling takes over when the server cannot be reached at all or socket.io gives up reconnecting
+            const fallBackToPolling = () => {
+                if (socket !== current) {
+                    return; // Monitoring was stopped or restarted meanwhile
+                }
+                node.warn('Real-time connection failed, falling back to polling');
+                socket = null;
+                current.close();
+                node.status({ fill: "green", shape: "dot", text: `monitoring ${tagName}` });
+                node.startPollingMonitoring(tagName);
+            };
+            
+            socket.on('connect', () => {
+                connected = true;
+                node.log(`Connected to PandaUra for tag: ${tagName}`);
+                // Subscribing again after a reconnect; the reply carries the current value
+                socket.emit('subscribe_variables', subscription, (reply) => {
+                    if (!reply || !reply.success) {
+                        node.error(`Subscription failed: ${reply ? reply.error : 'no reply'}`);
+                        node.status({ fill: "red", shape: "dot", text: "subscription failed" });
+                        return;
                     }
+                    reply.current.forEach(({ values }) => {
+                        if (tagName in values) {
+                            node.processTagValue(tagName, values[tagName], Date.now());
+                        }
+                    });
                 });
-                
-                ws.on('error', (error) => {
-                    node.error(`WebSocket error: ${error.message}`);
-                    node.status({ fill: "red", shape: "dot", text: "ws error" });
-                });
-                
-                ws.on('close', () => {
-                    node.log('WebSocket connection closed');
-                    if (ws) {
-                        node.status({ fill: "yellow", shape: "dot", text: "disconnected" });
-                    }
+            });
+            
+            socket.on('variables_changed', (event) => {
+                event.changes.forEach(change => {
+                    node.processTagValue(change.name, change.value, event.timestamp);
                 });
-                
-            } catch (error) {
-                node.error(`Failed to start WebSocket monitoring: ${error.message}`);
-                node.startPollingMonitoring(tagName); // Fallback to polling
-            }
+            });
+            
+            socket.on('connect_error', (error) => {
+                node.warn(`Connection error: ${error.message}`);
+                if (!connected) {
+                    fallBackToPolling();
+                    return;
+                }
+                node.status({ fill: "red", shape: "dot", text: "connection error" });
+            });
+            
+            socket.on('disconnect', () => {
+                node.log('PandaUra connection closed');
+                if (socket) {
+                    node.status({ fill: "yellow", shape: "dot", text: "disconnected" });
+                }
+            });
+            
+            socket.io.on('reconnect_failed', fallBackToPolling);
         };
         
         // HTTP polling-based monitoring
@@ -191,9 +219,10 @@ module.exports = function(RED) {
                 pollTimer = null;
             }
             
-            if (ws) {
-                ws.close();
-                ws = null;
+            if (socket) {
+                const closing = socket;
+                socket = null;
+                closing.close();
             }
             
             node.status({ fill: "blue", shape: "dot", text: "stopped" });
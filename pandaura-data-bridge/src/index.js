@@ -3,6 +3,15 @@
  * 
  * Enables real-time data sharing between PandaUra Shadow Runtime and external tools
  * Supports WebSocket, MQTT, and CSV file-based data exchange
+ *
+ * MQTT_MODE selects what is published to the broker:
+ *   json       plain JSON on pandaura/data/<variable> and pandaura/system/status (default)
+ *   sparkplug  Sparkplug B (see sparkplug.js), metrics derived from the backend tag list
+ *   both       both of the above
+ * To try Sparkplug B against a local broker:
+ *   mosquitto -p 1883 &
+ *   MQTT_BROKER=mqtt://localhost:1883 MQTT_MODE=sparkplug npm start
+ *   mosquitto_sub -t 'spBv1.0/#' -v
  */
 
 const express = require('express');
@@ -19,6 +28,11 @@ const CONFIG = {
     PORT: process.env.PORT || 3001,
     PANDAURA_HOST: process.env.PANDAURA_HOST || 'localhost:8000',
     MQTT_BROKER: process.env.MQTT_BROKER || 'disabled', // Disabled by default - optional feature
+    MQTT_MODE: process.env.MQTT_MODE || 'json', // json | sparkplug | both
+    SPARKPLUG_GROUP_ID: process.env.SPARKPLUG_GROUP_ID || 'PandaUra',
+    SPARKPLUG_EDGE_NODE_ID: process.env.SPARKPLUG_EDGE_NODE_ID || 'DataBridge',
+    SPARKPLUG_DEVICE_ID: process.env.SPARKPLUG_DEVICE_ID || 'ShadowRuntime',
+    SPARKPLUG_PROJECT_ID: process.env.SPARKPLUG_PROJECT_ID || null, // Only this project's tags become metrics
     CSV_OUTPUT_DIR: process.env.CSV_OUTPUT_DIR || './data/csv_exports',
     LOG_LEVEL: process.env.LOG_LEVEL || 'info',
     SYNC_INTERVAL: parseInt(process.env.SYNC_INTERVAL) || 1000
@@ -44,6 +58,7 @@ class DataBridgeService {
         this.wsServer = null;
         this.mqttClient = null;
         this.pandauraWs = null;
+        this.sparkplug = null;
         
         this.connectedClients = new Set();
         this.subscriptions = new Map(); // Variable subscriptions
@@ -51,6 +66,7 @@ class DataBridgeService {
         
         this.setupExpress();
         this.setupWebSocket();
+        this.setupSparkplug();
         this.setupMQTT();
         this.connectToPandaUra();
         
@@ -171,6 +187,27 @@ class DataBridgeService {
             }
         });
         
+        // Sparkplug B session state
+        this.app.get('/sparkplug', (req, res) => {
+            if (!this.sparkplug) {
+                return res.status(404).json({ error: 'Sparkplug B is not enabled (set MQTT_MODE=sparkplug or both)' });
+            }
+            res.json(this.sparkplug.getStatus());
+        });
+        
+        // Reload metrics from the tag list and publish NBIRTH/DBIRTH again
+        this.app.post('/sparkplug/rebirth', async (req, res) => {
+            if (!this.sparkplug) {
+                return res.status(404).json({ error: 'Sparkplug B is not enabled (set MQTT_MODE=sparkplug or both)' });
+            }
+            try {
+                await this.sparkplugRebirth();
+                res.json({ success: true, ...this.sparkplug.getStatus() });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
         // Manual reconnection endpoint for troubleshooting
         this.app.post('/reconnect', (req, res) => {
             const { service } = req.body;
@@ -185,6 +222,7 @@ class DataBridgeService {
                 
                 if (service === 'mqtt' || !service) {
                     if (this.mqttClient) {
+                        if (this.sparkplug) this.sparkplug.offline();
                         this.mqttClient.end();
                     }
                     setTimeout(() => this.setupMQTT(), 1000);
@@ -240,20 +278,39 @@ class DataBridgeService {
         }
         
         try {
-            this.mqttClient = mqtt.connect(CONFIG.MQTT_BROKER, {
+            const options = {
                 connectTimeout: 5000,
                 reconnectPeriod: 0 // Disable auto-reconnect to prevent spam
-            });
+            };
+            if (this.sparkplug) {
+                // The broker publishes NDEATH for us if the connection drops
+                options.will = this.sparkplug.will();
+            }
+            const client = mqtt.connect(CONFIG.MQTT_BROKER, options);
+            this.mqttClient = client;
             
-            this.mqttClient.on('connect', () => {
-                logger.info('Connected to MQTT broker');
+            client.on('connect', async () => {
+                logger.info(`Connected to MQTT broker (${CONFIG.MQTT_MODE} mode)`);
+                
+                if (CONFIG.MQTT_MODE !== 'sparkplug') {
+                    // Subscribe to command topics
+                    client.subscribe('pandaura/command/+');
+                    client.subscribe('pandaura/subscribe/+');
+                }
                 
-                // Subscribe to command topics
-                this.mqttClient.subscribe('pandaura/command/+');
-                this.mqttClient.subscribe('pandaura/subscribe/+');
+                if (this.sparkplug) {
+                    client.subscribe(this.sparkplug.commandTopics());
+                    await this.loadSparkplugMetrics();
+                    this.sparkplug.online(client, this.isPandaUraConnected());
+                }
             });
             
-            this.mqttClient.on('message', (topic, message) => {
+            client.on('message', (topic, message) => {
+                if (this.sparkplug && this.sparkplug.isCommandTopic(topic)) {
+                    this.sparkplug.handleCommand(topic, message);
+                    return;
+                }
+                
                 try {
                     const data = JSON.parse(message.toString());
                     this.handleMQTTMessage(topic, data);
@@ -276,6 +333,70 @@ class DataBridgeService {
         }
     }
     
+    setupSparkplug() {
+        if (CONFIG.MQTT_MODE !== 'sparkplug' && CONFIG.MQTT_MODE !== 'both') {
+            return;
+        }
+        
+        // Loaded only in Sparkplug modes, so the default JSON mode does not need sparkplug-payload
+        const { SparkplugEdgeNode } = require('./sparkplug');
+        this.sparkplug = new SparkplugEdgeNode({
+            groupId: CONFIG.SPARKPLUG_GROUP_ID,
+            edgeNodeId: CONFIG.SPARKPLUG_EDGE_NODE_ID,
+            deviceId: CONFIG.SPARKPLUG_DEVICE_ID,
+            onWrite: (variable, value) => this.setVariableValue(variable, value, 'sparkplug'),
+            onRebirth: () => {
+                this.sparkplugRebirth().catch(error => logger.error('Sparkplug rebirth failed:', error.message));
+            },
+            logger
+        });
+    }
+    
+    // Metric definitions come from the backend tag list; keeps the previous metrics if the backend is unreachable
+    async loadSparkplugMetrics() {
+        try {
+            const response = await axios.get(`http://${CONFIG.PANDAURA_HOST}/api/tags`, { timeout: 5000 });
+            const tags = response.data.filter(tag => !CONFIG.SPARKPLUG_PROJECT_ID || tag.projectId === CONFIG.SPARKPLUG_PROJECT_ID);
+            const count = this.sparkplug.setMetrics(tags);
+            logger.info(`Sparkplug metrics loaded from ${tags.length} tags: ${count} metrics`);
+            this.subscribeSparkplugMetrics();
+        } catch (error) {
+            logger.warn(`Could not load tags for Sparkplug metrics: ${error.message}`);
+        }
+    }
+    
+    async sparkplugRebirth() {
+        await this.loadSparkplugMetrics();
+        this.sparkplug.rebirth();
+    }
+    
+    subscribeSparkplugMetrics() {
+        if (this.sparkplug && this.sparkplug.metrics.size > 0 && this.isPandaUraConnected()) {
+            this.pandauraWs.send(JSON.stringify({
+                type: 'subscribe',
+                variables: Array.from(this.sparkplug.metrics.keys())
+            }));
+        }
+    }
+    
+    isPandaUraConnected() {
+        return Boolean(this.pandauraWs && this.pandauraWs.readyState === WebSocket.OPEN);
+    }
+    
+    // Stop receiving a variable nobody needs any more; Sparkplug metrics stay subscribed
+    unsubscribeFromPandaUra(variable) {
+        if (this.sparkplug && this.sparkplug.hasMetric(variable)) {
+            return;
+        }
+        
+        if (this.isPandaUraConnected()) {
+            this.pandauraWs.send(JSON.stringify({
+                type: 'unsubscribe',
+                variable
+            }));
+        }
+    }
+    
     connectToPandaUra() {
         // Try different WebSocket endpoints that might exist
         const possibleUrls = [
@@ -306,6 +427,20 @@ class DataBridgeService {
                     service: 'data-bridge',
                     capabilities: ['websocket', 'mqtt', 'csv']
                 }));
+                
+                // Variables clients subscribed to before the connection was up
+                this.subscriptions.forEach((clients, variable) => {
+                    this.pandauraWs.send(JSON.stringify({
+                        type: 'subscribe',
+                        variable
+                    }));
+                });
+                
+                // The Shadow Runtime is the Sparkplug device
+                if (this.sparkplug) {
+                    this.subscribeSparkplugMetrics();
+                    this.sparkplug.deviceBirth();
+                }
             });
             
             this.pandauraWs.on('message', (message) => {
@@ -324,6 +459,7 @@ class DataBridgeService {
             });
             
             this.pandauraWs.on('close', () => {
+                if (this.sparkplug) this.sparkplug.deviceDeath();
                 logger.info('PandaUra connection closed - running in standalone mode');
                 // Don't auto-reconnect to avoid spam - let manual reconnect handle it
             });
@@ -419,12 +555,7 @@ class DataBridgeService {
                     this.subscriptions.delete(variable);
                     
                     // Unsubscribe from PandaUra
-                    if (this.pandauraWs && this.pandauraWs.readyState === WebSocket.OPEN) {
-                        this.pandauraWs.send(JSON.stringify({
-                            type: 'unsubscribe',
-                            variable
-                        }));
-                    }
+                    this.unsubscribeFromPandaUra(variable);
                 }
             }
         });
@@ -444,12 +575,7 @@ class DataBridgeService {
                 this.subscriptions.delete(variable);
                 
                 // Unsubscribe from PandaUra
-                if (this.pandauraWs && this.pandauraWs.readyState === WebSocket.OPEN) {
-                    this.pandauraWs.send(JSON.stringify({
-                        type: 'unsubscribe',
-                        variable
-                    }));
-                }
+                this.unsubscribeFromPandaUra(variable);
             }
         });
     }
@@ -472,10 +598,15 @@ class DataBridgeService {
         }
         
         // Publish to MQTT
-        if (this.mqttClient && this.mqttClient.connected) {
+        if (this.mqttClient && this.mqttClient.connected && CONFIG.MQTT_MODE !== 'sparkplug') {
             this.mqttClient.publish(`pandaura/data/${variable}`, JSON.stringify(message));
         }
         
+        // Sparkplug B DDATA (only for variables that are metrics)
+        if (this.sparkplug) {
+            this.sparkplug.update(variable, value, message.timestamp);
+        }
+        
         // Write to active CSV exports
         this.csvWriters.forEach((writer, filename) => {
             if (writer.variables.includes(variable)) {
@@ -503,7 +634,7 @@ class DataBridgeService {
         });
         
         // Publish to MQTT
-        if (this.mqttClient && this.mqttClient.connected) {
+        if (this.mqttClient && this.mqttClient.connected && CONFIG.MQTT_MODE !== 'sparkplug') {
             this.mqttClient.publish('pandaura/system/status', JSON.stringify(message));
         }
     }
@@ -617,6 +748,7 @@ class DataBridgeService {
         }
         
         if (this.mqttClient) {
+            if (this.sparkplug) this.sparkplug.offline();
             this.mqttClient.end();
         }
         
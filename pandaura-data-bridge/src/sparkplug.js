@@ -0,0 +1,296 @@
+/**
+ * Sparkplug B edge node for the Data Bridge
+ *
+ * Publishes the PandaUra Shadow Runtime as one Sparkplug B device under an edge node:
+ *   spBv1.0/<group>/NBIRTH/<node>            on connect and rebirth: bdSeq and Node Control/Rebirth
+ *   spBv1.0/<group>/DBIRTH/<node>/<device>   one metric per backend tag, with alias, datatype and last known value
+ *   spBv1.0/<group>/DDATA/<node>/<device>    changed metrics by alias, batched per update burst
+ *   spBv1.0/<group>/DDEATH/<node>/<device>   when the Shadow Runtime connection closes
+ *   spBv1.0/<group>/NDEATH/<node>            MQTT will, and published on a clean shutdown
+ * Every message except NDEATH carries seq 0..255 (reset by NBIRTH); NBIRTH and NDEATH carry the same bdSeq.
+ * Commands: NCMD Node Control/Rebirth, and DCMD metric writes (by name or alias) for tags that are not read-only.
+ */
+
+const sparkplugPayload = require('sparkplug-payload').get('spBv1.0');
+
+const NAMESPACE = 'spBv1.0';
+const REBIRTH_METRIC = 'Node Control/Rebirth';
+
+// PLC data types -> Sparkplug B metric datatypes; anything else is published as a String
+const DATA_TYPES = {
+    BOOL: 'Boolean',
+    SINT: 'Int8', USINT: 'UInt8', BYTE: 'UInt8',
+    INT: 'Int16', UINT: 'UInt16', WORD: 'UInt16',
+    DINT: 'Int32', UDINT: 'UInt32', DWORD: 'UInt32',
+    LINT: 'Int64', ULINT: 'UInt64', LWORD: 'UInt64',
+    REAL: 'Float', LREAL: 'Double',
+    TIME: 'Int32',
+    STRING: 'String'
+};
+
+function metricType(tagType) {
+    return DATA_TYPES[String(tagType || '').toUpperCase()] || 'String';
+}
+
+// Values from the runtime (and the demo generator) may arrive as strings
+function coerce(type, value) {
+    if (value === null || value === undefined) return null;
+    if (type === 'Boolean') {
+        if (typeof value === 'string') return ['true', '1'].includes(value.trim().toLowerCase());
+        return Boolean(value);
+    }
+    if (type === 'String') return typeof value === 'string' ? value : JSON.stringify(value);
+    const number = Number(value);
+    if (!Number.isFinite(number)) return null;
+    return type === 'Float' || type === 'Double' ? number : Math.trunc(number);
+}
+
+// Decoded 64-bit values are Long objects
+function plainValue(value) {
+    return value && typeof value === 'object' && typeof value.toNumber === 'function' ? value.toNumber() : value;
+}
+
+class SparkplugEdgeNode {
+    /**
+     * @param {Object} options
+     * @param {string} options.groupId
+     * @param {string} options.edgeNodeId
+     * @param {string} options.deviceId
+     * @param {Function} options.onWrite - (variable, value) for DCMD writes
+     * @param {Function} options.onRebirth - Called for an NCMD rebirth request; should reload metrics and call rebirth()
+     * @param {Object} options.logger
+     */
+    constructor({ groupId, edgeNodeId, deviceId, onWrite, onRebirth, logger }) {
+        this.groupId = groupId;
+        this.edgeNodeId = edgeNodeId;
+        this.deviceId = deviceId;
+        this.onWrite = onWrite;
+        this.onRebirth = onRebirth;
+        this.logger = logger;
+
+        this.client = null;
+        this.bdSeq = -1;
+        this.seq = 0;
+        this.deviceOnline = false;
+        this.metrics = new Map(); // name -> { name, alias, type, readOnly }
+        this.values = new Map(); // name -> last published value
+        this.pending = new Map(); // name -> { value, timestamp } waiting for the next DDATA
+        this.flushScheduled = false;
+        this.stats = { births: 0, data: 0, commands: 0 };
+    }
+
+    topic(type, device = false) {
+        const base = `${NAMESPACE}/${this.groupId}/${type}/${this.edgeNodeId}`;
+        return device ? `${base}/${this.deviceId}` : base;
+    }
+
+    commandTopics() {
+        return [this.topic('NCMD'), this.topic('DCMD', true)];
+    }
+
+    isCommandTopic(topic) {
+        return this.commandTopics().includes(topic);
+    }
+
+    nextSeq() {
+        const seq = this.seq;
+        this.seq = (this.seq + 1) % 256;
+        return seq;
+    }
+
+    deathPayload() {
+        return sparkplugPayload.encodePayload({
+            timestamp: Date.now(),
+            metrics: [{ name: 'bdSeq', type: 'UInt64', value: this.bdSeq }]
+        });
+    }
+
+    /**
+     * MQTT will for a new connection: an NDEATH with the next bdSeq, which the NBIRTH of that connection repeats
+     */
+    will() {
+        this.bdSeq = (this.bdSeq + 1) % 256;
+        return {
+            topic: this.topic('NDEATH'),
+            payload: this.deathPayload(),
+            qos: 1,
+            retain: false
+        };
+    }
+
+    /**
+     * Metric definitions from the backend tag list. UDT tags are not published: the runtime does not stream structs.
+     * @returns {number} Number of metrics
+     */
+    setMetrics(tags) {
+        this.metrics = new Map();
+        tags.filter(tag => tag.name && !tag.udtType).forEach(tag => {
+            if (this.metrics.has(tag.name)) return;
+            this.metrics.set(tag.name, {
+                name: tag.name,
+                alias: this.metrics.size + 1,
+                type: metricType(tag.type),
+                readOnly: Boolean(tag.readOnly)
+            });
+        });
+        return this.metrics.size;
+    }
+
+    hasMetric(name) {
+        return this.metrics.has(name);
+    }
+
+    publish(topic, payload) {
+        if (!this.client || !this.client.connected) return false;
+        this.client.publish(topic, sparkplugPayload.encodePayload(payload), { qos: 0 });
+        return true;
+    }
+
+    /**
+     * Start a session on a connected client: NBIRTH, then DBIRTH when the Shadow Runtime is connected
+     */
+    online(client, deviceOnline) {
+        this.client = client;
+        this.deviceOnline = deviceOnline;
+        this.rebirth();
+    }
+
+    rebirth() {
+        this.seq = 0;
+        this.pending.clear();
+        const timestamp = Date.now();
+        this.publish(this.topic('NBIRTH'), {
+            timestamp,
+            seq: this.nextSeq(),
+            metrics: [
+                { name: 'bdSeq', type: 'UInt64', value: this.bdSeq, timestamp },
+                { name: REBIRTH_METRIC, type: 'Boolean', value: false, timestamp }
+            ]
+        });
+        this.stats.births++;
+        if (this.deviceOnline) this.deviceBirth();
+    }
+
+    deviceBirth() {
+        this.deviceOnline = true;
+        this.pending.clear();
+        const timestamp = Date.now();
+        const metrics = Array.from(this.metrics.values()).map(metric => {
+            const definition = {
+                name: metric.name,
+                alias: metric.alias,
+                type: metric.type,
+                timestamp,
+                properties: {
+                    readOnly: { type: 'Boolean', value: metric.readOnly }
+                }
+            };
+            if (this.values.has(metric.name)) {
+                definition.value = this.values.get(metric.name);
+            } else {
+                // A birth metric needs a value or is_null; sparkplug-payload sets is_null on the wire for value null
+                definition.isNull = true;
+                definition.value = null;
+            }
+            return definition;
+        });
+        if (this.publish(this.topic('DBIRTH', true), { timestamp, seq: this.nextSeq(), metrics })) {
+            this.logger.info(`Sparkplug DBIRTH published with ${metrics.length} metrics`);
+        }
+    }
+
+    deviceDeath() {
+        if (!this.deviceOnline) return;
+        this.deviceOnline = false;
+        this.pending.clear();
+        this.publish(this.topic('DDEATH', true), { timestamp: Date.now(), seq: this.nextSeq() });
+    }
+
+    /**
+     * Queue a changed value; changes arriving together (a bulk update) go out as one DDATA
+     */
+    update(name, value, timestamp) {
+        const metric = this.metrics.get(name);
+        if (!metric) return;
+        const coerced = coerce(metric.type, value);
+        if (coerced === null || this.values.get(name) === coerced) return;
+        this.values.set(name, coerced);
+        if (!this.deviceOnline) return;
+
+        this.pending.set(name, { value: coerced, timestamp: timestamp || Date.now() });
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            setImmediate(() => this.flush());
+        }
+    }
+
+    flush() {
+        this.flushScheduled = false;
+        if (this.pending.size === 0 || !this.deviceOnline) return;
+        const metrics = Array.from(this.pending.entries()).map(([name, { value, timestamp }]) => {
+            const metric = this.metrics.get(name);
+            return { alias: metric.alias, type: metric.type, value, timestamp };
+        });
+        this.pending.clear();
+        if (this.publish(this.topic('DDATA', true), { timestamp: Date.now(), seq: this.nextSeq(), metrics })) {
+            this.stats.data++;
+        }
+    }
+
+    /**
+     * NDEATH for a clean disconnect (the broker only sends the will when the connection drops)
+     */
+    offline() {
+        if (this.client && this.client.connected) {
+            this.client.publish(this.topic('NDEATH'), this.deathPayload(), { qos: 1 });
+        }
+        this.client = null;
+        this.deviceOnline = false;
+    }
+
+    handleCommand(topic, message) {
+        let payload;
+        try {
+            payload = sparkplugPayload.decodePayload(message);
+        } catch (error) {
+            this.logger.warn(`Invalid Sparkplug payload on ${topic}: ${error.message}`);
+            return;
+        }
+        this.stats.commands++;
+        const byAlias = new Map(Array.from(this.metrics.values()).map(metric => [metric.alias, metric]));
+
+        for (const received of payload.metrics || []) {
+            const value = plainValue(received.value);
+            if (topic === this.topic('NCMD')) {
+                if (received.name === REBIRTH_METRIC && value) this.onRebirth();
+                else this.logger.warn(`Unsupported Sparkplug node command ${received.name}`);
+                continue;
+            }
+
+            const metric = received.name ? this.metrics.get(received.name) : byAlias.get(plainValue(received.alias));
+            if (!metric) {
+                this.logger.warn(`Sparkplug DCMD for unknown metric ${received.name || `alias ${plainValue(received.alias)}`}`);
+            } else if (metric.readOnly) {
+                this.logger.warn(`Sparkplug DCMD rejected: ${metric.name} is read-only`);
+            } else {
+                this.onWrite(metric.name, coerce(metric.type, value));
+            }
+        }
+    }
+
+    getStatus() {
+        return {
+            groupId: this.groupId,
+            edgeNodeId: this.edgeNodeId,
+            deviceId: this.deviceId,
+            connected: Boolean(this.client && this.client.connected),
+            deviceOnline: this.deviceOnline,
+            bdSeq: this.bdSeq,
+            seq: this.seq,
+            metrics: this.metrics.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = { SparkplugEdgeNode, metricType };
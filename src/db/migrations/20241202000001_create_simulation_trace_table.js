@@ -0,0 +1,30 @@
+/**
+ * Simulation Trace Migration
+ * Creates simulation_trace: per-cycle trace entries spilled by the simulator once its
+ * in-memory trace buffer is full (see src/simulator/trace.js)
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('simulation_trace', (table) => {
+      table.increments('id').primary();
+      table.string('run_id').notNullable(); // One recording: a simulator start or reset
+      table.integer('cycle').notNullable();
+      table.bigInteger('time_ms').notNullable(); // Runtime clock after the cycle
+      table.text('delta_json').notNullable(); // Changes since the previous cycle
+      table.text('keyframe_json').nullable(); // Full state after the cycle, on every Nth row
+
+      table.index(['run_id', 'cycle']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('simulation_trace');
+};
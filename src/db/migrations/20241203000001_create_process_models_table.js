@@ -0,0 +1,33 @@
+/**
+ * Process Models Migration
+ * Creates process_models: the plant blocks (see src/simulator/processModels.js) a project wires
+ * to its tags for simulation
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('process_models', (table) => {
+      table.string('id').primary();
+      table.string('project_id').notNullable();
+      table.string('name').notNullable();
+      table.string('type').notNullable(); // Block type, e.g. integrating_tank
+      table.text('params_json').notNullable(); // Tag wiring and block parameters
+      table.boolean('enabled').notNullable().defaultTo(true);
+      table.integer('sort_order').notNullable().defaultTo(0); // Blocks run in this order every scan
+      table.timestamps(true, true);
+
+      table.foreign('project_id').references('projects.id').onDelete('CASCADE');
+      table.index(['project_id', 'sort_order']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('process_models');
+};
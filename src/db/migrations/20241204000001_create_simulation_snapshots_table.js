@@ -0,0 +1,37 @@
+/**
+ * Simulation Snapshots Migration
+ * Creates simulation_snapshots: saved simulator states (logic, variables, FB internals, faults, clock)
+ * that can be restored later, optionally attached to a project version
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('simulation_snapshots', (table) => {
+      table.string('id').primary();
+      table.string('project_id').nullable(); // Null for logic run outside a project
+      table.string('version_id').nullable(); // Version the snapshot reproduces a state of
+      table.string('name').notNullable();
+      table.text('description');
+      table.string('created_by');
+      table.integer('cycle').notNullable();
+      table.bigInteger('time_ms').notNullable(); // Runtime clock when captured
+      table.text('snapshot_json').notNullable(); // See SimulatorEngine.captureSnapshot
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.foreign('project_id').references('projects.id').onDelete('CASCADE');
+      table.foreign('version_id').references('versions.id').onDelete('SET NULL');
+      table.index(['project_id', 'created_at']);
+      table.index(['version_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('simulation_snapshots');
+};
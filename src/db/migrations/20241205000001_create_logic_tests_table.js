@@ -0,0 +1,35 @@
+/**
+ * Logic Tests Migration
+ * Creates logic_tests: unit test cases for a logic file (see src/interpreter/st_test.js),
+ * run headless by POST /api/logic/:id/test
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('logic_tests', (table) => {
+      table.string('id').primary();
+      table.string('logic_file_id').notNullable();
+      table.string('name').notNullable();
+      table.text('description');
+      table.integer('cycle_time_ms').notNullable().defaultTo(10); // Simulated time per scan cycle
+      table.text('initial_values_json'); // Variable values before the first step
+      table.text('steps_json').notNullable(); // set / run / assert steps
+      table.boolean('enabled').notNullable().defaultTo(true);
+      table.integer('sort_order').notNullable().defaultTo(0);
+      table.timestamps(true, true);
+
+      table.foreign('logic_file_id').references('logic_files.id').onDelete('CASCADE');
+      table.index(['logic_file_id', 'sort_order']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('logic_tests');
+};
@@ -0,0 +1,25 @@
+// clock.js
+// Time sources for the ST runtime. Timers, NOW_MS and task scheduling read clock.now() (ms);
+// a clock that has tick() is advanced by the runtime once at the end of every cycle.
+
+// Wall-clock time, the default
+class SystemClock {
+  now(){ return Date.now(); }
+}
+
+// Deterministic time that only moves when ticked or advanced, so timer logic gives the same
+// result on every run and process time is independent of how fast the host executes scans
+class VirtualClock {
+  constructor({ start = 0, step = 10 } = {}){
+    this.start = start;
+    this.step = step; // ms added per scan cycle
+    this.time = start;
+  }
+  now(){ return this.time; }
+  tick(){ this.time += this.step; return this.time; }
+  advance(ms){ this.time += ms; return this.time; }
+  set(ms){ this.time = ms; return this.time; } // e.g. when the simulator rewinds to a recorded cycle
+  reset(){ this.time = this.start; }
+}
+
+module.exports = { SystemClock, VirtualClock };
@@ -1,12 +1,22 @@
 // st_interpreter.js
 // Full-featured ST interpreter for Node.js
-// Supports: dynamic VAR detection, timers in ms, FB instances, arrays, assignments, expressions, IF/WHILE/FOR
+// Supports: dynamic VAR detection, timers in ms, FB instances, arrays, assignments, expressions,
+// IF/WHILE/FOR/REPEAT/CASE, EXIT/CONTINUE/RETURN, enums, user FUNCTIONs and FUNCTION_BLOCKs,
+// multi-file projects with VAR_GLOBAL and several PROGRAMs scheduled by a task list,
+// IEC elementary types (SINT..LWORD, LREAL, TIME, DATE, TOD, DT, WSTRING) with PLC wrap-around,
+// bitwise AND/OR/XOR/NOT, SHL/SHR/ROL/ROR and bit access (Word.5), STRUCTs and project UDTs,
+// IEC standard functions (math, selection, strings, X_TO_Y conversions),
+// statement line/column positions with breakpoints and single-statement stepping
+
+const { SystemClock } = require('./clock');
 
 class Token {
-  constructor(type, value, pos) {
+  constructor(type, value, pos, line, col) {
     this.type = type;
     this.value = value;
     this.pos = pos;
+    this.line = line; // 1-based source line
+    this.col = col; // 1-based column of the first character
   }
 }
 
@@ -15,10 +25,16 @@ class Tokenizer {
     this.input = input;
     this.pos = 0;
     this.tokens = [];
+    this.line = 1;
+    this.lineScan = 0;
+    this.lineStart = 0;
     this.keywords = new Set([
-      'VAR','END_VAR','IF','THEN','END_IF','ELSE','ELSIF',
+      'VAR','END_VAR','VAR_INPUT','VAR_OUTPUT','VAR_IN_OUT','VAR_TEMP','VAR_GLOBAL','VAR_EXTERNAL',
+      'IF','THEN','END_IF','ELSE','ELSIF',
       'WHILE','END_WHILE','FOR','END_FOR','TO','DO','EXIT',
-      'TRUE','FALSE','AND','OR','NOT','MOD','DIV','BY',
+      'CASE','END_CASE','TYPE','END_TYPE','STRUCT','END_STRUCT',
+      'REPEAT','UNTIL','END_REPEAT','CONTINUE','RETURN',
+      'TRUE','FALSE','AND','OR','XOR','NOT','MOD','DIV','BY',
       'STRING','REAL','INT','BOOL','ARRAY','OF',
       'TON','TOF','TP','R_TRIG','F_TRIG',
       'PROGRAM','END_PROGRAM','FUNCTION','END_FUNCTION',
@@ -61,47 +77,54 @@ class Tokenizer {
     return null;
   }
 
+  // 1-based line of a source offset; offsets only move forward while tokenizing
+  lineAt(offset){
+    while(this.lineScan < offset){
+      if(this.input[this.lineScan] === '\n'){ this.line++; this.lineStart = this.lineScan + 1; }
+      this.lineScan++;
+    }
+    return this.line;
+  }
+
   tokenize(){
     while(!this.eof()){
       this.skipWhitespace();
       if(this.eof()) break;
       const c = this.peek();
+      const line = this.lineAt(this.pos), col = this.pos - this.lineStart + 1;
+
+      // TIME/DATE/TOD/DT literals (checked before identifiers so T#5s is not read as IDENT T)
+      if(this.isAlpha(c)){
+        // matchRegex advances pos, so stop at the first literal that matches
+        let temporal = null;
+        for(const re of TEMPORAL_LITERALS){ temporal=this.matchRegex(re); if(temporal) break; }
+        if(temporal){
+          this.tokens.push(new Token('TIME', temporal, this.pos, line, col));
+          continue;
+        }
+      }
 
       // identifiers/keywords
       if(this.isAlpha(c)){
         const id = this.matchRegex(/^[A-Za-z_][A-Za-z0-9_]*/);
         const upper = id.toUpperCase();
         if(this.keywords.has(upper)){
-          this.tokens.push(new Token('KW', upper, this.pos));
+          this.tokens.push(new Token('KW', upper, this.pos, line, col));
         } else {
-          this.tokens.push(new Token('IDENT', id, this.pos));
+          this.tokens.push(new Token('IDENT', id, this.pos, line, col));
         }
         continue;
       }
 
-      // numbers
-      if(this.isDigit(c) || (c === '.' && this.isDigit(this.peek(1)))){
-        const num = this.matchRegex(/^[0-9]+(\.[0-9]+)?/);
-        this.tokens.push(new Token('NUMBER', num, this.pos));
+      // numbers (after an identifier or ']' a dot starts bit access, as in Word.5, not a fraction)
+      const prev = this.tokens[this.tokens.length - 1];
+      const afterOperand = prev && (prev.type === 'IDENT' || prev.type === ']');
+      if(this.isDigit(c) || (c === '.' && this.isDigit(this.peek(1)) && !afterOperand)){
+        const num = this.matchRegex(/^(?:(?:2|8|16)#[0-9A-Fa-f_]+|(?:[0-9][0-9_]*)?(?:\.[0-9][0-9_]*)?(?:[eE][+-]?[0-9]+)?)/);
+        this.tokens.push(new Token('NUMBER', num, this.pos, line, col));
         continue;
       }
 
-      // time literals
-      if((c === 'T' || c === 't') && this.peek(1) === '#'){
-        const timeLit = this.matchRegex(/^[Tt]#[0-9]+(\.[0-9]+)?(ms|s|m|h|d)?/i);
-        if(timeLit){
-          this.tokens.push(new Token('TIME', timeLit, this.pos));
-          continue;
-        }
-      }
-      if(this.input.slice(this.pos, this.pos + 5).toUpperCase() === 'TIME#'){
-        const timeLit = this.matchRegex(/^TIME#[0-9]+(\.[0-9]+)?(ms|s|m|h|d)?/i);
-        if(timeLit){
-          this.tokens.push(new Token('TIME', timeLit, this.pos));
-          continue;
-        }
-      }
-
       // strings
       if(c === '"' || c === "'"){
         const q = this.next();
@@ -111,31 +134,341 @@ class Tokenizer {
           else str += this.next();
         }
         if(this.peek() === q) this.next();
-        this.tokens.push(new Token('STRING', str, this.pos));
+        this.tokens.push(new Token('STRING', str, this.pos, line, col));
         continue;
       }
 
       // operators
       const two = c + this.peek(1);
-      if([':=','<=','>=','<>','!='].includes(two)){
+      if([':=','=>','<=','>=','<>','!=','..'].includes(two)){
         this.next(); this.next();
-        this.tokens.push(new Token('OP', two, this.pos));
+        this.tokens.push(new Token('OP', two, this.pos, line, col));
         continue;
       }
 
       // single char
       const single = this.next();
-      if('+-*/%=()[];,.:<>'.includes(single)){
-        this.tokens.push(new Token(single, single, this.pos));
+      if('+-*/%=()[];,.:<>#&'.includes(single)){
+        this.tokens.push(new Token(single, single, this.pos, line, col));
         continue;
       }
     }
 
-    this.tokens.push(new Token('EOF', null, this.pos));
+    this.tokens.push(new Token('EOF', null, this.pos, this.lineAt(this.pos), this.pos - this.lineStart + 1));
     return this.tokens;
   }
 }
 
+// Upper bound on iterations of a single WHILE/REPEAT loop within one scan
+const MAX_LOOP_ITERATIONS = 100000;
+
+// Control-flow signals returned by Runtime.execBlock to unwind loops and POU bodies
+const Signal = {
+  EXIT: Symbol('EXIT'),
+  CONTINUE: Symbol('CONTINUE'),
+  RETURN: Symbol('RETURN')
+};
+
+// Nesting limit for FUNCTION/FUNCTION_BLOCK calls, catches unbounded recursion
+const MAX_CALL_DEPTH = 256;
+
+// How a halted scan is resumed (see Runtime.resumeCycle)
+const STEP_MODES = ['continue','into','over','out'];
+
+const VAR_SECTIONS = ['VAR','VAR_INPUT','VAR_OUTPUT','VAR_IN_OUT','VAR_TEMP','VAR_EXTERNAL'];
+// IEC 61131-3 standard function blocks: input order (for positional calls) and output defaults of a fresh instance
+const STANDARD_FBS = {
+  TON:    { inputs:['IN','PT'], outputs:{ Q:false, ET:0 } },
+  TOF:    { inputs:['IN','PT'], outputs:{ Q:false, ET:0 } },
+  TP:     { inputs:['IN','PT'], outputs:{ Q:false, ET:0 } },
+  R_TRIG: { inputs:['CLK'], outputs:{ Q:false } },
+  F_TRIG: { inputs:['CLK'], outputs:{ Q:false } },
+  CTU:    { inputs:['CU','R','PV'], outputs:{ Q:false, CV:0 } },
+  CTD:    { inputs:['CD','LD','PV'], outputs:{ Q:false, CV:0 } },
+  CTUD:   { inputs:['CU','CD','R','LD','PV'], outputs:{ QU:false, QD:false, CV:0 } },
+  SR:     { inputs:['S1','R'], outputs:{ Q1:false } },
+  RS:     { inputs:['S','R1'], outputs:{ Q1:false } }
+};
+
+// Counter value limits (CV is an INT in the standard counters)
+const COUNTER_MAX = 32767;
+const COUNTER_MIN = -32768;
+
+// IEC 61131-3 elementary types. Integers and bit strings wrap like two's-complement registers of the given width
+// (64-bit types are exact up to 2^53). TIME is a signed duration in ms, DATE and DT are ms since 1970-01-01 UTC,
+// TOD is ms since midnight.
+const ELEMENTARY_TYPES = {
+  BOOL:  { kind:'bool' },
+  SINT:  { kind:'int', bits:8,  signed:true },
+  INT:   { kind:'int', bits:16, signed:true },
+  DINT:  { kind:'int', bits:32, signed:true },
+  LINT:  { kind:'int', bits:64, signed:true },
+  USINT: { kind:'int', bits:8,  signed:false },
+  UINT:  { kind:'int', bits:16, signed:false },
+  UDINT: { kind:'int', bits:32, signed:false },
+  ULINT: { kind:'int', bits:64, signed:false },
+  BYTE:  { kind:'bits', bits:8,  signed:false },
+  WORD:  { kind:'bits', bits:16, signed:false },
+  DWORD: { kind:'bits', bits:32, signed:false },
+  LWORD: { kind:'bits', bits:64, signed:false },
+  REAL:  { kind:'real', bits:32 },
+  LREAL: { kind:'real', bits:64 },
+  TIME:  { kind:'time' },
+  LTIME: { kind:'time' },
+  DATE:  { kind:'date' },
+  TOD:   { kind:'tod' },
+  TIME_OF_DAY:   { kind:'tod' },
+  DT:    { kind:'dt' },
+  DATE_AND_TIME: { kind:'dt' },
+  STRING:  { kind:'string' },
+  WSTRING: { kind:'string' }
+};
+
+const MS_PER_DAY = 86400000;
+const REAL_MAX = 3.4028234663852886e38; // largest finite 32-bit float
+const TIME_UNITS_MS = { d:MS_PER_DAY, h:3600000, m:60000, s:1000, ms:1, us:0.001, ns:0.000001 };
+
+// Keeps the most recent wrap-around events until the host drains them
+const MAX_OVERFLOW_EVENTS = 1000;
+
+const TEMPORAL_LITERALS = [
+  /^(?:DT|DATE_AND_TIME)#\d{4}-\d{1,2}-\d{1,2}-\d{1,2}:\d{1,2}(?::\d{1,2}(?:\.\d+)?)?/i,
+  /^(?:D|DATE)#\d{4}-\d{1,2}-\d{1,2}/i,
+  /^(?:TOD|TIME_OF_DAY)#\d{1,2}:\d{1,2}(?::\d{1,2}(?:\.\d+)?)?/i,
+  /^(?:T|TIME|LTIME)#-?(?:(?:\d+(?:\.\d+)?(?:ms|us|ns|d|h|m|s)_?)+|\d+(?:\.\d+)?)/i
+];
+
+function timeOfDayMs(text){
+  const [h,m,s]=text.split(':').map(Number);
+  return h*3600000+m*60000+(s||0)*1000;
+}
+
+// T#1h30m, TIME#-2.5s (a bare T#5 counts seconds), D#2024-01-15, TOD#12:30:00, DT#2024-01-15-12:30:00
+function parseTemporalLiteral(text){
+  const hash=text.indexOf('#'); const prefix=text.slice(0,hash).toUpperCase(); const body=text.slice(hash+1);
+  if(prefix==='DT'||prefix==='DATE_AND_TIME'){ const m=body.match(/^(\d+)-(\d+)-(\d+)-(.+)$/); return { valueType:'DT', value:Date.UTC(+m[1],m[2]-1,+m[3])+timeOfDayMs(m[4]) }; }
+  if(prefix==='D'||prefix==='DATE'){ const [y,mo,d]=body.split('-').map(Number); return { valueType:'DATE', value:Date.UTC(y,mo-1,d) }; }
+  if(prefix==='TOD'||prefix==='TIME_OF_DAY') return { valueType:'TOD', value:timeOfDayMs(body) };
+  const sign=body.startsWith('-') ? -1 : 1;
+  let ms=0;
+  for(const c of body.replace(/^-/,'').matchAll(/(\d+(?:\.\d+)?)(ms|us|ns|d|h|m|s)?/gi)) ms+=parseFloat(c[1])*TIME_UNITS_MS[(c[2]||'s').toLowerCase()];
+  return { valueType:'TIME', value:sign*ms };
+}
+
+// 42, 1_000, 3.5E2 and based literals 2#1010, 8#17, 16#FF
+function parseNumberLiteral(text){
+  const clean=text.replace(/_/g,'');
+  const based=clean.match(/^(\d+)#(.+)$/);
+  if(based) return { value:parseInt(based[2],Number(based[1])), real:false };
+  return { value:parseFloat(clean), real:/[.eE]/.test(clean) };
+}
+
+function elementaryInfo(type){ return typeof type==='string' ? ELEMENTARY_TYPES[type.toUpperCase()] || null : null; }
+function isIntegerType(type){ const info=elementaryInfo(type); return !!info && (info.kind==='int'||info.kind==='bits'); }
+
+function wrapInteger(v,bits,signed){
+  // 2^63 / 2^64 is what the 64-bit maximum rounds to as a JS number, so it stands for the maximum rather than wrapping
+  if(bits>=64){ if(v===(signed ? 2**63 : 2**64)) return v; const b=BigInt(v); return Number(signed ? BigInt.asIntN(64,b) : BigInt.asUintN(64,b)); }
+  const range=2**bits; const u=((v%range)+range)%range;
+  return signed && u>=range/2 ? u-range : u;
+}
+
+// Bitwise AND/OR/XOR on integers of any width up to 64 bits (JS bit operators truncate to 32)
+function bitwise(op,a,b){
+  const x=BigInt(toInteger(a)); const y=BigInt(toInteger(b));
+  const r=op==='AND' ? x&y : op==='OR' ? x|y : x^y;
+  return Number(r);
+}
+
+// SHL/SHR/ROL/ROR on an unsigned value of the given width
+function shiftRotate(fn,value,n,bits){
+  const width=BigInt(bits); const mask=(1n<<width)-1n;
+  const x=BigInt.asUintN(bits,BigInt(toInteger(value)));
+  let count=BigInt(Math.max(0,toInteger(n)));
+  if(fn==='ROL'||fn==='ROR') count%=width;
+  switch(fn){
+    case'SHL': return Number((x<<count)&mask);
+    case'SHR': return Number(x>>count);
+    case'ROL': return Number(((x<<count)|(x>>((width-count)%width)))&mask);
+    case'ROR': return Number(((x>>count)|(x<<((width-count)%width)))&mask);
+  }
+}
+const SHIFT_FUNCTIONS = ['SHL','SHR','ROL','ROR'];
+// Width assumed for shift/rotate and bit access when the operand type is not known statically
+const DEFAULT_BIT_WIDTH = 32;
+
+// IEC 61131-3 standard functions. params: [name, class] checked against each argument, where class is
+// NUM (any number or duration), INT, REAL, BOOL, STRING, TIME or ANY; variadic functions repeat their last
+// parameter. returns: result class, or 'ARG' for the class of the value arguments (MIN, MAX, SEL, ...).
+// String positions are 1-based as in the standard.
+const STANDARD_FUNCTIONS = {
+  ABS:   { params:[['IN','NUM']], returns:'ARG', fn:Math.abs },
+  SQRT:  { params:[['IN','NUM']], returns:'REAL', fn:Math.sqrt },
+  LN:    { params:[['IN','NUM']], returns:'REAL', fn:Math.log },
+  LOG:   { params:[['IN','NUM']], returns:'REAL', fn:Math.log10 },
+  EXP:   { params:[['IN','NUM']], returns:'REAL', fn:Math.exp },
+  EXPT:  { params:[['IN1','NUM'],['IN2','NUM']], returns:'REAL', fn:Math.pow },
+  SIN:   { params:[['IN','NUM']], returns:'REAL', fn:Math.sin },
+  COS:   { params:[['IN','NUM']], returns:'REAL', fn:Math.cos },
+  TAN:   { params:[['IN','NUM']], returns:'REAL', fn:Math.tan },
+  ASIN:  { params:[['IN','NUM']], returns:'REAL', fn:Math.asin },
+  ACOS:  { params:[['IN','NUM']], returns:'REAL', fn:Math.acos },
+  ATAN:  { params:[['IN','NUM']], returns:'REAL', fn:Math.atan },
+  TRUNC: { params:[['IN','NUM']], returns:'INT', fn:Math.trunc },
+  MIN:   { params:[['IN','ANY'],['IN','ANY']], variadic:true, returns:'ARG', fn:(...ins)=>ins.reduce((m,v)=>v<m ? v : m) },
+  MAX:   { params:[['IN','ANY'],['IN','ANY']], variadic:true, returns:'ARG', fn:(...ins)=>ins.reduce((m,v)=>v>m ? v : m) },
+  LIMIT: { params:[['MN','ANY'],['IN','ANY'],['MX','ANY']], returns:'ARG', fn:(mn,v,mx)=>v<mn ? mn : v>mx ? mx : v },
+  SEL:   { params:[['G','BOOL'],['IN0','ANY'],['IN1','ANY']], returns:'ARG', fn:(g,in0,in1)=>g ? in1 : in0 },
+  MUX:   { params:[['K','INT'],['IN','ANY'],['IN','ANY']], variadic:true, returns:'ARG', fn:(k,...ins)=>{ if(k<0||k>=ins.length) throw new Error(`MUX selector ${k} out of range 0..${ins.length-1}`); return ins[k]; } },
+  LEN:   { params:[['IN','STRING']], returns:'INT', fn:str=>str.length },
+  LEFT:  { params:[['IN','STRING'],['L','INT']], returns:'STRING', fn:(str,l)=>str.slice(0,Math.max(0,l)) },
+  RIGHT: { params:[['IN','STRING'],['L','INT']], returns:'STRING', fn:(str,l)=>l>0 ? str.slice(-l) : '' },
+  MID:   { params:[['IN','STRING'],['L','INT'],['P','INT']], returns:'STRING', fn:(str,l,pos)=>str.substr(Math.max(1,pos)-1,Math.max(0,l)) },
+  CONCAT:  { params:[['IN','STRING'],['IN','STRING']], variadic:true, returns:'STRING', fn:(...ins)=>ins.join('') },
+  INSERT:  { params:[['IN1','STRING'],['IN2','STRING'],['P','INT']], returns:'STRING', fn:(s1,s2,pos)=>s1.slice(0,pos)+s2+s1.slice(pos) },
+  DELETE:  { params:[['IN','STRING'],['L','INT'],['P','INT']], returns:'STRING', fn:(str,l,pos)=>str.slice(0,pos-1)+str.slice(pos-1+l) },
+  FIND:    { params:[['IN1','STRING'],['IN2','STRING']], returns:'INT', fn:(s1,s2)=>s1.indexOf(s2)+1 },
+  REPLACE: { params:[['IN1','STRING'],['IN2','STRING'],['L','INT'],['P','INT']], returns:'STRING', fn:(s1,s2,l,pos)=>s1.slice(0,pos-1)+s2+s1.slice(pos-1+l) }
+};
+
+// Which argument classes satisfy a parameter class; integers are accepted where a REAL or duration is expected
+const CLASS_ACCEPTS = {
+  ANY:['BOOL','STRING','INT','REAL','TIME'], NUM:['INT','REAL','TIME'], INT:['INT'], REAL:['INT','REAL'],
+  TIME:['INT','TIME'], BOOL:['BOOL'], STRING:['STRING']
+};
+
+// Class of a declared type: BOOL, STRING, INT (integers, bit strings, enums), REAL, TIME (durations and dates),
+// OTHER (structs, arrays, FBs), or null when unknown
+function typeClass(type,enumTypes){
+  if(!type) return null;
+  if(typeof type==='object') return type.kind==='STRING' ? 'STRING' : 'OTHER';
+  if(enumTypes && type in enumTypes) return 'INT';
+  const info=elementaryInfo(type);
+  if(!info) return 'OTHER';
+  switch(info.kind){
+    case'bool': return 'BOOL';
+    case'string': return 'STRING';
+    case'int': case'bits': return 'INT';
+    case'real': return 'REAL';
+    default: return 'TIME';
+  }
+}
+function valueClass(v){ return typeof v==='boolean' ? 'BOOL' : typeof v==='string' ? 'STRING' : typeof v==='number' ? (Number.isInteger(v) ? 'INT' : 'REAL') : 'OTHER'; }
+// MIN/MAX/LIMIT/SEL/MUX need all value arguments from one family
+function classFamily(c){ return c==='INT'||c==='REAL'||c==='TIME' ? 'NUM' : c; }
+
+// X_TO_Y conversion names, e.g. REAL_TO_INT or TIME_TO_STRING
+function conversionTypes(name){
+  const m=name.match(/^([A-Z_]+?)_TO_([A-Z_]+)$/);
+  if(!m || !ELEMENTARY_TYPES[m[1]] || !ELEMENTARY_TYPES[m[2]]) return null;
+  return { from:m[1], to:m[2] };
+}
+
+function pad(n,width=2){ return String(n).padStart(width,'0'); }
+// Formats durations and dates the way they are written as literals (T#1h2m3s, D#2024-01-15, ...)
+function formatTemporal(kind,ms){
+  if(kind==='time'){
+    if(ms===0) return 'T#0ms';
+    let rest=Math.abs(ms); let out=ms<0 ? 'T#-' : 'T#';
+    for(const [unit,size] of [['d',MS_PER_DAY],['h',3600000],['m',60000],['s',1000]]){ const n=Math.floor(rest/size); if(n){ out+=`${n}${unit}`; rest-=n*size; } }
+    if(rest) out+=`${+rest.toFixed(3)}ms`;
+    return out;
+  }
+  const d=new Date(ms);
+  const date=`${d.getUTCFullYear()}-${pad(d.getUTCMonth()+1)}-${pad(d.getUTCDate())}`;
+  const time=`${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}${d.getUTCMilliseconds() ? `.${pad(d.getUTCMilliseconds(),3)}` : ''}`;
+  if(kind==='date') return `D#${date}`;
+  if(kind==='tod') return `TOD#${time}`;
+  return `DT#${date}-${time}`;
+}
+
+// Converts a value between elementary types. Numbers going to an integer type are rounded (half away from zero);
+// strings are parsed as ST literals.
+function convertValue(from,to,value){
+  const src=ELEMENTARY_TYPES[from]; const dst=ELEMENTARY_TYPES[to];
+  if(dst.kind==='string'){
+    if(src.kind==='bool') return value ? 'TRUE' : 'FALSE';
+    if(['time','date','tod','dt'].includes(src.kind)) return formatTemporal(src.kind,value);
+    return String(value);
+  }
+  if(src.kind==='string'){
+    const text=value.trim();
+    if(dst.kind==='bool') return /^(TRUE|1)$/i.test(text);
+    if(text.includes('#') && /^[A-Z_]+#/i.test(text)) value=parseTemporalLiteral(text).value;
+    else { const lit=parseNumberLiteral(text||'0'); value=lit.value; }
+    if(Number.isNaN(value)) throw new Error(`Cannot convert '${text}' to ${to}`);
+  }
+  if(dst.kind==='bool') return !!value;
+  if((dst.kind==='int'||dst.kind==='bits') && typeof value==='number' && !Number.isInteger(value)) value=Math.sign(value)*Math.round(Math.abs(value));
+  return convertElementary(dst,value).value;
+}
+
+// Visits every node with a type in a statement list or expression tree
+function walkAst(node,visit){
+  if(Array.isArray(node)){ for(const n of node) walkAst(n,visit); return; }
+  if(!node || typeof node!=='object') return;
+  if(typeof node.type==='string') visit(node);
+  for(const key of Object.keys(node)) if(node[key] && typeof node[key]==='object') walkAst(node[key],visit);
+}
+
+// Deep comparison for watchpoints; structs and arrays change when any element does
+function valueChanged(a,b){
+  if(a && b && typeof a==='object' && typeof b==='object') return JSON.stringify(a)!==JSON.stringify(b);
+  return a!==b;
+}
+
+function cloneValue(v){
+  if(Array.isArray(v)) return v.map(cloneValue);
+  if(v && typeof v==='object'){ const o={}; for(const k of Object.keys(v)) o[k]=cloneValue(v[k]); return o; }
+  return v;
+}
+
+// Project UDT from the tag database -> STRUCT declaration. UDT members are
+// { name, type, udtType, arraySize, defaultValue }; type 'UDT' refers to another UDT by udtType.
+function structFromUdt(udt){
+  const members=typeof udt.members==='string' ? JSON.parse(udt.members) : (udt.members||[]);
+  return {
+    kind:'STRUCT', name:udt.name,
+    members:members.map(m=>{
+      let type=String(m.type||'').toUpperCase()==='UDT' && m.udtType ? m.udtType : m.type;
+      if(Number(m.arraySize)>0) type={ kind:'ARRAY', low:0, high:Number(m.arraySize)-1, base:type };
+      return { name:m.name, type, init:null, defaultValue:m.defaultValue };
+    })
+  };
+}
+
+// UDT default values are stored as entered in the tag editor, often as strings ('TRUE', '12.5')
+function parseDefaultValue(v){
+  if(typeof v!=='string') return v;
+  const t=v.trim();
+  if(/^(true|false)$/i.test(t)) return t.toLowerCase()==='true';
+  if(t!=='' && !isNaN(Number(t))) return Number(t);
+  return v;
+}
+
+function toInteger(val){
+  if(typeof val==='boolean') return val ? 1 : 0;
+  const n=Math.trunc(Number(val));
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Converts a value to an elementary type. Returns the converted value and, for integer types, the unwrapped
+// integer so callers can tell whether the conversion overflowed.
+function convertElementary(info,val){
+  switch(info.kind){
+    case'bool': return { value:!!val };
+    case'int': case'bits': { const raw=toInteger(val); return { value:wrapInteger(raw,info.bits,info.signed), raw }; }
+    // REAL keeps the double so it still equals the literals it was assigned from; only its range is single precision
+    case'real': { const n=Number(val)||0; return { value:info.bits===32 && Math.abs(n)>REAL_MAX ? Math.sign(n)*Infinity : n }; }
+    case'time': return { value:Number(val)||0 };
+    case'date': { const n=toInteger(val); return { value:n-(((n%MS_PER_DAY)+MS_PER_DAY)%MS_PER_DAY) }; }
+    case'tod': { const n=Number(val)||0; return { value:((n%MS_PER_DAY)+MS_PER_DAY)%MS_PER_DAY }; }
+    case'dt': return { value:toInteger(val) };
+    case'string': return { value:val===null||val===undefined ? '' : String(val) };
+    default: return { value:val };
+  }
+}
+
 function expectToken(tokens, iRef, typeOrValue){
   const t = tokens[iRef.i];
   if(!t) throw new Error(`Unexpected EOF, expected ${typeOrValue}`);
@@ -154,69 +487,216 @@ class Parser {
   constructor(tokens){
     this.tokens = tokens;
     this.iRef = { i: 0 };
+    this.loopDepth = 0; // EXIT/CONTINUE are only legal inside a loop body
   }
 
+  // A logic file may hold TYPE blocks, VAR_GLOBAL blocks, FUNCTIONs, FUNCTION_BLOCKs and PROGRAMs.
+  // Code without a PROGRAM header (bare VAR blocks and statements) becomes an unnamed program.
   parseProgram(){
     const declarations = [];
     const statements = [];
-    let tk = peekToken(this.tokens, this.iRef);
-    if(tk.type === 'KW' && tk.value === 'PROGRAM'){
-      expectToken(this.tokens, this.iRef, 'KW');
-      expectToken(this.tokens, this.iRef, 'IDENT');
-    }
+    const types = [];
+    const globals = [];
+    const functions = [];
+    const functionBlocks = [];
+    const programs = [];
     while(peekToken(this.tokens, this.iRef).type !== 'EOF'){
-      tk = peekToken(this.tokens, this.iRef);
-      if(tk.type === 'KW' && tk.value === 'END_PROGRAM'){ expectToken(this.tokens, this.iRef, 'KW'); break; }
-      if(tk.type === 'KW' && tk.value === 'VAR'){
-        declarations.push(...this.parseVarBlock());
+      const tk = peekToken(this.tokens, this.iRef);
+      if(tk.type === 'KW' && tk.value === 'TYPE'){ types.push(...this.parseTypeBlock()); continue; }
+      if(tk.type === 'KW' && tk.value === 'VAR_GLOBAL'){ globals.push(...this.parseVarBlock()); continue; }
+      if(tk.type === 'KW' && tk.value === 'FUNCTION'){ functions.push(this.parseFunction()); continue; }
+      if(tk.type === 'KW' && tk.value === 'FUNCTION_BLOCK'){ functionBlocks.push(this.parseFunctionBlock()); continue; }
+      if(tk.type === 'KW' && tk.value === 'PROGRAM'){
+        expectToken(this.tokens, this.iRef, 'KW');
+        const name = expectToken(this.tokens, this.iRef, 'IDENT').value;
+        const body = this.parsePouBody('END_PROGRAM');
+        programs.push({ type: 'ProgramDecl', name, declarations: body.declarations, statements: body.statements });
         continue;
       }
+      if(tk.type === 'KW' && VAR_SECTIONS.includes(tk.value)){ declarations.push(...this.parseVarBlock()); continue; }
       statements.push(this.parseStatement());
     }
-    return { type: 'Program', declarations, statements };
+    if(declarations.length || statements.length) programs.push({ type: 'ProgramDecl', name: null, declarations, statements });
+    return { type: 'CompilationUnit', types, globals, functions, functionBlocks, programs };
+  }
+
+  // VAR blocks followed by statements, up to and including the closing keyword
+  parsePouBody(endKeyword){
+    const declarations = [];
+    const statements = [];
+    while(true){
+      const tk = peekToken(this.tokens, this.iRef);
+      if(tk.type === 'EOF') throw new Error(`Unexpected EOF, expected ${endKeyword}`);
+      if(tk.type === 'KW' && tk.value === endKeyword){ expectToken(this.tokens, this.iRef, 'KW'); break; }
+      if(tk.type === 'KW' && VAR_SECTIONS.includes(tk.value)){ declarations.push(...this.parseVarBlock()); continue; }
+      statements.push(this.parseStatement());
+    }
+    if(peekToken(this.tokens, this.iRef).value === ';') expectToken(this.tokens, this.iRef, ';');
+    return { declarations, statements };
+  }
+
+  // FUNCTION Scale : REAL VAR_INPUT ... END_VAR Scale := ...; END_FUNCTION
+  parseFunction(){
+    expectToken(this.tokens, this.iRef, 'KW'); // FUNCTION
+    const name = expectToken(this.tokens, this.iRef, 'IDENT').value;
+    let returnType = null;
+    if(peekToken(this.tokens, this.iRef).value === ':'){
+      expectToken(this.tokens, this.iRef, ':');
+      returnType = this.parseType();
+    }
+    const body = this.parsePouBody('END_FUNCTION');
+    return { type: 'Function', name, returnType, declarations: body.declarations, statements: body.statements };
+  }
+
+  parseFunctionBlock(){
+    expectToken(this.tokens, this.iRef, 'KW'); // FUNCTION_BLOCK
+    const name = expectToken(this.tokens, this.iRef, 'IDENT').value;
+    const body = this.parsePouBody('END_FUNCTION_BLOCK');
+    return { type: 'FunctionBlock', name, declarations: body.declarations, statements: body.statements };
+  }
+
+  // TYPE E_State : (IDLE, RUNNING := 10, DONE); END_TYPE
+  // Enum members without an explicit value continue counting from the previous one.
+  parseTypeBlock(){
+    expectToken(this.tokens, this.iRef, 'KW'); // TYPE
+    const types = [];
+    while(true){
+      const p = peekToken(this.tokens, this.iRef);
+      if(p.type === 'KW' && p.value === 'END_TYPE'){ expectToken(this.tokens, this.iRef, 'KW'); break; }
+      const name = expectToken(this.tokens, this.iRef, 'IDENT').value;
+      expectToken(this.tokens, this.iRef, ':');
+      if(peekToken(this.tokens, this.iRef).type === 'KW' && peekToken(this.tokens, this.iRef).value === 'STRUCT'){
+        expectToken(this.tokens, this.iRef, 'KW');
+        const members = this.parseDeclarations('END_STRUCT', null);
+        if(peekToken(this.tokens, this.iRef).value === ';') expectToken(this.tokens, this.iRef, ';');
+        types.push({ kind: 'STRUCT', name, members });
+        continue;
+      }
+      if(peekToken(this.tokens, this.iRef).value !== '(') throw new Error(`Unsupported TYPE declaration for ${name}, expected enumeration or STRUCT`);
+      expectToken(this.tokens, this.iRef, '(');
+      const members = [];
+      let nextValue = 0;
+      while(peekToken(this.tokens, this.iRef).value !== ')'){
+        const member = expectToken(this.tokens, this.iRef, 'IDENT').value;
+        const maybe = peekToken(this.tokens, this.iRef);
+        if(maybe.type === 'OP' && maybe.value === ':='){
+          expectToken(this.tokens, this.iRef, 'OP');
+          const neg = peekToken(this.tokens, this.iRef).value === '-';
+          if(neg) this.iRef.i++;
+          const v = parseInt(expectToken(this.tokens, this.iRef, 'NUMBER').value);
+          nextValue = neg ? -v : v;
+        }
+        members.push({ name: member, value: nextValue++ });
+        if(peekToken(this.tokens, this.iRef).value === ',') expectToken(this.tokens, this.iRef, ',');
+      }
+      expectToken(this.tokens, this.iRef, ')');
+      if(peekToken(this.tokens, this.iRef).value === ';') expectToken(this.tokens, this.iRef, ';');
+      types.push({ kind: 'ENUM', name, members });
+    }
+    if(peekToken(this.tokens, this.iRef).value === ';') expectToken(this.tokens, this.iRef, ';');
+    return types;
   }
 
   parseVarBlock(){
-    expectToken(this.tokens, this.iRef, 'KW'); // VAR
+    const section = expectToken(this.tokens, this.iRef, 'KW').value; // VAR, VAR_INPUT, ...
+    // Qualifiers are accepted for compatibility; CONSTANT/RETAIN semantics are not modelled
+    while(peekToken(this.tokens, this.iRef).type === 'IDENT' && ['CONSTANT','RETAIN','PERSISTENT'].includes(peekToken(this.tokens, this.iRef).value.toUpperCase())) this.iRef.i++;
+    return this.parseDeclarations('END_VAR', section);
+  }
+
+  // name[, name] : type [:= init]; lines up to endKw, shared by VAR blocks and STRUCT members
+  parseDeclarations(endKw, section){
     const vars = [];
     while(true){
       const p = peekToken(this.tokens, this.iRef);
-      if(p.type === 'KW' && p.value === 'END_VAR'){ expectToken(this.tokens, this.iRef, 'KW'); break; }
-      const nameTok = expectToken(this.tokens, this.iRef, 'IDENT');
+      if(p.type === 'KW' && p.value === endKw){ expectToken(this.tokens, this.iRef, 'KW'); break; }
+      const names = [expectToken(this.tokens, this.iRef, 'IDENT').value];
+      while(peekToken(this.tokens, this.iRef).value === ','){
+        expectToken(this.tokens, this.iRef, ',');
+        names.push(expectToken(this.tokens, this.iRef, 'IDENT').value);
+      }
       expectToken(this.tokens, this.iRef, ':');
-      const typeTok = peekToken(this.tokens, this.iRef);
-      let type = null;
-      if(typeTok.type === 'KW'){
-        type = typeTok.value; this.iRef.i++;
-        if(type==='ARRAY'){
-          expectToken(this.tokens, this.iRef,'[');
-          const low = expectToken(this.tokens, this.iRef,'NUMBER').value;
-          expectToken(this.tokens, this.iRef,'.'); expectToken(this.tokens, this.iRef,'.');
-          const high = expectToken(this.tokens, this.iRef,'NUMBER').value;
-          expectToken(this.tokens, this.iRef,']');
-          expectToken(this.tokens, this.iRef,'KW'); // OF
-          const baseType = expectToken(this.tokens, this.iRef,'KW').value;
-          type = { kind:'ARRAY', low:parseInt(low), high:parseInt(high), base: baseType };
-        }
-      } else if(typeTok.type==='IDENT'){ type=typeTok.value; this.iRef.i++; }
-      else throw new Error(`Unknown type ${typeTok.value}`);
+      const type = this.parseType();
       let init = null;
       const maybe = peekToken(this.tokens, this.iRef);
       if(maybe.type==='OP' && maybe.value===':='){ expectToken(this.tokens,this.iRef,'OP'); init=this.parseExpression(); }
       expectToken(this.tokens,this.iRef,';');
-      vars.push({ name:nameTok.value, type, init });
+      for(const name of names) vars.push({ name, type, init, section });
     }
     return vars;
   }
 
-  parseStatement(){ 
+  parseType(){
+    const typeTok = peekToken(this.tokens, this.iRef);
+    if(typeTok.type === 'KW' && typeTok.value === 'ARRAY'){
+      this.iRef.i++;
+      expectToken(this.tokens, this.iRef,'[');
+      // ARRAY[1..3, 0..4] OF T is an array of arrays, indexed as a[i, j] or a[i][j]
+      const ranges = [];
+      do {
+        if(ranges.length) expectToken(this.tokens, this.iRef,',');
+        const low = this.parseBound();
+        expectToken(this.tokens, this.iRef,'..');
+        const high = this.parseBound();
+        if(high < low) throw new Error(`Invalid array range ${low}..${high}`);
+        ranges.push({ low, high });
+      } while(peekToken(this.tokens, this.iRef).value === ',');
+      expectToken(this.tokens, this.iRef,']');
+      expectToken(this.tokens, this.iRef,'OF');
+      let type = this.parseType();
+      for(let r = ranges.length - 1; r >= 0; r--) type = { kind:'ARRAY', low:ranges[r].low, high:ranges[r].high, base:type };
+      return type;
+    }
+    if(typeTok.type === 'KW' || typeTok.type === 'IDENT'){
+      this.iRef.i++;
+      const upper = typeTok.value.toUpperCase();
+      // STRING[20] / WSTRING(20): maximum length, longer values are truncated on assignment
+      if((upper === 'STRING' || upper === 'WSTRING') && ['[','('].includes(peekToken(this.tokens, this.iRef).value)){
+        const close = peekToken(this.tokens, this.iRef).value === '[' ? ']' : ')';
+        this.iRef.i++;
+        const length = parseInt(expectToken(this.tokens, this.iRef,'NUMBER').value);
+        expectToken(this.tokens, this.iRef, close);
+        return { kind:'STRING', name:upper, length };
+      }
+      return typeTok.value;
+    }
+    throw new Error(`Unknown type ${typeTok.value}`);
+  }
+
+  parseBound(){
+    const neg = peekToken(this.tokens, this.iRef).value === '-';
+    if(neg) this.iRef.i++;
+    const v = parseInt(expectToken(this.tokens, this.iRef,'NUMBER').value);
+    return neg ? -v : v;
+  }
+
+  // Statements carry the line/column of their first token for breakpoints and stepping
+  parseStatement(){
     const tk = peekToken(this.tokens,this.iRef);
+    const stmt = this.parseStatementAt(tk);
+    stmt.line = tk.line; stmt.column = tk.col;
+    return stmt;
+  }
+
+  parseStatementAt(tk){
     if(tk.type==='IDENT') return this.parseAssignmentOrCall();
     if(tk.type==='KW'){
       switch(tk.value){
         case 'IF': return this.parseIf();
         case 'WHILE': return this.parseWhile();
         case 'FOR': return this.parseFor();
+        case 'CASE': return this.parseCase();
+        case 'REPEAT': return this.parseRepeat();
+        case 'EXIT': case 'CONTINUE': {
+          if(this.loopDepth===0) throw new Error(`${tk.value} outside of a loop at pos ${tk.pos}`);
+          this.iRef.i++;
+          if(peekToken(this.tokens,this.iRef).value===';') expectToken(this.tokens,this.iRef,';');
+          return { type: tk.value==='EXIT' ? 'Exit' : 'Continue' };
+        }
+        case 'RETURN':
+          this.iRef.i++;
+          if(peekToken(this.tokens,this.iRef).value===';') expectToken(this.tokens,this.iRef,';');
+          return { type:'Return' };
         case 'TON': case 'TOF': case 'TP': case 'R_TRIG': case 'F_TRIG':
           return this.parseAssignmentOrCall();
         default: throw new Error(`Unsupported keyword at statement: ${tk.value}`);
@@ -228,13 +708,7 @@ class Parser {
 
   parseAssignmentOrCall(){
     const leftTok = expectToken(this.tokens,this.iRef,'IDENT');
-    let left = { type:'Var', name:leftTok.value };
-    while(peekToken(this.tokens,this.iRef).value==='['){
-      expectToken(this.tokens,this.iRef,'[');
-      const idx = this.parseExpression();
-      expectToken(this.tokens,this.iRef,']');
-      left={ type:'ArrayRef', name:left.name, index:idx };
-    }
+    const left = this.parseVariableRef(leftTok.value);
     const next = peekToken(this.tokens,this.iRef);
     if(next.type==='OP' && next.value===':='){
       expectToken(this.tokens,this.iRef,'OP');
@@ -243,25 +717,34 @@ class Parser {
       return { type:'Assign', left, expr };
     }
     if(next.value==='('){
-      expectToken(this.tokens,this.iRef,'(');
-      const args=[];
-      while(peekToken(this.tokens,this.iRef).value!==')'){
-        const keyOrExpr=peekToken(this.tokens,this.iRef);
-        if(keyOrExpr.type==='IDENT' && peekToken(this.tokens,this.iRef).value!==':='){ args.push(this.parseExpression()); }
-        else{
-          const key=expectToken(this.tokens,this.iRef,'IDENT').value;
-          expectToken(this.tokens,this.iRef,'OP');
-          const val=this.parseExpression();
-          args.push({name:key,value:val});
-        }
-        if(peekToken(this.tokens,this.iRef).value===',') expectToken(this.tokens,this.iRef,',');
-      }
-      expectToken(this.tokens,this.iRef,')'); expectToken(this.tokens,this.iRef,';');
-      return { type:'Call', name:left.name, args };
+      if(left.type!=='Var') throw new Error(`Unexpected token after identifier: ${next.type}:${next.value}`);
+      const args=this.parseCallArgs();
+      expectToken(this.tokens,this.iRef,';');
+      return { type:'Call', name:left.name, args, line:leftTok.line };
     }
     throw new Error(`Unexpected token after identifier: ${next.type}:${next.value}`);
   }
 
+  // (a, b) positional, (IN := x, PT := T#1s) named inputs, (Q => done) outputs written back after the call
+  parseCallArgs(){
+    expectToken(this.tokens,this.iRef,'(');
+    const args=[];
+    while(peekToken(this.tokens,this.iRef).value!==')'){
+      const t=peekToken(this.tokens,this.iRef);
+      const n=this.tokens[this.iRef.i+1];
+      if(t.type==='IDENT' && n && n.type==='OP' && (n.value===':=' || n.value==='=>')){
+        this.iRef.i+=2;
+        args.push({ name:t.value, value:this.parseExpression(), output:n.value==='=>' });
+      } else {
+        args.push({ name:null, value:this.parseExpression(), output:false });
+      }
+      if(peekToken(this.tokens,this.iRef).value===',') expectToken(this.tokens,this.iRef,',');
+      else if(peekToken(this.tokens,this.iRef).value!==')') throw new Error(`Unexpected token in argument list: ${peekToken(this.tokens,this.iRef).type}:${peekToken(this.tokens,this.iRef).value}`);
+    }
+    expectToken(this.tokens,this.iRef,')');
+    return args;
+  }
+
   parseIf(){ 
     expectToken(this.tokens,this.iRef,'KW'); // IF
     const cond=this.parseExpression(); expectToken(this.tokens,this.iRef,'KW'); // THEN
@@ -273,13 +756,67 @@ class Parser {
     return { type:'If', cond, thenStmts, elsifBlocks, elseStmts };
   }
 
-  parseWhile(){ expectToken(this.tokens,this.iRef,'KW'); const cond=this.parseExpression(); expectToken(this.tokens,this.iRef,'KW'); const body=[]; while(!(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='END_WHILE')) body.push(this.parseStatement()); expectToken(this.tokens,this.iRef,'KW'); if(peekToken(this.tokens,this.iRef).value===';') expectToken(this.tokens,this.iRef,';'); return { type:'While', cond, body }; }
+  parseWhile(){ expectToken(this.tokens,this.iRef,'KW'); const cond=this.parseExpression(); expectToken(this.tokens,this.iRef,'KW'); const body=[]; this.loopDepth++; while(!(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='END_WHILE')) body.push(this.parseStatement()); this.loopDepth--; expectToken(this.tokens,this.iRef,'KW'); if(peekToken(this.tokens,this.iRef).value===';') expectToken(this.tokens,this.iRef,';'); return { type:'While', cond, body }; }
+
+  parseFor(){ expectToken(this.tokens,this.iRef,'KW'); const varName=expectToken(this.tokens,this.iRef,'IDENT').value; expectToken(this.tokens,this.iRef,':='); const start=this.parseExpression(); expectToken(this.tokens,this.iRef,'KW'); const endExpr=this.parseExpression(); let step=null; if(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='BY'){ expectToken(this.tokens,this.iRef,'KW'); step=this.parseExpression(); } expectToken(this.tokens,this.iRef,'KW'); const body=[]; this.loopDepth++; while(!(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='END_FOR')) body.push(this.parseStatement()); this.loopDepth--; expectToken(this.tokens,this.iRef,'KW'); if(peekToken(this.tokens,this.iRef).value===';') expectToken(this.tokens,this.iRef,';'); return { type:'For', varName, start, end:endExpr, step, body }; }
 
-  parseFor(){ expectToken(this.tokens,this.iRef,'KW'); const varName=expectToken(this.tokens,this.iRef,'IDENT').value; expectToken(this.tokens,this.iRef,':='); const start=this.parseExpression(); expectToken(this.tokens,this.iRef,'KW'); const endExpr=this.parseExpression(); let step=null; if(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='BY'){ expectToken(this.tokens,this.iRef,'KW'); step=this.parseExpression(); } expectToken(this.tokens,this.iRef,'KW'); const body=[]; while(!(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='END_FOR')) body.push(this.parseStatement()); expectToken(this.tokens,this.iRef,'KW'); if(peekToken(this.tokens,this.iRef).value===';') expectToken(this.tokens,this.iRef,';'); return { type:'For', varName, start, end:endExpr, step, body }; }
+  parseRepeat(){ expectToken(this.tokens,this.iRef,'KW'); const body=[]; this.loopDepth++; while(!(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='UNTIL')) body.push(this.parseStatement()); this.loopDepth--; expectToken(this.tokens,this.iRef,'KW'); const cond=this.parseExpression(); if(peekToken(this.tokens,this.iRef).value===';') expectToken(this.tokens,this.iRef,';'); expectToken(this.tokens,this.iRef,'END_REPEAT'); if(peekToken(this.tokens,this.iRef).value===';') expectToken(this.tokens,this.iRef,';'); return { type:'Repeat', body, cond }; }
+
+  // CASE sel OF 1: ...; 2, 3: ...; 4..6: ...; ELSE ... END_CASE
+  parseCase(){
+    expectToken(this.tokens,this.iRef,'KW'); // CASE
+    const selector=this.parseExpression();
+    expectToken(this.tokens,this.iRef,'OF');
+    const branches=[];
+    let elseStmts=[];
+    while(true){
+      const p=peekToken(this.tokens,this.iRef);
+      if(p.type==='KW' && p.value==='END_CASE') break;
+      if(p.type==='KW' && p.value==='ELSE'){
+        expectToken(this.tokens,this.iRef,'KW');
+        while(!(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='END_CASE')) elseStmts.push(this.parseStatement());
+        break;
+      }
+      if(p.type==='EOF') throw new Error('Unexpected EOF in CASE, expected END_CASE');
+      const labels=[];
+      while(true){
+        const low=this.parseExpression();
+        if(peekToken(this.tokens,this.iRef).value==='..'){ expectToken(this.tokens,this.iRef,'..'); labels.push({ low, high:this.parseExpression() }); }
+        else labels.push({ low, high:null });
+        if(peekToken(this.tokens,this.iRef).value!==',') break;
+        expectToken(this.tokens,this.iRef,',');
+      }
+      expectToken(this.tokens,this.iRef,':');
+      const stmts=[];
+      while(true){
+        const q=peekToken(this.tokens,this.iRef);
+        if(q.type==='KW' && (q.value==='ELSE' || q.value==='END_CASE')) break;
+        if(this.isCaseLabelStart()) break;
+        stmts.push(this.parseStatement());
+      }
+      branches.push({ labels, stmts });
+    }
+    expectToken(this.tokens,this.iRef,'KW'); // END_CASE
+    if(peekToken(this.tokens,this.iRef).value===';') expectToken(this.tokens,this.iRef,';');
+    return { type:'Case', selector, branches, elseStmts };
+  }
+
+  // A statement never starts with a literal, so a number, a sign or an identifier followed by
+  // ':', ',', '..' or '#' marks the next CASE label rather than another statement.
+  isCaseLabelStart(){
+    const t=peekToken(this.tokens,this.iRef);
+    if(t.type==='NUMBER' || t.value==='-' || t.value==='+') return true;
+    if(t.type==='IDENT'){
+      const n=this.tokens[this.iRef.i+1];
+      return !!n && (n.value===':' || n.value===',' || n.value==='..' || n.value==='#');
+    }
+    return false;
+  }
 
   parseExpression(){ return this.parseOr(); }
-  parseOr(){ let node=this.parseAnd(); while(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='OR'){ expectToken(this.tokens,this.iRef,'KW'); node={type:'Binary',op:'OR',left:node,right:this.parseAnd()}; } return node; }
-  parseAnd(){ let node=this.parseNot(); while(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='AND'){ expectToken(this.tokens,this.iRef,'KW'); node={type:'Binary',op:'AND',left:node,right:this.parseNot()}; } return node; }
+  parseOr(){ let node=this.parseXor(); while(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='OR'){ expectToken(this.tokens,this.iRef,'KW'); node={type:'Binary',op:'OR',left:node,right:this.parseXor()}; } return node; }
+  parseXor(){ let node=this.parseAnd(); while(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='XOR'){ expectToken(this.tokens,this.iRef,'KW'); node={type:'Binary',op:'XOR',left:node,right:this.parseAnd()}; } return node; }
+  parseAnd(){ let node=this.parseNot(); while((peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='AND') || peekToken(this.tokens,this.iRef).type==='&'){ this.iRef.i++; node={type:'Binary',op:'AND',left:node,right:this.parseNot()}; } return node; }
   parseNot(){ if(peekToken(this.tokens,this.iRef).type==='KW' && peekToken(this.tokens,this.iRef).value==='NOT'){ expectToken(this.tokens,this.iRef,'KW'); return {type:'Unary',op:'NOT',expr:this.parseComparison()}; } return this.parseComparison(); }
   parseComparison(){ let left=this.parseAdd(); const p=peekToken(this.tokens,this.iRef); if(p.value && ['=','<>','!=','<','>','<=','>='].includes(p.value)){ const op=p.value; this.iRef.i++; const right=this.parseAdd(); return {type:'Binary',op,left,right}; } return left; }
   parseAdd(){ let node=this.parseMul(); while(true){ const p=peekToken(this.tokens,this.iRef); if(p.value==='+'||p.value==='-'){ this.iRef.i++; node={type:'Binary',op:p.value,left:node,right:this.parseMul()}; } else break; } return node; }
@@ -288,61 +825,405 @@ class Parser {
 
   parsePrimary(){
     const p=peekToken(this.tokens,this.iRef);
-    if(p.type==='NUMBER'){ this.iRef.i++; return {type:'Number',value:parseFloat(p.value)}; }
+    if(p.type==='NUMBER'){ this.iRef.i++; const lit=parseNumberLiteral(p.value); return {type:'Number',value:lit.value,real:lit.real}; }
     if(p.type==='STRING'){ this.iRef.i++; return {type:'String',value:p.value}; }
-    if(p.type==='TIME'){ this.iRef.i++; const match=p.value.match(/([0-9.]+)(ms|s|m|h|d)?/i); let ms=parseFloat(match[1]); const unit=(match[2]||'s').toLowerCase(); if(unit==='s') ms*=1000; else if(unit==='m') ms*=60000; else if(unit==='h') ms*=3600000; else if(unit==='d') ms*=86400000; return {type:'Number',value:ms}; }
+    if(p.type==='TIME'){ this.iRef.i++; const lit=parseTemporalLiteral(p.value); return {type:'Number',value:lit.value,valueType:lit.valueType}; }
     if(p.type==='KW'&&(p.value==='TRUE'||p.value==='FALSE')){ this.iRef.i++; return {type:'Bool',value:p.value==='TRUE'}; }
+    if((p.type==='KW'||p.type==='IDENT')&&elementaryInfo(p.value)&&(this.tokens[this.iRef.i+1]||{}).value==='#'){ this.iRef.i++; return this.parseTypedLiteral(p.value.toUpperCase()); }
     if(p.type==='IDENT'){
       const id=expectToken(this.tokens,this.iRef,'IDENT').value;
-      let node={type:'Var',name:id};
-      if(peekToken(this.tokens,this.iRef).value==='.') { expectToken(this.tokens,this.iRef,'.'); const member=expectToken(this.tokens,this.iRef,'IDENT').value; node={type:'MemberAccess',object:id,member}; }
-      while(peekToken(this.tokens,this.iRef).value==='['){ expectToken(this.tokens,this.iRef,'['); const idx=this.parseExpression(); expectToken(this.tokens,this.iRef,']'); node={type:'ArrayRef',name:node.name,index:idx}; }
-      if(peekToken(this.tokens,this.iRef).value==='('){ expectToken(this.tokens,this.iRef,'('); const args=[]; while(peekToken(this.tokens,this.iRef).value!==')'){ args.push(this.parseExpression()); if(peekToken(this.tokens,this.iRef).value===',') expectToken(this.tokens,this.iRef,','); } expectToken(this.tokens,this.iRef,')'); return {type:'CallExpr',name:id,args}; }
-      return node;
+      const line=p.line;
+      if(peekToken(this.tokens,this.iRef).value==='#'){ expectToken(this.tokens,this.iRef,'#'); const member=expectToken(this.tokens,this.iRef,'IDENT').value; return {type:'EnumValue',enumType:id,name:member}; }
+      if(peekToken(this.tokens,this.iRef).value==='('){ const args=this.parseCallArgs(); return {type:'CallExpr',name:id,args,line}; }
+      return this.parseVariableRef(id);
     }
     if(p.value==='('){ expectToken(this.tokens,this.iRef,'('); const e=this.parseExpression(); expectToken(this.tokens,this.iRef,')'); return e; }
     throw new Error(`Unexpected primary token ${p.type}:${p.value}`);
   }
+
+  // A variable followed by any chain of selectors: s.member, a[i] / a[i, j], and bit access Word.5
+  parseVariableRef(name){
+    let node={type:'Var',name};
+    while(true){
+      const p=peekToken(this.tokens,this.iRef); const n=this.tokens[this.iRef.i+1]||{};
+      if(p.value==='['){
+        expectToken(this.tokens,this.iRef,'[');
+        node={type:'ArrayRef',base:node,index:this.parseExpression()};
+        while(peekToken(this.tokens,this.iRef).value===','){ expectToken(this.tokens,this.iRef,','); node={type:'ArrayRef',base:node,index:this.parseExpression()}; }
+        expectToken(this.tokens,this.iRef,']');
+      } else if(p.value==='.' && n.type==='IDENT'){
+        expectToken(this.tokens,this.iRef,'.');
+        node={type:'MemberAccess',base:node,member:expectToken(this.tokens,this.iRef,'IDENT').value};
+      } else if(p.value==='.' && n.type==='NUMBER'){
+        expectToken(this.tokens,this.iRef,'.');
+        const bitTok=expectToken(this.tokens,this.iRef,'NUMBER');
+        const bit=Number(bitTok.value);
+        if(!Number.isInteger(bit)) throw new Error(`Invalid bit index ${bitTok.value}`);
+        node={type:'BitAccess',target:node,bit};
+      } else break;
+    }
+    return node;
+  }
+
+  // INT#5, WORD#16#FF, REAL#-1.5, BOOL#1: the value is converted at parse time and must fit the type
+  parseTypedLiteral(typeName){
+    expectToken(this.tokens,this.iRef,'#');
+    const info=ELEMENTARY_TYPES[typeName];
+    const negative=peekToken(this.tokens,this.iRef).value==='-';
+    if(negative) this.iRef.i++;
+    const tok=peekToken(this.tokens,this.iRef);
+    let raw;
+    if(tok.type==='NUMBER') raw=parseNumberLiteral(tok.value).value;
+    else if(tok.type==='KW'&&(tok.value==='TRUE'||tok.value==='FALSE')) raw=tok.value==='TRUE';
+    else if(tok.type==='STRING'&&info.kind==='string') raw=tok.value;
+    else throw new Error(`Invalid ${typeName} literal ${tok.value}`);
+    this.iRef.i++;
+    if(negative) raw=-raw;
+    const converted=convertElementary(info,raw);
+    if(converted.raw!==undefined && converted.raw!==converted.value) throw new Error(`Literal ${raw} out of range for ${typeName}`);
+    if(info.kind==='bool') return {type:'Bool',value:converted.value};
+    if(info.kind==='string') return {type:'String',value:converted.value};
+    return {type:'Number',value:converted.value,real:info.kind==='real',valueType:typeName};
+  }
 }
 
 // Runtime class remains essentially unchanged, already dynamic and milliseconds-based
 
+// Merges parsed files into one project so FUNCTIONs, FBs, TYPEs and VAR_GLOBALs resolve across files
+function linkUnits(units){
+  const project={ type:'Project', types:[], globals:[], functions:[], functionBlocks:[], programs:[] };
+  const seen=new Map();
+  const claim=(kind,name,file)=>{
+    const key=`${kind}:${name.toUpperCase()}`;
+    if(seen.has(key)) throw new Error(`Duplicate ${kind} ${name}${file ? ` in ${file}` : ''}${seen.get(key) ? ` (first declared in ${seen.get(key)})` : ''}`);
+    seen.set(key,file);
+  };
+  for(const { file, unit } of units){
+    for(const t of unit.types){ claim('TYPE',t.name,file); project.types.push(t); }
+    for(const g of unit.globals){ claim('VAR_GLOBAL',g.name,file); project.globals.push(g); }
+    for(const f of unit.functions){ claim('FUNCTION',f.name,file); project.functions.push(f); }
+    for(const fb of unit.functionBlocks){ claim('FUNCTION_BLOCK',fb.name,file); project.functionBlocks.push(fb); }
+    for(const p of unit.programs){
+      if(p.name) claim('PROGRAM',p.name,file);
+      project.programs.push({ ...p, file });
+    }
+  }
+  if(project.programs.length>1){
+    const unnamed=project.programs.find(p=>!p.name);
+    if(unnamed) throw new Error(`${unnamed.file ? unnamed.file+': ' : ''}logic without a PROGRAM header cannot be combined with other programs`);
+  }
+  return project;
+}
+
 class Runtime {
-  constructor(program){
-    this.program=program; this.vars={}; this.fbInstances={}; this.logs=[]; this.cycleCount=0;
-    this.initFromDeclarations(); this.stdlib=this.createStdLib();
+  // options.tasks: [{ name, interval (ms, 0 = every cycle), priority (lower runs first), programs: [names] }]
+  // options.clock: time source for timers and task intervals (see clock.js), wall clock by default
+  constructor(project,options={}){
+    this.clock=options.clock||new SystemClock();
+    this.project=project; this.vars={}; this.globals={}; this.programInstances=[]; this.fbInstances={}; this.logs=[]; this.cycleCount=0;
+    this.frames=[]; this.slotCache=new WeakMap(); this.overflowEvents=[];
+    this.userCallCache=new WeakMap(); this.breakpoints=[]; this.breakpointLines=new Set(); this.watchpoints=[];
+    this.activeCycle=null; this.pausedAt=null; this.stepRequest=null; this.pauseEnabled=false;
+    this.registerTypes(); this.registerPous(); this.checkStandardCalls(); this.initFromDeclarations(); this.stdlib=this.createStdLib();
+    this.tasks=this.buildTasks(options.tasks);
+  }
+  buildTasks(taskConfig){
+    const byName={};
+    for(const inst of this.programInstances) byName[(inst.decl.name||'').toUpperCase()]=inst;
+    if(!taskConfig || taskConfig.length===0){
+      return [{ name:'MainTask', interval:0, priority:0, instances:this.programInstances, lastRun:null }];
+    }
+    return taskConfig.map(t=>{
+      const instances=(t.programs||[]).map(name=>{
+        const inst=byName[String(name).toUpperCase()];
+        if(!inst) throw new Error(`Task ${t.name} references unknown PROGRAM ${name}`);
+        return inst;
+      });
+      return { name:t.name, interval:Number(t.interval)||0, priority:Number(t.priority)||0, instances, lastRun:null };
+    }).sort((a,b)=>a.priority-b.priority);
   }
+  registerPous(){
+    // Keyed by upper-case name since ST identifiers are case-insensitive
+    this.functions={}; this.functionBlocks={};
+    for(const f of this.project.functions) this.functions[f.name.toUpperCase()]=f;
+    for(const fb of this.project.functionBlocks) this.functionBlocks[fb.name.toUpperCase()]=fb;
+  }
+  registerTypes(){
+    // enumTypes: type name -> { member: value }; enumConstants lets bare member names resolve like IEC literals
+    this.enumTypes={}; this.enumConstants={};
+    for(const t of this.project.types){
+      if(t.kind!=='ENUM') continue;
+      const members={};
+      for(const m of t.members){ members[m.name]=m.value; this.enumConstants[m.name]=m.value; }
+      this.enumTypes[t.name]=members;
+    }
+    // structTypes: upper-case name -> STRUCT declaration ({ name, members:[{ name, type, init, defaultValue }] })
+    this.structTypes={};
+    for(const t of this.project.types) if(t.kind==='STRUCT') this.structTypes[t.name.toUpperCase()]=t;
+    const visiting=new Set(); const done=new Set();
+    const visit=type=>{
+      while(type && type.kind==='ARRAY') type=type.base;
+      const decl=this.structDecl(type);
+      if(!decl || done.has(decl)) return;
+      if(visiting.has(decl)) throw new Error(`STRUCT ${decl.name} contains itself`);
+      visiting.add(decl); for(const m of decl.members) visit(m.type); visiting.delete(decl); done.add(decl);
+    };
+    for(const decl of Object.values(this.structTypes)) visit(decl.name);
+  }
+  // this.vars is the externally visible variable table. A single program keeps its locals under their plain
+  // names (as before); with several programs they are published as Program.Var. Slots are shared by reference
+  // with the program frames, so writes through either path land in the same place.
   initFromDeclarations(){ 
-    for(const d of this.program.declarations) {
-      // If init expression exists, evaluate it; otherwise use default
-      let value = this.defaultForType(d.type);
-      if(d.init) {
-        try {
-          value = this.evalExpression(d.init);
-        } catch(e) {
-          // If eval fails, use default
-          value = this.defaultForType(d.type);
+    for(const d of this.project.globals){
+      const slot={type:d.type,value:this.initialValue(d)};
+      this.globals[d.name]=slot; this.vars[d.name]=slot;
+    }
+    const qualify=this.project.programs.length>1;
+    for(const p of this.project.programs){
+      const vars={};
+      for(const d of p.declarations) {
+        if(d.section==='VAR_EXTERNAL'){
+          if(!this.globals[d.name]) throw new Error(`VAR_EXTERNAL ${d.name} in ${p.name||'program'} has no matching VAR_GLOBAL`);
+          vars[d.name]=this.globals[d.name];
+          continue;
         }
+        const slot={type:d.type,value:this.initialValue(d)};
+        vars[d.name]=slot;
+        this.vars[qualify ? `${p.name}.${d.name}` : d.name]=slot;
+      }
+      this.programInstances.push({ decl:p, vars, path:qualify ? p.name : '' });
+    }
+  }
+  initialValue(d){
+    // If init expression exists, evaluate it; otherwise use default
+    if(d.init) {
+      try {
+        return this.coerce(d.type,this.evalExpression(d.init),d.name);
+      } catch(e) {
+        // If eval fails, use default
       }
-      this.vars[d.name]={type:d.type,value:value};
     }
+    return this.defaultForType(d.type);
   }
-  defaultForType(type){ if(!type) return null; if(typeof type==='string'){ switch(type){ case'BOOL': return false; case'INT': return 0; case'REAL': return 0.0; case'STRING': return ''; default: return {_fbType:type,Q:false,ET:0}; } } else if(type.kind==='ARRAY'){ return Array.from({length:type.high-type.low+1},()=>this.defaultForType(type.base)); } return null; }
+  defaultForType(type){ if(!type) return null; if(typeof type==='string'){ if(type in this.enumTypes) return Object.values(this.enumTypes[type])[0]; const struct=this.structDecl(type); if(struct) return this.createStructInstance(struct); const fb=this.functionBlocks[type.toUpperCase()]; if(fb) return this.createFbInstance(fb); const info=elementaryInfo(type); if(info) return convertElementary(info,info.kind==='string'?'':0).value; if(type.toUpperCase() in STANDARD_FBS) return {_fbType:type,...STANDARD_FBS[type.toUpperCase()].outputs}; throw new Error(`Unknown data type ${type}`); } else if(type.kind==='ARRAY'){ return Array.from({length:type.high-type.low+1},()=>this.defaultForType(type.base)); } else if(type.kind==='STRING') return ''; return null; }
 
   createStdLib(){
     const that=this;
     return {
-      TON:(n,p)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={ET:0,Q:false,startTime:null}; const i=that.fbInstances[n]; const now=Date.now(); if(p.IN){ if(!i.startTime)i.startTime=now; i.ET=now-i.startTime; i.Q=i.ET>=p.PT; } else{i.startTime=null;i.ET=0;i.Q=false;} return {Q:i.Q,ET:i.ET}; },
-      TOF:(n,p)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={ET:0,Q:false,offStart:null}; const i=that.fbInstances[n]; const now=Date.now(); if(p.IN){ i.Q=true;i.ET=0; } else{ if(!i.offStart)i.offStart=now; i.ET=now-i.offStart;i.Q=i.ET<p.PT; if(!i.Q)i.offStart=null; } return {Q:i.Q,ET:i.ET}; },
-      TP:(n,p)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={Q:false,ET:0,active:false,start:0}; const i=that.fbInstances[n]; const now=Date.now(); if(p.IN && !i.active){ i.active=true;i.start=now;i.Q=true;i.ET=0; } if(i.active){ i.ET=now-i.start;if(i.ET>=p.PT){ i.active=false;i.Q=false; } } return {Q:i.Q,ET:i.ET}; },
+      // ET stops at PT; TOF only times after a falling edge of IN, TP starts its pulse on a rising edge
+      TON:(n,p)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={ET:0,Q:false,startTime:null}; const i=that.fbInstances[n]; const now=that.clock.now(); if(p.IN){ if(i.startTime===null)i.startTime=now; i.ET=Math.min(now-i.startTime,p.PT); i.Q=i.ET>=p.PT; } else{i.startTime=null;i.ET=0;i.Q=false;} return {Q:i.Q,ET:i.ET}; },
+      TOF:(n,p)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={ET:0,Q:false,offStart:null}; const i=that.fbInstances[n]; const now=that.clock.now(); if(p.IN){ i.Q=true;i.ET=0;i.offStart=null; } else if(i.Q){ if(i.offStart===null)i.offStart=now; i.ET=Math.min(now-i.offStart,p.PT); i.Q=i.ET<p.PT; } return {Q:i.Q,ET:i.ET}; },
+      TP:(n,p)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={Q:false,ET:0,active:false,start:0,lastIN:false}; const i=that.fbInstances[n]; const now=that.clock.now(); if(p.IN && !i.lastIN && !i.active){ i.active=true;i.start=now;i.Q=true;i.ET=0; } i.lastIN=p.IN; if(i.active){ i.ET=Math.min(now-i.start,p.PT); if(i.ET>=p.PT){ i.active=false;i.Q=false; } } else if(!p.IN) i.ET=0; return {Q:i.Q,ET:i.ET}; },
       R_TRIG:(n,curr)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={last:false}; const i=that.fbInstances[n]; const rising=!i.last&&!!curr; i.last=!!curr; return {Q:rising}; },
       F_TRIG:(n,curr)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={last:false}; const i=that.fbInstances[n]; const falling=i.last&&!curr; i.last=!!curr; return {Q:falling}; },
-      TO_BOOL:v=>!!v,TO_INT:v=>parseInt(v||0),TO_REAL:v=>parseFloat(v||0),NOW_MS:()=>Date.now()
+      // Counters count on the rising edge of CU/CD; PV keeps its last value when a call omits it
+      CTU:(n,p)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={CV:0,PV:0,lastCU:false}; const i=that.fbInstances[n]; if(p.PV!==undefined) i.PV=p.PV; const rising=p.CU&&!i.lastCU; i.lastCU=p.CU; if(p.R) i.CV=0; else if(rising && i.CV<COUNTER_MAX) i.CV++; return {Q:i.CV>=i.PV,CV:i.CV}; },
+      CTD:(n,p)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={CV:0,PV:0,lastCD:false}; const i=that.fbInstances[n]; if(p.PV!==undefined) i.PV=p.PV; const rising=p.CD&&!i.lastCD; i.lastCD=p.CD; if(p.LD) i.CV=i.PV; else if(rising && i.CV>COUNTER_MIN) i.CV--; return {Q:i.CV<=0,CV:i.CV}; },
+      CTUD:(n,p)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={CV:0,PV:0,lastCU:false,lastCD:false}; const i=that.fbInstances[n]; if(p.PV!==undefined) i.PV=p.PV; const up=p.CU&&!i.lastCU; const down=p.CD&&!i.lastCD; i.lastCU=p.CU; i.lastCD=p.CD; if(p.R) i.CV=0; else if(p.LD) i.CV=i.PV; else if(up && !down){ if(i.CV<COUNTER_MAX) i.CV++; } else if(down && !up){ if(i.CV>COUNTER_MIN) i.CV--; } return {QU:i.CV>=i.PV,QD:i.CV<=0,CV:i.CV}; },
+      // SR is set-dominant, RS is reset-dominant
+      SR:(n,p)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={Q1:false}; const i=that.fbInstances[n]; i.Q1=p.S1||(!p.R&&i.Q1); return {Q1:i.Q1}; },
+      RS:(n,p)=>{ if(!that.fbInstances[n]) that.fbInstances[n]={Q1:false}; const i=that.fbInstances[n]; i.Q1=!p.R1&&(p.S||i.Q1); return {Q1:i.Q1}; },
+      TO_BOOL:v=>!!v,TO_INT:v=>parseInt(v||0),TO_REAL:v=>parseFloat(v||0),NOW_MS:()=>that.clock.now()
     };
   }
 
-  getVarValue(name){ if(!(name in this.vars)) throw new Error(`Unknown variable ${name}`); return this.vars[name].value; }
-  setVarValue(name,val){ if(!(name in this.vars)) throw new Error(`Unknown variable ${name}`); const t=this.vars[name].type; if(typeof t==='string'){ if(t==='BOOL') val=!!val; else if(t==='INT') val=Math.trunc(Number(val)||0); else if(t==='REAL') val=Number(val)||0; else if(t==='STRING') val=String(val); } this.vars[name].value=val; }
+  // Members take their declared initial value, else the UDT member's defaultValue, else the type default
+  createStructInstance(decl){
+    const inst={};
+    for(const m of decl.members){
+      if(m.init) inst[m.name]=this.coerce(m.type,this.evalExpression(m.init),`${decl.name}.${m.name}`);
+      else if(m.defaultValue!==undefined && m.defaultValue!==null && m.defaultValue!==''){
+        const v=parseDefaultValue(m.defaultValue);
+        inst[m.name]=m.type && m.type.kind==='ARRAY' ? this.defaultForType(m.type).map(()=>this.coerce(m.type.base,v)) : this.coerce(m.type,v);
+      }
+      else inst[m.name]=this.defaultForType(m.type);
+    }
+    return inst;
+  }
+
+  // FB instance state lives on the instance object itself, so it persists across runCycle calls
+  createFbInstance(decl){ const inst={_fbType:decl.name}; for(const d of decl.declarations) inst[d.name]=this.initialValue(d); return inst; }
+
+  // Slot view ({type,value} per variable) over an FB instance, so FB bodies use the same lookup as program vars
+  instanceSlots(inst,decl){
+    let slots=this.slotCache.get(inst);
+    if(!slots){
+      slots={};
+      for(const d of decl.declarations) slots[d.name]={ type:d.type, get value(){ return inst[d.name]; }, set value(v){ inst[d.name]=v; } };
+      this.slotCache.set(inst,slots);
+    }
+    return slots;
+  }
+
+  // Variables visible to the code being executed: the innermost FUNCTION/FB frame, or the program vars
+  currentScope(){ return this.frames.length ? this.frames[this.frames.length-1].vars : this.vars; }
+  currentPath(){ return this.frames.length ? this.frames[this.frames.length-1].path : ''; }
+  lookupSlot(name){
+    const scope=this.currentScope();
+    if(Object.prototype.hasOwnProperty.call(scope,name)) return scope[name];
+    if(Object.prototype.hasOwnProperty.call(this.globals,name)) return this.globals[name];
+    return null;
+  }
+
+  hasVar(name){ return Object.prototype.hasOwnProperty.call(this.vars,name); }
+  // Declared type of a variable: an elementary type name in upper case, a UDT/FB name or a type node (ARRAY, STRING(n))
+  getVarType(name){ const slot=this.lookupSlot(name); if(!slot) throw new Error(`Unknown variable ${name}`); return typeof slot.type==='string' ? slot.type.toUpperCase() : slot.type; }
+  getVarValue(name){ const slot=this.lookupSlot(name); if(slot) return slot.value; if(name in this.enumConstants) return this.enumConstants[name]; throw new Error(`Unknown variable ${name}`); }
+  setVarValue(name,val){ const slot=this.lookupSlot(name); if(!slot) throw new Error(`Unknown variable ${name}`); slot.value=this.coerce(slot.type,val,name); }
+  // Converts val to the declared type t. Integer overflow wraps like the PLC would and is recorded in overflowEvents.
+  coerce(t,val,name){
+    if(t && typeof t==='object'){ if(t.kind==='STRING'){ const str=convertElementary(ELEMENTARY_TYPES.STRING,val).value; return str.slice(0,t.length); } return t.kind==='ARRAY' ? cloneValue(val) : val; }
+    if(typeof t!=='string') return val;
+    // Structs and arrays are values: assignment copies them instead of aliasing the source
+    if(this.structDecl(t)) return cloneValue(val);
+    if(t in this.enumTypes) return toInteger(val);
+    const info=elementaryInfo(t);
+    if(!info) return val;
+    const converted=convertElementary(info,val);
+    // Bit strings wrap silently; only ANY_INT arithmetic overflow is reported
+    if(info.kind==='int' && converted.raw!==converted.value) this.recordOverflow(name,t.toUpperCase(),converted.raw,converted.value);
+    return converted.value;
+  }
+  recordOverflow(variable,type,value,wrapped){
+    this.overflowEvents.push({ variable:variable||null, type, value, wrapped, cycle:this.cycleCount });
+    if(this.overflowEvents.length>MAX_OVERFLOW_EVENTS) this.overflowEvents.shift();
+  }
+  // Returns and clears the overflow events recorded since the last call
+  drainOverflowEvents(){ const events=this.overflowEvents; this.overflowEvents=[]; return events; }
+  // Declared type of a user FB member, null for standard FB outputs and unknown members
+  memberType(baseType,obj,member){
+    const struct=this.structDecl(baseType);
+    if(struct){ const m=struct.members.find(v=>v.name===member); return m ? m.type : null; }
+    const decl=obj&&obj._fbType&&this.functionBlocks[obj._fbType.toUpperCase()]; const d=decl&&decl.declarations.find(v=>v.name===member); return d ? d.type : null;
+  }
+  structDecl(type){ return typeof type==='string' ? this.structTypes[type.toUpperCase()]||null : null; }
+
+  // Resolves a.b[i].c to the place its value lives: { type, path, get(), set(v) }
+  resolveRef(node){
+    switch(node.type){
+      case'Var': {
+        const slot=this.lookupSlot(node.name);
+        if(!slot) throw new Error(`Unknown variable ${node.name}`);
+        return { type:slot.type, path:node.name, get:()=>slot.value, set:v=>{ slot.value=v; } };
+      }
+      case'ArrayRef': {
+        const base=this.resolveRef(node.base); const arr=base.get();
+        if(!Array.isArray(arr)) throw new Error(`${base.path} is not array`);
+        const idx=toInteger(this.evalExpression(node.index));
+        const range=base.type&&base.type.kind==='ARRAY' ? base.type : { low:0, high:arr.length-1, base:null };
+        if(idx<range.low||idx>range.high) throw new Error(`Index ${idx} out of bounds for ${base.path}[${range.low}..${range.high}]`);
+        const i=idx-range.low;
+        return { type:range.base, path:`${base.path}[${idx}]`, get:()=>arr[i], set:v=>{ arr[i]=v; } };
+      }
+      case'MemberAccess': {
+        const base=this.resolveRef(node.base); const obj=base.get();
+        if(!obj||typeof obj!=='object'||Array.isArray(obj)||!(node.member in obj)) throw new Error(`Member ${node.member} not found in ${base.path}`);
+        return { type:this.memberType(base.type,obj,node.member), path:`${base.path}.${node.member}`, get:()=>obj[node.member], set:v=>{ obj[node.member]=v; } };
+      }
+      default: throw new Error(`Cannot reference ${node.type}`);
+    }
+  }
+
+  assignTo(target,value){
+    switch(target.type){
+      case'Var': this.setVarValue(target.name,value); return;
+      case'ArrayRef': case'MemberAccess': { const ref=this.resolveRef(target); ref.set(this.coerce(ref.type,value,ref.path)); return; }
+      case'BitAccess': { const info=this.bitTarget(target); const word=BigInt(toInteger(this.evalExpression(target.target))); const mask=1n<<BigInt(target.bit); let r=value ? word|mask : word&~mask; if(info.signed) r=BigInt.asIntN(info.bits,r); this.assignTo(target.target,Number(r)); return; }
+      default: throw new Error(`Cannot assign to ${target.type}`);
+    }
+  }
+
+  *execCall(stmt){
+    const slot=this.lookupSlot(stmt.name);
+    const inst=slot && slot.value;
+    if(inst && typeof inst==='object' && inst._fbType){
+      // Qualified path keeps standard FB state apart for timers nested in different FB instances
+      const path=this.currentPath() ? `${this.currentPath()}.${stmt.name}` : stmt.name;
+      const decl=this.functionBlocks[inst._fbType.toUpperCase()];
+      if(decl) return yield* this.callFunctionBlock(decl,inst,stmt.args,path);
+      return this.callStandardFb(inst,stmt.args,path);
+    }
+    const fn=this.functions[stmt.name.toUpperCase()];
+    if(fn){ yield* this.invokeFunction(fn,stmt.args); return; }
+    throw new Error(`Unknown function block or call: ${stmt.name}`);
+  }
+
+  callStandardFb(fbInstance,callArgs,instanceName){
+    const fbType=fbInstance._fbType.toUpperCase(); const spec=STANDARD_FBS[fbType]; const args={};
+    if(!spec) throw new Error(`Unknown function block type ${fbInstance._fbType} for ${instanceName}`);
+    let position=0;
+    for(const a of callArgs){
+      if(a.output) continue;
+      const key=a.name ? a.name.toUpperCase() : spec.inputs[position++];
+      if(!key) throw new Error(`Too many arguments for ${fbInstance._fbType} ${instanceName}`);
+      args[key]=this.evalExpression(a.value);
+    }
+    let res;
+    if(['TON','TOF','TP'].includes(fbType)) res=this.stdlib[fbType](instanceName,{IN:!!args['IN'],PT:args['PT']||1000});
+    else if(fbType==='R_TRIG'||fbType==='F_TRIG'){ const IN=args['CLK']||args['IN']; res=this.stdlib[fbType](instanceName,!!IN); }
+    else if(fbType==='CTU') res=this.stdlib.CTU(instanceName,{CU:!!args['CU'],R:!!args['R'],PV:args['PV']});
+    else if(fbType==='CTD') res=this.stdlib.CTD(instanceName,{CD:!!args['CD'],LD:!!args['LD'],PV:args['PV']});
+    else if(fbType==='CTUD') res=this.stdlib.CTUD(instanceName,{CU:!!args['CU'],CD:!!args['CD'],R:!!args['R'],LD:!!args['LD'],PV:args['PV']});
+    else if(fbType==='SR') res=this.stdlib.SR(instanceName,{S1:!!args['S1'],R:!!args['R']});
+    else res=this.stdlib.RS(instanceName,{S:!!args['S'],R1:!!args['R1']});
+    Object.assign(fbInstance,res);
+    for(const a of callArgs){ if(a.output){ const key=Object.keys(res).find(k=>k.toUpperCase()===a.name.toUpperCase()); if(!key) throw new Error(`${fbInstance._fbType} has no output ${a.name}`); this.assignTo(a.value,res[key]); } }
+    return res;
+  }
+
+  *callFunctionBlock(decl,inst,args,path){
+    if(this.frames.length>=MAX_CALL_DEPTH) throw new Error(`Call depth exceeded at ${path}`);
+    const slots=this.instanceSlots(inst,decl);
+    const bound=yield* this.bindArguments(decl,args);
+    for(const b of bound.inputs) slots[b.decl.name].value=this.coerce(b.decl.type,b.value,`${path}.${b.decl.name}`);
+    for(const d of decl.declarations) if(d.section==='VAR_TEMP') inst[d.name]=this.initialValue(d);
+    this.frames.push({ vars:slots, path });
+    try { yield* this.execBlock(decl.statements); } finally { this.frames.pop(); }
+    this.writeBackArguments(decl,slots,args,bound);
+  }
+
+  // Function call from an expression; it runs to completion (see evalSteps for calls that can halt inside the body)
+  callFunction(decl,args){ return this.runToEnd(this.invokeFunction(decl,args)); }
+  *invokeFunction(decl,args){
+    if(this.frames.length>=MAX_CALL_DEPTH) throw new Error(`Call depth exceeded calling ${decl.name}`);
+    // Functions keep no state between calls: locals are rebuilt on every call, the result is the variable named after the function
+    const slots={};
+    for(const d of decl.declarations) slots[d.name]={ type:d.type, value:this.initialValue(d) };
+    slots[decl.name]={ type:decl.returnType, value:this.defaultForType(decl.returnType) };
+    const bound=yield* this.bindArguments(decl,args);
+    for(const b of bound.inputs) slots[b.decl.name].value=this.coerce(b.decl.type,b.value,`${decl.name}.${b.decl.name}`);
+    this.frames.push({ vars:slots, path:decl.name });
+    try { yield* this.execBlock(decl.statements); } finally { this.frames.pop(); }
+    this.writeBackArguments(decl,slots,args,bound);
+    return slots[decl.name].value;
+  }
+
+  // Evaluates call arguments in the caller's scope. Positional arguments follow VAR_INPUT/VAR_IN_OUT declaration order.
+  // VAR_IN_OUT is copy-in/copy-out: the caller's variable is read before the call and written back after it.
+  *bindArguments(decl,args){
+    const params=decl.declarations.filter(d=>d.section==='VAR_INPUT'||d.section==='VAR_IN_OUT');
+    const inputs=[]; const inOuts=[];
+    let position=0;
+    for(const a of args){
+      if(a.output) continue;
+      let d;
+      if(a.name){ d=params.find(p=>p.name.toUpperCase()===a.name.toUpperCase()); if(!d) throw new Error(`${decl.name} has no input ${a.name}`); }
+      else { d=params[position++]; if(!d) throw new Error(`Too many arguments for ${decl.name}`); }
+      inputs.push({ decl:d, value:yield* this.evalSteps(a.value) });
+      if(d.section==='VAR_IN_OUT') inOuts.push({ decl:d, target:a.value });
+    }
+    return { inputs, inOuts };
+  }
+
+  writeBackArguments(decl,slots,args,bound){
+    for(const io of bound.inOuts) this.assignTo(io.target,slots[io.decl.name].value);
+    for(const a of args){
+      if(!a.output) continue;
+      const d=decl.declarations.find(v=>v.section==='VAR_OUTPUT' && v.name.toUpperCase()===a.name.toUpperCase());
+      if(!d) throw new Error(`${decl.name} has no output ${a.name}`);
+      this.assignTo(a.value,slots[d.name].value);
+    }
+  }
 
   evalExpression(node){
     if(!node) return null;
@@ -351,39 +1232,450 @@ class Runtime {
       case'String': return node.value;
       case'Bool': return node.value;
       case'Var': return this.getVarValue(node.name);
-      case'MemberAccess': const obj=this.getVarValue(node.object); if(obj&&typeof obj==='object'&&node.member in obj)return obj[node.member]; throw new Error(`Member ${node.member} not found in ${node.object}`);
-      case'ArrayRef': const arr=this.getVarValue(node.name); const idx=this.evalExpression(node.index); if(!Array.isArray(arr)) throw new Error(`${node.name} is not array`); return arr[idx];
-      case'Unary': const v=this.evalExpression(node.expr); if(node.op==='-') return -v; if(node.op==='+') return +v; if(node.op==='NOT') return !v; return v;
-      case'Binary': const a=this.evalExpression(node.left); const b=this.evalExpression(node.right); switch(node.op){ case'+': return a+b; case'-': return a-b; case'*': return a*b; case'/': return a/b; case'DIV': return Math.trunc(a/b); case'MOD': return a%b; case'AND': return a&&b; case'OR': return a||b; case'=': return a==b; case'<>': case'!=': return a!=b; case'<': return a<b; case'>': return a>b; case'<=': return a<=b; case'>=': return a>=b; default: throw new Error(`Unknown binary op ${node.op}`); }
-      case'CallExpr': const args=node.args.map(a=>this.evalExpression(a)); const name=node.name.toUpperCase(); if(name in this.stdlib) return this.stdlib[name](...args); throw new Error(`Unknown function ${node.name}`);
+      case'EnumValue': { const members=this.enumTypes[node.enumType]; if(!members) throw new Error(`Unknown enumeration type ${node.enumType}`); if(!(node.name in members)) throw new Error(`${node.name} is not a member of ${node.enumType}`); return members[node.name]; }
+      case'MemberAccess': case'ArrayRef': return this.resolveRef(node).get();
+      case'BitAccess': { this.bitTarget(node); return ((BigInt(toInteger(this.evalExpression(node.target)))>>BigInt(node.bit))&1n)===1n; }
+      case'Unary': return this.applyUnary(node,this.evalExpression(node.expr));
+      case'Binary': return this.applyBinary(node,this.evalExpression(node.left),this.evalExpression(node.right));
+      case'CallExpr': { const name=node.name.toUpperCase(); if(name in this.functions) return this.callFunction(this.functions[name],node.args); if(SHIFT_FUNCTIONS.includes(name)) return this.callShift(name,node.args); const spec=this.standardSpec(name); if(spec) return this.callStandardFunction(name,spec,node); if(name in this.stdlib) return this.stdlib[name](...node.args.map(a=>this.evalExpression(a.value))); throw new Error(`Unknown function ${node.name}`); }
       default: throw new Error(`Unsupported expression node ${node.type}`);
     }
   }
+  applyUnary(node,v){ if(node.op==='-') return -v; if(node.op==='+') return +v; if(node.op==='NOT') return this.complement(node.expr,v); return v; }
+  applyBinary(node,a,b){
+    switch(node.op){ case'+': return a+b; case'-': return a-b; case'*': return a*b; case'/': if(this.isIntegerExpr(node.left)&&this.isIntegerExpr(node.right)) return this.integerDivide(a,b); return a/b; case'DIV': return this.integerDivide(a,b); case'MOD': if(this.isIntegerExpr(node.left)&&this.isIntegerExpr(node.right)) return this.integerModulo(a,b); return a%b; case'AND': case'OR': case'XOR': return this.logicOrBitwise(node.op,a,b); case'=': return a==b; case'<>': case'!=': return a!=b; case'<': return a<b; case'>': return a>b; case'<=': return a<=b; case'>=': return a>=b; default: throw new Error(`Unknown binary op ${node.op}`); }
+  }
+
+  // Evaluates an expression inside a statement generator. Only expressions that call a user FUNCTION are taken apart,
+  // so the call can halt inside the function body; calls nested in indexes or conversions run to completion.
+  *evalSteps(node){
+    if(!this.callsUserFunction(node)) return this.evalExpression(node);
+    switch(node.type){
+      case'Unary': return this.applyUnary(node,yield* this.evalSteps(node.expr));
+      case'Binary': { const a=yield* this.evalSteps(node.left); const b=yield* this.evalSteps(node.right); return this.applyBinary(node,a,b); }
+      case'CallExpr': {
+        const name=node.name.toUpperCase();
+        if(name in this.functions) return yield* this.invokeFunction(this.functions[name],node.args);
+        const spec=!SHIFT_FUNCTIONS.includes(name) && this.standardSpec(name);
+        if(spec){ const pairs=this.standardArgs(name,spec,node); const values=[]; for(const p of pairs) values.push(yield* this.evalSteps(p.arg.value)); return this.applyStandardFunction(name,spec,node,pairs,values); }
+      }
+    }
+    return this.evalExpression(node);
+  }
+  callsUserFunction(node){
+    if(!node || typeof node!=='object') return false;
+    let found=this.userCallCache.get(node);
+    if(found===undefined){ found=false; walkAst(node,n=>{ if(n.type==='CallExpr' && n.name.toUpperCase() in this.functions) found=true; }); this.userCallCache.set(node,found); }
+    return found;
+  }
+
+  // STANDARD_FUNCTIONS entry, or a synthesized one for X_TO_Y conversions
+  standardSpec(name){
+    if(Object.prototype.hasOwnProperty.call(STANDARD_FUNCTIONS,name)) return STANDARD_FUNCTIONS[name];
+    const conversion=conversionTypes(name);
+    return conversion ? { params:[['IN',typeClass(conversion.from)]], returns:typeClass(conversion.to), conversion } : null;
+  }
+  callStandardFunction(name,spec,node){
+    const pairs=this.standardArgs(name,spec,node);
+    return this.applyStandardFunction(name,spec,node,pairs,pairs.map(p=>this.evalExpression(p.arg.value)));
+  }
+  applyStandardFunction(name,spec,node,pairs,values){
+    this.checkArgClasses(name,spec,pairs,pairs.map((p,i)=>this.runtimeClass(p.arg.value,values[i])),node);
+    try {
+      if(spec.conversion) return convertValue(spec.conversion.from,spec.conversion.to,values[0]);
+      return spec.fn(...values);
+    } catch(e) { throw this.typeError(node,e.message); }
+  }
+  // Pairs each argument with its parameter; named arguments are accepted for fixed-arity functions
+  standardArgs(name,spec,node){
+    const args=node.args;
+    if(args.some(a=>a.output)) throw this.typeError(node,`${name} has no outputs`);
+    if(args.some(a=>a.name)){
+      if(spec.variadic) throw this.typeError(node,`${name} takes positional arguments only`);
+      for(const a of args) if(!a.name || !spec.params.some(p=>p[0]===a.name.toUpperCase())) throw this.typeError(node,`${name} has no input ${a.name || '(positional)'} in a named call`);
+      return spec.params.map(param=>{
+        const arg=args.find(a=>a.name.toUpperCase()===param[0]);
+        if(!arg) throw this.typeError(node,`${name} is missing input ${param[0]}`);
+        return { param, arg };
+      });
+    }
+    const count=spec.params.length;
+    if(args.length<count || (!spec.variadic && args.length>count)) throw this.typeError(node,`${name} expects ${spec.variadic ? 'at least ' : ''}${count} argument(s), got ${args.length}`);
+    return args.map((arg,i)=>({ param:spec.params[Math.min(i,count-1)], arg }));
+  }
+  // classes[i] is the class of pairs[i].arg or null when unknown (skipped)
+  checkArgClasses(name,spec,pairs,classes,node){
+    pairs.forEach((p,i)=>{
+      const c=classes[i];
+      if(c!==null && !CLASS_ACCEPTS[p.param[1]].includes(c)) throw this.typeError(node,`${name} expects ${p.param[1]==='NUM' ? 'a number' : p.param[1]} for ${p.param[0]}, got ${c==='OTHER' ? 'a structured value' : c}`);
+    });
+    if(spec.returns==='ARG'){
+      const families=new Set(pairs.map((p,i)=>this.isValueParam(spec,p.param) ? classes[i] : null).filter(c=>c!==null).map(classFamily));
+      if(families.size>1) throw this.typeError(node,`${name} arguments must all have the same type`);
+    }
+  }
+  isValueParam(spec,param){ return param[1]==='ANY' || (spec.returns==='ARG' && param[1]==='NUM'); }
+  // Class of a call's result; classOf gives the class of an argument expression
+  callResultClass(node,classOf){
+    const name=node.name.toUpperCase();
+    if(name in this.functions) return typeClass(this.functions[name].returnType,this.enumTypes);
+    const spec=this.standardSpec(name);
+    if(!spec) return null;
+    if(spec.returns!=='ARG') return spec.returns;
+    const classes=node.args.filter((a,i)=>this.isValueParam(spec,spec.params[Math.min(i,spec.params.length-1)])).map(a=>classOf(a.value));
+    if(classes.length===0 || classes.includes(null)) return null;
+    return classes.includes('REAL') ? 'REAL' : classes[0];
+  }
+  // Declared type when the argument is a variable reference, otherwise the class of the evaluated value
+  runtimeClass(node,value){
+    const declared=['Var','ArrayRef','MemberAccess'].includes(node.type) ? typeClass(this.declaredType(node),this.enumTypes) : null;
+    return declared && declared!=='OTHER' ? declared : valueClass(value);
+  }
+  // Class of an expression from declarations and literals alone; null when it depends on runtime values
+  staticClass(node,types){
+    switch(node.type){
+      case'Number': return node.valueType ? typeClass(node.valueType) : node.real ? 'REAL' : 'INT';
+      case'String': return 'STRING';
+      case'Bool': return 'BOOL';
+      case'EnumValue': return 'INT';
+      case'Var': return Object.prototype.hasOwnProperty.call(types,node.name) ? typeClass(types[node.name],this.enumTypes) : node.name in this.enumConstants ? 'INT' : null;
+      case'CallExpr': return this.callResultClass(node,arg=>this.staticClass(arg,types));
+      default: return null;
+    }
+  }
+  // Compile-time check of standard function calls whose argument types follow from declarations and literals
+  checkStandardCalls(){
+    const globals={};
+    for(const g of this.project.globals) globals[g.name]=g.type;
+    for(const pou of [...this.project.programs,...this.project.functionBlocks,...this.project.functions]){
+      const types={ ...globals };
+      for(const d of pou.declarations) types[d.name]=d.type;
+      if(pou.returnType) types[pou.name]=pou.returnType;
+      walkAst(pou.statements,node=>{
+        if(node.type!=='CallExpr') return;
+        const name=node.name.toUpperCase();
+        const spec=!(name in this.functions) && this.standardSpec(name);
+        if(!spec) return;
+        const pairs=this.standardArgs(name,spec,node);
+        this.checkArgClasses(name,spec,pairs,pairs.map(p=>this.staticClass(p.arg.value,types)),node);
+      });
+    }
+  }
+  typeError(node,message){ return new Error(node && node.line ? `Line ${node.line}: ${message}` : message); }
+
+  // AND/OR/XOR are logical on BOOL operands and bitwise on integers and bit strings
+  logicOrBitwise(op,a,b){
+    if(typeof a==='boolean' && typeof b==='boolean') return op==='AND' ? a&&b : op==='OR' ? a||b : a!==b;
+    return bitwise(op,a,b);
+  }
+  // NOT inverts a BOOL, or every bit of an integer within the width of its declared type
+  complement(expr,v){
+    if(typeof v==='boolean') return !v;
+    const info=elementaryInfo(this.declaredType(expr));
+    const r=-toInteger(v)-1;
+    return info && info.bits ? wrapInteger(r,info.bits,info.signed) : r;
+  }
+  // SHL(IN, N), SHR, ROL, ROR: the width of IN's declared type decides where bits fall off or wrap around
+  callShift(name,args){
+    if(args.length!==2) throw new Error(`${name} expects 2 arguments (IN, N)`);
+    const [inArg,nArg]=args[0].name && args[0].name.toUpperCase()==='N' ? [args[1],args[0]] : args;
+    const info=elementaryInfo(this.declaredType(inArg.value));
+    const bits=info && info.bits ? info.bits : DEFAULT_BIT_WIDTH;
+    const result=shiftRotate(name,this.evalExpression(inArg.value),this.evalExpression(nArg.value),bits);
+    return info && info.signed ? wrapInteger(result,bits,true) : result;
+  }
+  // Width and signedness for bit access on node.target; the bit index must lie inside the declared type
+  bitTarget(node){
+    const type=this.declaredType(node.target);
+    const info=elementaryInfo(type);
+    if(type!==null && !isIntegerType(type)) throw new Error(`Bit access .${node.bit} requires an integer or bit-string variable, not ${typeof type==='string' ? type : type.kind}`);
+    const bits=info ? info.bits : DEFAULT_BIT_WIDTH;
+    if(node.bit<0 || node.bit>=bits) throw new Error(`Bit ${node.bit} out of range for ${info ? type.toUpperCase() : `${bits}-bit value`}`);
+    return { bits, signed:info ? info.signed : false };
+  }
+  // Declared type of a variable reference, null when it is not known statically
+  declaredType(node){
+    switch(node.type){
+      case'Var': { const slot=this.lookupSlot(node.name); return slot ? slot.type : null; }
+      case'ArrayRef': case'MemberAccess': return this.resolveRef(node).type;
+      case'BitAccess': return 'BOOL';
+      default: return null;
+    }
+  }
+
+  // ANY_INT division truncates toward zero; dividing by zero is a runtime fault as on the PLC
+  integerDivide(a,b){ if(Number(b)===0) throw new Error('Integer division by zero'); return Math.trunc(a/b); }
+  integerModulo(a,b){ if(Number(b)===0) throw new Error('Integer division by zero'); return a%b; }
+
+  // Static check used by '/', which divides integers when both operands have integer types
+  isIntegerExpr(node){
+    switch(node.type){
+      case'Number': return !node.real;
+      case'Var': case'ArrayRef': case'MemberAccess': return isIntegerType(this.declaredType(node));
+      case'Unary': return node.op!=='NOT' && this.isIntegerExpr(node.expr);
+      case'Binary': return ['+','-','*','/','DIV','MOD','AND','OR','XOR'].includes(node.op) && this.isIntegerExpr(node.left) && this.isIntegerExpr(node.right);
+      case'CallExpr': { const name=node.name.toUpperCase(); if(!(name in this.functions) && (name==='TO_INT' || SHIFT_FUNCTIONS.includes(name))) return true; return this.callResultClass(node,arg=>this.isIntegerExpr(arg) ? 'INT' : 'REAL')==='INT'; }
+      default: return false;
+    }
+  }
 
-  execStatement(stmt){
+  // Statements run as generators so a scan can halt before any statement (breakpoints, stepping) and resume later.
+  // The generators yield only while a debug session drives the cycle; runToEnd drains them in one go otherwise.
+  *execStatement(stmt){
     switch(stmt.type){
       case'Nop': return;
-      case'Assign': const value=this.evalExpression(stmt.expr); if(stmt.left.type==='Var'){ this.setVarValue(stmt.left.name,value); return; } if(stmt.left.type==='ArrayRef'){ const arr=this.getVarValue(stmt.left.name); const idx=this.evalExpression(stmt.left.index); arr[idx]=value; return; } return;
-      case'Call': const instanceName=stmt.name; if(instanceName in this.vars){ const fbInstance=this.vars[instanceName].value; if(fbInstance&&typeof fbInstance==='object'&&fbInstance._fbType){ const fbType=fbInstance._fbType.toUpperCase(); const args={}; for(const a of stmt.args){ if(a && a.name) args[a.name.toUpperCase()]=this.evalExpression(a.value); } if(['TON','TOF','TP'].includes(fbType)){ const res=this.stdlib[fbType](instanceName,{IN:!!args['IN'],PT:args['PT']||1000}); fbInstance.Q=res.Q; fbInstance.ET=res.ET; return res; } if(fbType==='R_TRIG'||fbType==='F_TRIG'){ const IN=args['CLK']||args['IN']; const res=this.stdlib[fbType](instanceName,!!IN); fbInstance.Q=res.Q; return res; } } } throw new Error(`Unknown function block or call: ${instanceName}`);
-      case'If': if(this.evalExpression(stmt.cond)){ for(const s of stmt.thenStmts) this.execStatement(s); return; } let matched=false; for(const eb of stmt.elsifBlocks){ if(this.evalExpression(eb.cond)){ for(const s of eb.stmts) this.execStatement(s); matched=true; break; } } if(!matched){ for(const s of stmt.elseStmts) this.execStatement(s); } return;
-      case'While': let guardCount=0; while(this.evalExpression(stmt.cond)){ for(const s of stmt.body) this.execStatement(s); guardCount++; if(guardCount>100000) throw new Error('Possible infinite WHILE loop'); } return;
-      case'For': const start=this.evalExpression(stmt.start); const end=this.evalExpression(stmt.end); const step=stmt.step?this.evalExpression(stmt.step):1; this.setVarValue(stmt.varName,start); for(let i=start;i<=end;i+=step){ for(const s of stmt.body) this.execStatement(s); this.setVarValue(stmt.varName,i+step); } return;
+      case'Assign': { const v=yield* this.evalSteps(stmt.expr); this.assignTo(stmt.left,v); return; }
+      case'Call': yield* this.execCall(stmt); return;
+      case'Exit': return Signal.EXIT;
+      case'Continue': return Signal.CONTINUE;
+      case'Return': return Signal.RETURN;
+      case'If': if(yield* this.evalSteps(stmt.cond)) return yield* this.execBlock(stmt.thenStmts); for(const eb of stmt.elsifBlocks){ if(yield* this.evalSteps(eb.cond)) return yield* this.execBlock(eb.stmts); } return yield* this.execBlock(stmt.elseStmts);
+      case'Case': { const sel=yield* this.evalSteps(stmt.selector); for(const br of stmt.branches){ if(br.labels.some(l=>this.caseLabelMatches(l,sel))) return yield* this.execBlock(br.stmts); } return yield* this.execBlock(stmt.elseStmts); }
+      case'While': { let guardCount=0; while(yield* this.evalSteps(stmt.cond)){ const sig=yield* this.execBlock(stmt.body); if(sig===Signal.EXIT) break; if(sig===Signal.RETURN) return sig; guardCount++; if(guardCount>MAX_LOOP_ITERATIONS) throw new Error('Possible infinite WHILE loop'); } return; }
+      case'Repeat': { let guardCount=0; do{ const sig=yield* this.execBlock(stmt.body); if(sig===Signal.EXIT) break; if(sig===Signal.RETURN) return sig; guardCount++; if(guardCount>MAX_LOOP_ITERATIONS) throw new Error('Possible infinite REPEAT loop'); } while(!(yield* this.evalSteps(stmt.cond))); return; }
+      case'For': { const start=yield* this.evalSteps(stmt.start); const end=yield* this.evalSteps(stmt.end); const step=stmt.step?yield* this.evalSteps(stmt.step):1; if(step===0) throw new Error('FOR loop step must not be 0'); this.setVarValue(stmt.varName,start); for(let i=start;step>0?i<=end:i>=end;i+=step){ const sig=yield* this.execBlock(stmt.body); if(sig===Signal.EXIT) break; if(sig===Signal.RETURN) return sig; this.setVarValue(stmt.varName,i+step); } return; }
       default: throw new Error(`Unsupported statement type ${stmt.type}`);
     }
   }
 
-  runCycle(){ this.cycleCount++; for(const st of this.program.statements) this.execStatement(st); }
-  reset(){ this.vars={}; this.fbInstances={}; this.initFromDeclarations(); this.cycleCount=0; }
+  // Runs statements in order; a control-flow signal stops the block and is handed to the enclosing construct
+  *execBlock(stmts){
+    for(const s of stmts){
+      if(this.pauseEnabled){ const reason=this.haltReason(s); if(reason) yield this.haltAt(s,reason); }
+      // Plain assignments, the bulk of most logic, skip the generator machinery
+      if(s.type==='Assign' && !this.callsUserFunction(s.expr)){ this.assignTo(s.left,this.evalExpression(s.expr)); continue; }
+      const sig=yield* this.execStatement(s); if(typeof sig==='symbol') return sig;
+    }
+  }
+
+  caseLabelMatches(label,sel){ const low=this.evalExpression(label.low); if(label.high===null) return sel===low; return sel>=low && sel<=this.evalExpression(label.high); }
+
+  // Drives a statement generator to completion without halting
+  runToEnd(gen){
+    const pauseEnabled=this.pauseEnabled; this.pauseEnabled=false;
+    try { let r; do r=gen.next(); while(!r.done); return r.value; } finally { this.pauseEnabled=pauseEnabled; }
+  }
+
+  // Runs every task whose interval has elapsed, highest priority first; RETURN ends only the current program.
+  // A virtual clock moves on by one scan afterwards, so the next cycle sees the time of the next scan.
+  runCycle(){
+    if(this.activeCycle) throw new Error(`Scan halted at line ${this.pausedAt ? this.pausedAt.line : '?'}; resume it before running another cycle`);
+    this.runToEnd(this.cycle());
+  }
+  *cycle(){
+    this.cycleCount++;
+    const now=this.clock.now();
+    for(const task of this.tasks){
+      if(task.interval>0 && task.lastRun!==null && now-task.lastRun<task.interval) continue;
+      task.lastRun=now;
+      for(const inst of task.instances) yield* this.runProgram(inst);
+    }
+    // A watched variable changed by the last statement of the scan halts before outputs are published
+    if(this.pauseEnabled && this.watchpoints.length){ const watch=this.checkWatchpoints(); if(watch) yield this.haltAt(null,{ reason:'watchpoint', watch }); }
+    if(typeof this.clock.tick==='function') this.clock.tick();
+  }
+  *runProgram(inst){
+    this.frames.push({ vars:inst.vars, path:inst.path, name:inst.decl.name });
+    try { yield* this.execBlock(inst.decl.statements); } finally { this.frames.pop(); }
+  }
+
+  // --- Debugging ---
+  // A debug session starts a cycle with beginCycle and drives it with resumeCycle, which returns the location where the
+  // scan halted (a breakpoint, a watchpoint or the statement reached by a step) or null once the cycle has finished.
+  // breakpoints: line numbers, or { line, file, condition, hitCount } where file targets one file of a multi-file project,
+  // condition is an ST boolean expression evaluated in the scope of the statement and hitCount is the number of hits
+  // (with the condition met) before the breakpoint halts; it halts on every hit from then on
+  setBreakpoints(breakpoints){
+    const parsed=(breakpoints||[]).map(bp=>{
+      const spec=typeof bp==='object' ? bp : { line:bp };
+      const line=Number(spec.line);
+      if(!Number.isInteger(line) || line<1) throw new Error(`Invalid breakpoint line ${spec.line}`);
+      const hitCount=spec.hitCount===undefined || spec.hitCount===null ? 1 : Number(spec.hitCount);
+      if(!Number.isInteger(hitCount) || hitCount<1) throw new Error(`Invalid hit count ${spec.hitCount} for breakpoint at line ${line}`);
+      let condition=null;
+      if(spec.condition){
+        try { condition=parseExpressionSource(spec.condition); } catch(e) { throw new Error(`Invalid condition for breakpoint at line ${line}: ${e.message}`); }
+      }
+      return { file:spec.file||null, line, conditionText:spec.condition||null, condition, hitCount, hits:0 };
+    });
+    this.breakpoints=parsed;
+    this.breakpointLines=new Set(parsed.map(bp=>bp.line));
+    return this.getBreakpoints();
+  }
+  // A breakpoint is verified when a statement starts on its line
+  getBreakpoints(){
+    const lines=new Set();
+    walkAst(this.project,n=>{ if(n.column) lines.add(`${n.file||''}:${n.line}`).add(`*:${n.line}`); });
+    return this.breakpoints.map(bp=>({ ...this.describeBreakpoint(bp), verified:lines.has(`${bp.file===null ? '*' : bp.file}:${bp.line}`) }));
+  }
+  describeBreakpoint(bp){ return { file:bp.file, line:bp.line, condition:bp.conditionText, hitCount:bp.hitCount, hits:bp.hits }; }
+  // watchpoints: [{ variable, value, direction }] halt when the variable (a name as listed by getVarsPlain) changes,
+  // or, when value is given, when it crosses value: 'rising' (from below to value or above), 'falling' or 'both'
+  setWatchpoints(watchpoints){
+    this.watchpoints=(watchpoints||[]).map(w=>{
+      if(!w || !this.hasVar(w.variable)) throw new Error(`Unknown variable ${w && w.variable} for watchpoint`);
+      const value=w.value===undefined || w.value===null ? null : Number(w.value);
+      if(value!==null && !Number.isFinite(value)) throw new Error(`Invalid watchpoint value ${w.value} for ${w.variable}`);
+      const direction=w.direction||'both';
+      if(!['rising','falling','both'].includes(direction)) throw new Error(`Invalid watchpoint direction ${direction} (expected rising, falling or both)`);
+      return { variable:w.variable, value, direction, hits:0, last:cloneValue(this.vars[w.variable].value) };
+    });
+    return this.getWatchpoints();
+  }
+  getWatchpoints(){ return this.watchpoints.map(w=>({ variable:w.variable, value:w.value, direction:w.direction, hits:w.hits })); }
+  // Compares every watched variable with the value seen at the previous check; returns the first one that fired
+  checkWatchpoints(){
+    let fired=null;
+    for(const w of this.watchpoints){
+      const previous=w.last, value=this.vars[w.variable].value;
+      if(!valueChanged(previous,value)) continue;
+      w.last=cloneValue(value);
+      if(fired) continue;
+      if(w.value!==null){
+        const rising=previous<w.value && value>=w.value, falling=previous>w.value && value<=w.value;
+        if(!(rising && w.direction!=='falling') && !(falling && w.direction!=='rising')) continue;
+      }
+      w.hits++;
+      fired={ variable:w.variable, previous, value:cloneValue(value), crossed:w.value, hits:w.hits };
+    }
+    return fired;
+  }
+  // Why the scan should halt before stmt: a step, a watchpoint that fired or a breakpoint whose condition and hit count are met
+  haltReason(stmt){
+    // Watchpoints are checked before every statement so their last values stay current, even while stepping
+    const watch=this.watchpoints.length ? this.checkWatchpoints() : null;
+    const step=this.stepRequest;
+    if(step){
+      const depth=this.frames.length;
+      if(step.mode==='into' || (step.mode==='over' && depth<=step.depth) || (step.mode==='out' && depth<step.depth)) return watch ? { reason:'step', watch } : { reason:'step' };
+    }
+    if(watch) return { reason:'watchpoint', watch };
+    if(!this.breakpointLines.has(stmt.line)) return null;
+    for(const bp of this.breakpoints){
+      if(bp.line!==stmt.line || (bp.file!==null && bp.file!==stmt.file)) continue;
+      if(bp.condition){
+        let met;
+        // A condition that cannot be evaluated halts, so the error is seen instead of the breakpoint silently never firing
+        try { met=!!this.evalExpression(bp.condition); } catch(e) { return { reason:'breakpoint', breakpoint:this.describeBreakpoint(bp), error:`Condition ${bp.conditionText}: ${e.message}` }; }
+        if(!met) continue;
+      }
+      bp.hits++;
+      if(bp.hits>=bp.hitCount) return { reason:'breakpoint', breakpoint:this.describeBreakpoint(bp) };
+    }
+    return null;
+  }
+  // stmt is null for a halt at the end of the cycle
+  haltAt(stmt,reason){
+    this.stepRequest=null;
+    const frame=this.frames[this.frames.length-1];
+    this.pausedAt={
+      line:stmt ? stmt.line : null, column:stmt ? stmt.column : null, file:stmt ? stmt.file||null : null,
+      pou:frame ? this.frameName(frame) : null, depth:this.frames.length, callStack:this.frames.map(f=>this.frameName(f)), cycle:this.cycleCount,
+      ...reason
+    };
+    return this.pausedAt;
+  }
+  // The program frame of a single-program project has an empty path
+  frameName(frame){ return frame.path || frame.name || null; }
+  beginCycle(){
+    if(this.activeCycle) throw new Error('A scan is already in progress');
+    this.activeCycle=this.cycle(); this.pausedAt=null;
+  }
+  // mode: 'continue' runs to the next breakpoint; 'into' halts at the next statement, 'over' at the next one in the
+  // same or a calling POU, 'out' at the next one in a calling POU. Any step halts at the first statement of a new cycle.
+  resumeCycle(mode='continue'){
+    if(!this.activeCycle) throw new Error('No scan in progress');
+    if(!STEP_MODES.includes(mode)) throw new Error(`Unknown step mode ${mode}`);
+    this.stepRequest=mode==='continue' ? null : { mode, depth:this.pausedAt ? this.pausedAt.depth : Infinity };
+    this.pausedAt=null; this.pauseEnabled=true;
+    let r;
+    try { r=this.activeCycle.next(); }
+    catch(e){ this.activeCycle=null; this.stepRequest=null; throw e; }
+    finally { this.pauseEnabled=false; }
+    if(!r.done) return r.value;
+    this.activeCycle=null; this.stepRequest=null;
+    return null;
+  }
+  // Drops a halted scan, unwinding its call frames
+  abortCycle(){
+    if(this.activeCycle){ const cycle=this.activeCycle; this.activeCycle=null; cycle.return(); }
+    this.pausedAt=null; this.stepRequest=null;
+  }
+  // Variables of the innermost POU being executed (the program, FB instance or function a halted scan is in)
+  getScopePlain(){
+    const frame=this.frames[this.frames.length-1]; const out={};
+    if(frame) for(const k of Object.keys(frame.vars)) out[k]=cloneValue(frame.vars[k].value);
+    return out;
+  }
+  // Value of a standalone ST expression between cycles, over the variables listed by getVars (e.g. 'Tank_Level > 90.0')
+  evaluate(text){
+    if(this.activeCycle) throw new Error('Cannot evaluate an expression while a cycle is halted');
+    const cache=this.expressionCache||(this.expressionCache=new Map());
+    let expr=cache.get(text);
+    if(!expr){ expr=parseExpressionSource(text); cache.set(text,expr); }
+    return this.evalExpression(expr);
+  }
+  reset(){
+    this.abortCycle();
+    this.vars={}; this.globals={}; this.programInstances=[]; this.fbInstances={}; this.frames=[]; this.slotCache=new WeakMap(); this.overflowEvents=[];
+    this.initFromDeclarations(); this.cycleCount=0;
+    for(const bp of this.breakpoints) bp.hits=0;
+    for(const w of this.watchpoints){ w.hits=0; w.last=cloneValue(this.vars[w.variable].value); }
+    // Task membership points at program instances, which were just rebuilt
+    const byName=new Map(this.programInstances.map(inst=>[inst.decl.name,inst]));
+    for(const task of this.tasks){ task.instances=task.instances.map(inst=>byName.get(inst.decl.name)); task.lastRun=null; }
+  }
+  getTasks(){ return this.tasks.map(t=>({ name:t.name, interval:t.interval, priority:t.priority, programs:t.instances.map(i=>i.decl.name), lastRun:t.lastRun })); }
   getVarsPlain(){ const out={}; for(const [k,v] of Object.entries(this.vars)) out[k]=v.value; return out; }
+  // Everything a later cycle depends on: variable values (FB instances included), standard FB internals, task schedule.
+  // Values are live references; copy or serialize them before the next cycle changes them.
+  captureState(){ return { vars:this.getVarsPlain(), fbInstances:this.fbInstances, cycleCount:this.cycleCount, taskRuns:this.tasks.map(t=>t.lastRun) }; }
+  restoreState(state){
+    this.abortCycle();
+    for(const [k,v] of Object.entries(state.vars)) if(this.hasVar(k)) this.vars[k].value=cloneValue(v);
+    this.fbInstances=cloneValue(state.fbInstances); this.cycleCount=state.cycleCount;
+    this.tasks.forEach((t,i)=>{ t.lastRun=state.taskRuns[i]===undefined ? null : state.taskRuns[i]; });
+  }
 }
 
-// Public compile
-function compile(stCode){
+function parseSource(stCode){
   const tokenizer=new Tokenizer(stCode);
   const tokens=tokenizer.tokenize();
   const parser=new Parser(tokens);
-  const program=parser.parseProgram();
-  const runtime=new Runtime(program);
+  return parser.parseProgram();
+}
+
+// A standalone ST expression, such as a breakpoint condition
+function parseExpressionSource(text){
+  const parser=new Parser(new Tokenizer(String(text)).tokenize());
+  const expr=parser.parseExpression();
+  const rest=peekToken(parser.tokens,parser.iRef);
+  if(rest.type!=='EOF') throw new Error(`Unexpected ${rest.value} after expression`);
+  return expr;
+}
+
+// Public compile
+// stCode is either one ST string or a list of files ({ name, content }) compiled together as one project.
+// options: tasks and clock (see Runtime), udts (project UDT rows from the tag database)
+function compile(stCode,options={}){
+  const sources=Array.isArray(stCode) ? stCode : [{ name:null, content:stCode }];
+  const units=sources.map(src=>{
+    try {
+      const unit=parseSource(src.content);
+      // Statement locations name their file so breakpoints can target one file of a project
+      if(src.name) walkAst(unit,n=>{ if(n.column) n.file=src.name; });
+      return { file:src.name, unit };
+    } catch(e) {
+      if(src.name) e.message=`${src.name}: ${e.message}`;
+      throw e;
+    }
+  });
+  const program=linkUnits(units);
+  // Project UDTs become STRUCT types; a TYPE declared in the ST source takes precedence over a UDT of the same name
+  for(const udt of options.udts||[]){
+    if(!program.types.some(t=>t.name.toUpperCase()===String(udt.name).toUpperCase())) program.types.push(structFromUdt(udt));
+  }
+  const runtime=new Runtime(program,options);
   return {
     program,
     runtime,
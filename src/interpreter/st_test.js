@@ -0,0 +1,239 @@
+// st_test.js
+// Unit tests for ST logic, run headless: each test case compiles the logic on its own virtual clock, so timers see
+// exactly the simulated time the case advances and every run gives the same result. A case is a list of steps:
+//   { action: 'set', values: { Start_PB: true } }  or  { action: 'set', variable, value }   write inputs
+//   { action: 'run', cycles }  or  { action: 'run', ms }                                      execute scan cycles
+//   { action: 'assert', condition, message }          condition is an ST boolean expression that must be TRUE
+//   { action: 'assert', variable, expected, tolerance, message }   compare a variable (numbers within tolerance)
+// An assertion failure does not stop the case; a step that throws ends it with an error.
+
+const { compile } = require('./st_interpreter');
+const { VirtualClock } = require('./clock');
+
+const STEP_ACTIONS = ['set', 'run', 'assert'];
+const DEFAULT_CYCLE_TIME = 10;
+// A single run step may not execute more cycles than this
+const MAX_CYCLES = 100000;
+// Nor a whole suite (every run step of every case): suites run synchronously and hold up the server meanwhile
+const MAX_SUITE_CYCLES = 500000;
+
+/**
+ * Validate a test case definition
+ * @returns {Object} { name, description, cycleTimeMs, initialValues, steps }
+ */
+function normalizeTestCase(testCase) {
+  if (!testCase || typeof testCase !== 'object') throw new Error('Test case must be an object');
+  if (!testCase.name) throw new Error('Test case needs a name');
+  if (!Array.isArray(testCase.steps) || testCase.steps.length === 0) {
+    throw new Error(`${testCase.name}: test case needs a non-empty steps array`);
+  }
+  const cycleTimeMs = Number(testCase.cycleTimeMs === undefined ? DEFAULT_CYCLE_TIME : testCase.cycleTimeMs);
+  if (!(cycleTimeMs > 0)) throw new Error(`${testCase.name}: cycleTimeMs must be a positive number`);
+
+  const steps = testCase.steps.map((step, index) => {
+    const where = `${testCase.name}, step ${index + 1}`;
+    if (!STEP_ACTIONS.includes(step.action)) {
+      throw new Error(`${where}: unknown action ${step.action} (expected ${STEP_ACTIONS.join(', ')})`);
+    }
+    switch (step.action) {
+      case 'set':
+        if (step.values !== undefined) {
+          if (!step.values || typeof step.values !== 'object' || Array.isArray(step.values)) throw new Error(`${where}: values must be an object`);
+        } else if (!step.variable || step.value === undefined) {
+          throw new Error(`${where}: set needs values, or variable and value`);
+        }
+        break;
+      case 'run': {
+        if ((step.cycles === undefined) === (step.ms === undefined)) throw new Error(`${where}: run needs cycles or ms`);
+        const cycles = stepCycles(step, cycleTimeMs);
+        if (!Number.isInteger(cycles) || cycles < 0) throw new Error(`${where}: cycles must be a non-negative integer and ms a non-negative number`);
+        if (cycles > MAX_CYCLES) throw new Error(`${where}: at most ${MAX_CYCLES} cycles per run step`);
+        break;
+      }
+      case 'assert':
+        if (!step.condition && !step.variable) throw new Error(`${where}: assert needs a condition or a variable`);
+        if (step.variable && step.expected === undefined) throw new Error(`${where}: assert on a variable needs expected`);
+        if (step.tolerance !== undefined && !(Number(step.tolerance) >= 0)) throw new Error(`${where}: tolerance must be a non-negative number`);
+        break;
+    }
+    return step;
+  });
+
+  return {
+    name: String(testCase.name),
+    description: testCase.description || '',
+    cycleTimeMs,
+    initialValues: testCase.initialValues || {},
+    steps
+  };
+}
+
+function stepCycles(step, cycleTimeMs) {
+  return step.cycles !== undefined ? Number(step.cycles) : Math.ceil(Number(step.ms) / cycleTimeMs);
+}
+
+/**
+ * Validate test cases and count the scan cycles running them takes
+ * @returns {number} Cycles over all run steps; throws on the first invalid case
+ */
+function countSuiteCycles(testCases) {
+  return testCases.reduce((total, testCase) => {
+    const test = normalizeTestCase(testCase);
+    return total + test.steps.filter(step => step.action === 'run').reduce((sum, step) => sum + stepCycles(step, test.cycleTimeMs), 0);
+  }, 0);
+}
+
+function matches(actual, expected, tolerance) {
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    return Math.abs(actual - expected) <= (tolerance || 0);
+  }
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+/**
+ * Run one test case against ST source (a string or a list of { name, content } files)
+ * @param {Object} [options] - { udts } passed to compile
+ * @returns {Object} { name, status: passed|failed|error, cycles, simulatedMs, durationMs, assertions, failures, error, steps }
+ */
+function runTestCase(source, testCase, options = {}) {
+  const startedAt = Date.now();
+  const result = {
+    name: testCase && testCase.name,
+    status: 'passed',
+    cycles: 0,
+    simulatedMs: 0,
+    durationMs: 0,
+    assertions: 0,
+    failures: [],
+    error: null,
+    steps: []
+  };
+
+  let test;
+  let compiled;
+  try {
+    test = normalizeTestCase(testCase);
+    compiled = compile(source, { udts: options.udts, clock: new VirtualClock({ step: test.cycleTimeMs }) });
+  } catch (error) {
+    result.status = 'error';
+    result.error = error.message;
+    result.durationMs = Date.now() - startedAt;
+    return result;
+  }
+  const { runtime } = compiled;
+  const clock = runtime.clock;
+
+  try {
+    for (const [variable, value] of Object.entries(test.initialValues)) runtime.setVarValue(variable, value);
+
+    test.steps.forEach((step, index) => {
+      const entry = { step: index + 1, action: step.action, cycle: result.cycles, timeMs: clock.now() - clock.start, status: 'done' };
+      result.steps.push(entry);
+      try {
+        if (step.action === 'set') {
+          const values = step.values !== undefined ? step.values : { [step.variable]: step.value };
+          for (const [variable, value] of Object.entries(values)) runtime.setVarValue(variable, value);
+        } else if (step.action === 'run') {
+          const cycles = stepCycles(step, test.cycleTimeMs);
+          for (let i = 0; i < cycles; i++) runtime.runCycle();
+          result.cycles += cycles;
+          entry.cycles = cycles;
+        } else {
+          result.assertions++;
+          if (step.message) entry.message = step.message;
+          let passed;
+          if (step.condition) {
+            entry.condition = step.condition;
+            passed = Boolean(runtime.evaluate(step.condition));
+          } else {
+            entry.variable = step.variable;
+            entry.expected = step.expected;
+            entry.actual = runtime.getVarValue(step.variable);
+            passed = matches(entry.actual, step.expected, Number(step.tolerance || 0));
+          }
+          entry.status = passed ? 'passed' : 'failed';
+          if (!passed) {
+            const what = step.condition
+              ? `${step.condition} is FALSE`
+              : `${step.variable} = ${JSON.stringify(entry.actual)}, expected ${JSON.stringify(step.expected)}${step.tolerance ? ` ± ${step.tolerance}` : ''}`;
+            result.failures.push({ step: index + 1, cycle: result.cycles, timeMs: entry.timeMs, message: step.message ? `${step.message}: ${what}` : what });
+          }
+        }
+      } catch (error) {
+        entry.status = 'error';
+        entry.error = error.message;
+        throw new Error(`Step ${index + 1} (${step.action}): ${error.message}`);
+      }
+    });
+  } catch (error) {
+    result.status = 'error';
+    result.error = error.message;
+  }
+
+  if (result.status !== 'error' && result.failures.length) result.status = 'failed';
+  result.simulatedMs = clock.now() - clock.start;
+  result.durationMs = Date.now() - startedAt;
+  return result;
+}
+
+/**
+ * Run test cases against ST source
+ * @returns {Object} { name, passed, timestamp, durationMs, summary: { tests, passed, failed, errors }, results }
+ */
+function runTestSuite(name, source, testCases, options = {}) {
+  const timestamp = new Date().toISOString();
+  const results = testCases.map(testCase => runTestCase(source, testCase, options));
+  const count = status => results.filter(result => result.status === status).length;
+  const summary = { tests: results.length, passed: count('passed'), failed: count('failed'), errors: count('error') };
+  return {
+    name,
+    passed: summary.failed === 0 && summary.errors === 0,
+    timestamp,
+    durationMs: results.reduce((total, result) => total + result.durationMs, 0),
+    summary,
+    results
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const seconds = ms => (ms / 1000).toFixed(3);
+
+/**
+ * JUnit XML for a suite report, as read by CI test reporters
+ */
+function toJUnitXml(report) {
+  const { summary } = report;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(report.name)}" tests="${summary.tests}" failures="${summary.failed}" errors="${summary.errors}" time="${seconds(report.durationMs)}">`,
+    `  <testsuite name="${escapeXml(report.name)}" tests="${summary.tests}" failures="${summary.failed}" errors="${summary.errors}" skipped="0" time="${seconds(report.durationMs)}" timestamp="${escapeXml(report.timestamp)}">`
+  ];
+  for (const result of report.results) {
+    const open = `    <testcase name="${escapeXml(result.name)}" classname="${escapeXml(report.name)}" time="${seconds(result.durationMs)}"`;
+    if (result.status === 'passed') {
+      lines.push(`${open}/>`);
+      continue;
+    }
+    lines.push(`${open}>`);
+    if (result.status === 'error') {
+      lines.push(`      <error message="${escapeXml(result.error)}" type="error">${escapeXml(result.error)}</error>`);
+    } else {
+      const details = result.failures.map(failure => `Step ${failure.step} at ${failure.timeMs} ms (cycle ${failure.cycle}): ${failure.message}`);
+      lines.push(`      <failure message="${escapeXml(result.failures[0].message)}" type="assertion">${escapeXml(details.join('\n'))}</failure>`);
+    }
+    lines.push(`      <system-out>${escapeXml(`${result.cycles} cycles, ${result.simulatedMs} ms simulated`)}</system-out>`);
+    lines.push('    </testcase>');
+  }
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { MAX_SUITE_CYCLES, normalizeTestCase, countSuiteCycles, runTestCase, runTestSuite, toJUnitXml };
@@ -52,7 +52,8 @@ class LogicModel {
         vendor: file.vendor,
         lastModified: file.last_modified,
         author: file.author,
-        snapshot: file.snapshot
+        snapshot: file.snapshot,
+        projectId: file.project_id
       };
     } catch (error) {
       throw new Error(`Failed to fetch logic file: ${error.message}`);
@@ -0,0 +1,131 @@
+const { v4: uuidv4 } = require('uuid');
+const { normalizeTestCase } = require('../interpreter/st_test');
+
+/**
+ * Logic Test Model
+ * Unit test cases stored with a logic file (see src/interpreter/st_test.js)
+ */
+class LogicTestModel {
+  constructor(db) {
+    this.db = db;
+  }
+
+  toModel(row) {
+    return {
+      id: row.id,
+      logicFileId: row.logic_file_id,
+      name: row.name,
+      description: row.description || '',
+      cycleTimeMs: row.cycle_time_ms,
+      initialValues: row.initial_values_json ? JSON.parse(row.initial_values_json) : {},
+      steps: JSON.parse(row.steps_json),
+      enabled: Boolean(row.enabled),
+      sortOrder: row.sort_order,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Test cases of a logic file in run order
+   */
+  async getByLogicFile(logicFileId) {
+    try {
+      const rows = await this.db('logic_tests')
+        .where({ logic_file_id: logicFileId })
+        .orderBy([{ column: 'sort_order' }, { column: 'created_at' }]);
+      return rows.map(row => this.toModel(row));
+    } catch (error) {
+      throw new Error(`Failed to fetch logic tests: ${error.message}`);
+    }
+  }
+
+  async getById(id) {
+    try {
+      const row = await this.db('logic_tests').where({ id }).first();
+      return row ? this.toModel(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to fetch logic test: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a test case; the definition is validated first
+   * @param {Object} data - { logicFileId, name, description, cycleTimeMs, initialValues, steps, enabled, sortOrder }
+   */
+  async create({ logicFileId, enabled = true, sortOrder, ...definition }) {
+    const test = normalizeTestCase(definition);
+    try {
+      if (sortOrder === undefined) {
+        const last = await this.db('logic_tests').where({ logic_file_id: logicFileId }).max('sort_order as max').first();
+        sortOrder = last && last.max !== null ? last.max + 1 : 0;
+      }
+      const id = uuidv4();
+      const now = new Date().toISOString();
+      await this.db('logic_tests').insert({
+        id,
+        logic_file_id: logicFileId,
+        name: test.name,
+        description: test.description,
+        cycle_time_ms: test.cycleTimeMs,
+        initial_values_json: JSON.stringify(test.initialValues),
+        steps_json: JSON.stringify(test.steps),
+        enabled,
+        sort_order: sortOrder,
+        created_at: now,
+        updated_at: now
+      });
+      return this.getById(id);
+    } catch (error) {
+      throw new Error(`Failed to create logic test: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a test case's definition, enabled flag or sort order
+   * @returns {Promise<Object|null>} Updated test case, null if it does not exist
+   */
+  async update(id, changes) {
+    const existing = await this.getById(id);
+    if (!existing) return null;
+
+    const test = normalizeTestCase(this.mergeDefinition(existing, changes));
+    try {
+      const updates = {
+        name: test.name,
+        description: test.description,
+        cycle_time_ms: test.cycleTimeMs,
+        initial_values_json: JSON.stringify(test.initialValues),
+        steps_json: JSON.stringify(test.steps),
+        updated_at: new Date().toISOString()
+      };
+      if (changes.enabled !== undefined) updates.enabled = Boolean(changes.enabled);
+      if (changes.sortOrder !== undefined) updates.sort_order = changes.sortOrder;
+      await this.db('logic_tests').where({ id }).update(updates);
+      return this.getById(id);
+    } catch (error) {
+      throw new Error(`Failed to update logic test: ${error.message}`);
+    }
+  }
+
+  /**
+   * Definition of a test case after an update's changes
+   */
+  mergeDefinition(existing, changes) {
+    const definition = { ...existing };
+    for (const key of ['name', 'description', 'cycleTimeMs', 'initialValues', 'steps']) {
+      if (changes[key] !== undefined) definition[key] = changes[key];
+    }
+    return definition;
+  }
+
+  async delete(id) {
+    try {
+      return await this.db('logic_tests').where({ id }).del();
+    } catch (error) {
+      throw new Error(`Failed to delete logic test: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LogicTestModel;
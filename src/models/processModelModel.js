@@ -0,0 +1,112 @@
+const { v4: uuidv4 } = require('uuid');
+const { normalizeParams } = require('../simulator/processModels');
+
+/**
+ * Process Model Model
+ * Plant blocks configured per project for the simulator (see src/simulator/processModels.js)
+ */
+class ProcessModelModel {
+  constructor(db) {
+    this.db = db;
+  }
+
+  toModel(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      name: row.name,
+      type: row.type,
+      params: JSON.parse(row.params_json),
+      enabled: Boolean(row.enabled),
+      sortOrder: row.sort_order,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Models of a project in execution order
+   */
+  async getByProject(projectId) {
+    try {
+      const rows = await this.db('process_models')
+        .where({ project_id: projectId })
+        .orderBy([{ column: 'sort_order' }, { column: 'created_at' }]);
+      return rows.map(row => this.toModel(row));
+    } catch (error) {
+      throw new Error(`Failed to fetch process models: ${error.message}`);
+    }
+  }
+
+  async getById(id) {
+    try {
+      const row = await this.db('process_models').where({ id }).first();
+      return row ? this.toModel(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to fetch process model: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a model; parameters are validated against the block type
+   * @param {Object} data - { projectId, name, type, params, enabled, sortOrder }
+   */
+  async create({ projectId, name, type, params = {}, enabled = true, sortOrder }) {
+    normalizeParams(type, params);
+    try {
+      if (sortOrder === undefined) {
+        const last = await this.db('process_models').where({ project_id: projectId }).max('sort_order as max').first();
+        sortOrder = last && last.max !== null ? last.max + 1 : 0;
+      }
+      const id = uuidv4();
+      const now = new Date().toISOString();
+      await this.db('process_models').insert({
+        id,
+        project_id: projectId,
+        name,
+        type,
+        params_json: JSON.stringify(params),
+        enabled,
+        sort_order: sortOrder,
+        created_at: now,
+        updated_at: now
+      });
+      return this.getById(id);
+    } catch (error) {
+      throw new Error(`Failed to create process model: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a model's name, type, params, enabled flag or sort order
+   * @returns {Promise<Object|null>} Updated model, null if it does not exist
+   */
+  async update(id, changes) {
+    const existing = await this.getById(id);
+    if (!existing) return null;
+
+    const type = changes.type !== undefined ? changes.type : existing.type;
+    const params = changes.params !== undefined ? changes.params : existing.params;
+    normalizeParams(type, params);
+    try {
+      const updates = { type, params_json: JSON.stringify(params), updated_at: new Date().toISOString() };
+      if (changes.name !== undefined) updates.name = changes.name;
+      if (changes.enabled !== undefined) updates.enabled = Boolean(changes.enabled);
+      if (changes.sortOrder !== undefined) updates.sort_order = changes.sortOrder;
+      await this.db('process_models').where({ id }).update(updates);
+      return this.getById(id);
+    } catch (error) {
+      throw new Error(`Failed to update process model: ${error.message}`);
+    }
+  }
+
+  async delete(id) {
+    try {
+      return await this.db('process_models').where({ id }).del();
+    } catch (error) {
+      throw new Error(`Failed to delete process model: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ProcessModelModel;
@@ -0,0 +1,121 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Simulation Snapshot Model
+ * Saved simulator states (see SimulatorEngine.captureSnapshot), optionally attached to a project version
+ */
+class SimulationSnapshotModel {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Summary fields; the state itself is only returned by getById
+  toSummary(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      versionId: row.version_id,
+      name: row.name,
+      description: row.description,
+      createdBy: row.created_by,
+      cycle: row.cycle,
+      time: Number(row.time_ms),
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Snapshots, newest first
+   * @param {Object} filters - { projectId, versionId }
+   */
+  async getAll({ projectId, versionId } = {}) {
+    try {
+      const query = this.db('simulation_snapshots')
+        .select('id', 'project_id', 'version_id', 'name', 'description', 'created_by', 'cycle', 'time_ms', 'created_at')
+        .orderBy('created_at', 'desc');
+      if (projectId) query.where('project_id', projectId);
+      if (versionId) query.where('version_id', versionId);
+
+      const rows = await query;
+      return rows.map(row => this.toSummary(row));
+    } catch (error) {
+      throw new Error(`Failed to fetch simulation snapshots: ${error.message}`);
+    }
+  }
+
+  /**
+   * A snapshot including its captured state
+   */
+  async getById(id) {
+    try {
+      const row = await this.db('simulation_snapshots').where({ id }).first();
+      return row ? { ...this.toSummary(row), snapshot: JSON.parse(row.snapshot_json) } : null;
+    } catch (error) {
+      throw new Error(`Failed to fetch simulation snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a captured state
+   * @param {Object} data - { projectId, versionId, name, description, createdBy, snapshot }
+   */
+  async create({ projectId = null, versionId = null, name, description = null, createdBy = null, snapshot }) {
+    if (versionId) await this.checkVersion(versionId, projectId);
+    try {
+      const id = uuidv4();
+      await this.db('simulation_snapshots').insert({
+        id,
+        project_id: projectId,
+        version_id: versionId,
+        name,
+        description,
+        created_by: createdBy,
+        cycle: snapshot.cycle,
+        time_ms: Math.round(snapshot.time),
+        snapshot_json: JSON.stringify(snapshot),
+        created_at: new Date().toISOString()
+      });
+      return this.getById(id);
+    } catch (error) {
+      throw new Error(`Failed to save simulation snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Attach a snapshot to a version of its project, or detach it with null
+   * @returns {Promise<Object|null>} Updated summary, null if the snapshot does not exist
+   */
+  async attachToVersion(id, versionId) {
+    const row = await this.db('simulation_snapshots').where({ id }).first('project_id');
+    if (!row) return null;
+    if (versionId) await this.checkVersion(versionId, row.project_id);
+    try {
+      await this.db('simulation_snapshots').where({ id }).update({ version_id: versionId || null });
+      const updated = await this.db('simulation_snapshots').where({ id }).first();
+      return this.toSummary(updated);
+    } catch (error) {
+      throw new Error(`Failed to attach simulation snapshot: ${error.message}`);
+    }
+  }
+
+  // A snapshot can only be attached to a version of the project it was taken in
+  async checkVersion(versionId, projectId) {
+    const version = await this.db('versions').where({ id: versionId }).first('project_id');
+    if (!version) {
+      throw new Error(`Version ${versionId} not found`);
+    }
+    if (version.project_id !== projectId) {
+      throw new Error(`Version ${versionId} belongs to another project`);
+    }
+  }
+
+  async delete(id) {
+    try {
+      return await this.db('simulation_snapshots').where({ id }).del();
+    } catch (error) {
+      throw new Error(`Failed to delete simulation snapshot: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SimulationSnapshotModel;
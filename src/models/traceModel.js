@@ -0,0 +1,89 @@
+/**
+ * Trace Model
+ * Persists simulator trace entries that no longer fit in the in-memory buffer
+ * (see src/simulator/trace.js for the entry format)
+ */
+class TraceModel {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Store trace entries of a recording
+   * @param {string} runId - Recording id
+   * @param {Array<Object>} entries - { cycle, time, delta, keyframe }
+   */
+  async insertEntries(runId, entries) {
+    try {
+      const rows = entries.map(entry => ({
+        run_id: runId,
+        cycle: entry.cycle,
+        time_ms: entry.time,
+        delta_json: JSON.stringify(entry.delta),
+        keyframe_json: entry.keyframe ? JSON.stringify(entry.keyframe) : null
+      }));
+      await this.db.batchInsert('simulation_trace', rows, 100);
+    } catch (error) {
+      throw new Error(`Failed to store trace entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Trace entries of a recording in cycle order, optionally limited to a cycle and/or time range
+   */
+  async getEntries(runId, { fromCycle, toCycle, fromTime, toTime, limit } = {}) {
+    try {
+      const query = this.db('simulation_trace')
+        .where('run_id', runId)
+        .orderBy('cycle');
+      if (fromCycle !== undefined) query.where('cycle', '>=', fromCycle);
+      if (toCycle !== undefined) query.where('cycle', '<=', toCycle);
+      if (fromTime !== undefined) query.where('time_ms', '>=', fromTime);
+      if (toTime !== undefined) query.where('time_ms', '<=', toTime);
+      if (limit !== undefined) query.limit(limit);
+
+      const rows = await query.select('cycle', 'time_ms', 'delta_json');
+      return rows.map(row => ({
+        cycle: row.cycle,
+        time: Number(row.time_ms),
+        delta: JSON.parse(row.delta_json)
+      }));
+    } catch (error) {
+      throw new Error(`Failed to fetch trace entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Latest keyframe at or before a cycle
+   * @returns {Promise<Object|null>} { cycle, time, sections }
+   */
+  async getKeyframe(runId, cycle) {
+    try {
+      const row = await this.db('simulation_trace')
+        .where('run_id', runId)
+        .where('cycle', '<=', cycle)
+        .whereNotNull('keyframe_json')
+        .orderBy('cycle', 'desc')
+        .first('cycle', 'time_ms', 'keyframe_json');
+
+      return row ? { cycle: row.cycle, time: Number(row.time_ms), sections: JSON.parse(row.keyframe_json) } : null;
+    } catch (error) {
+      throw new Error(`Failed to fetch trace keyframe: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a recording, or only its entries after a cycle
+   */
+  async deleteRun(runId, afterCycle) {
+    try {
+      const query = this.db('simulation_trace').where('run_id', runId);
+      if (afterCycle !== undefined) query.where('cycle', '>', afterCycle);
+      return await query.del();
+    } catch (error) {
+      throw new Error(`Failed to delete trace entries: ${error.message}`);
+    }
+  }
+}
+
+module.exports = TraceModel;
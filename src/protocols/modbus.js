@@ -0,0 +1,453 @@
+// modbus.js
+// Embedded Modbus TCP server (slave) over a simulation: HMIs and SCADA test benches read and write the shadow
+// runtime as if it were the PLC. Tags are mapped onto the four Modbus tables by their address:
+//   Modicon        0xxxx / 00001 coil, 1xxxx discrete input, 3xxxx input register, 4xxxx holding register
+//                  (5 or 6 digits, 1-based: 40001 and 400001 are holding register 0)
+//   IEC (OpenPLC)  %QXn.b coil n*8+b, %IXn.b discrete input n*8+b, %IWn input register n, %QWn holding register n,
+//                  %MWn holding register 1024+n, %MDn holding registers 2048+2n (32-bit)
+// A tag takes as many registers as its type needs (DINT, DWORD, REAL: 2, LINT, LREAL: 4), high word first.
+// Coils and holding registers write the simulation variable of the same name; reading an address no tag covers
+// returns 0, writing one is an illegal data address.
+const net = require('net');
+
+const TABLES = {
+  coils: { bits: true, writable: true },
+  discreteInputs: { bits: true, writable: false },
+  inputRegisters: { bits: false, writable: false },
+  holdingRegisters: { bits: false, writable: true }
+};
+
+const MODICON_TABLES = { 0: 'coils', 1: 'discreteInputs', 3: 'inputRegisters', 4: 'holdingRegisters' };
+
+// Registers a value of each type occupies; other types (e.g. STRING) cannot be mapped to registers
+const TYPE_WORDS = {
+  BOOL: 1, SINT: 1, USINT: 1, BYTE: 1, INT: 1, UINT: 1, WORD: 1,
+  DINT: 2, UDINT: 2, DWORD: 2, REAL: 2, TIME: 2,
+  LINT: 4, ULINT: 4, LWORD: 4, LREAL: 4
+};
+
+const EXCEPTIONS = {
+  ILLEGAL_FUNCTION: 0x01,
+  ILLEGAL_DATA_ADDRESS: 0x02,
+  ILLEGAL_DATA_VALUE: 0x03,
+  SERVER_DEVICE_FAILURE: 0x04
+};
+
+class ModbusException extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Modbus location of a tag address
+ * @returns {Object|null} { table, index } (index 0-based), null for addresses that are not Modbus addresses
+ */
+function parseAddress(address) {
+  const text = String(address || '').trim().toUpperCase();
+
+  let match = text.match(/^([0134])(\d{4,5})$/);
+  if (match) {
+    const index = Number(match[2]) - 1;
+    return index >= 0 && index <= 0xFFFF ? { table: MODICON_TABLES[match[1]], index } : null;
+  }
+
+  match = text.match(/^%([IQ])X(\d+)\.([0-7])$/);
+  if (match) {
+    const index = Number(match[2]) * 8 + Number(match[3]);
+    return index <= 0xFFFF ? { table: match[1] === 'Q' ? 'coils' : 'discreteInputs', index } : null;
+  }
+
+  match = text.match(/^%(IW|QW|MW|MD)(\d+)$/);
+  if (match) {
+    const n = Number(match[2]);
+    const index = { IW: n, QW: n, MW: 1024 + n, MD: 2048 + 2 * n }[match[1]];
+    return index <= 0xFFFF ? { table: match[1] === 'IW' ? 'inputRegisters' : 'holdingRegisters', index } : null;
+  }
+  return null;
+}
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * Register words (uint16, high word first) of a value
+ */
+function encodeValue(type, value) {
+  const words = TYPE_WORDS[type] || 1;
+  const buffer = Buffer.alloc(words * 2);
+  const n = toNumber(value);
+  switch (type) {
+    case 'BOOL': buffer.writeUInt16BE(n !== 0 ? 1 : 0); break;
+    case 'SINT': case 'INT': buffer.writeInt16BE((Math.trunc(n) << 16) >> 16); break;
+    case 'DINT': case 'TIME': buffer.writeInt32BE(Math.trunc(n) | 0); break;
+    case 'UDINT': case 'DWORD': buffer.writeUInt32BE(Math.trunc(n) >>> 0); break;
+    case 'REAL': buffer.writeFloatBE(n); break;
+    case 'LREAL': buffer.writeDoubleBE(n); break;
+    case 'LINT': buffer.writeBigInt64BE(BigInt.asIntN(64, BigInt(Math.trunc(n)))); break;
+    case 'ULINT': case 'LWORD': buffer.writeBigUInt64BE(BigInt.asUintN(64, BigInt(Math.trunc(n)))); break;
+    default: buffer.writeUInt16BE(Math.trunc(n) & 0xFFFF);
+  }
+  const result = [];
+  for (let i = 0; i < words; i++) result.push(buffer.readUInt16BE(i * 2));
+  return result;
+}
+
+/**
+ * Value of register words written by a client
+ */
+function decodeValue(type, words) {
+  const buffer = Buffer.alloc(words.length * 2);
+  words.forEach((word, i) => buffer.writeUInt16BE(word, i * 2));
+  switch (type) {
+    case 'BOOL': return buffer.readUInt16BE() !== 0;
+    case 'SINT': case 'INT': return buffer.readInt16BE();
+    case 'DINT': case 'TIME': return buffer.readInt32BE();
+    case 'UDINT': case 'DWORD': return buffer.readUInt32BE();
+    case 'REAL': return buffer.readFloatBE();
+    case 'LREAL': return buffer.readDoubleBE();
+    case 'LINT': return Number(buffer.readBigInt64BE());
+    case 'ULINT': case 'LWORD': return Number(buffer.readBigUInt64BE());
+    default: return buffer.readUInt16BE();
+  }
+}
+
+/**
+ * Lay tags out on the Modbus tables
+ * @param {Array<Object>} tags - { name, type, address, readOnly }
+ * @returns {Object} { tables: { table: Map(index -> { tag, word }) }, mapped, skipped }
+ */
+function buildRegisterMap(tags) {
+  const tables = {};
+  Object.keys(TABLES).forEach(table => { tables[table] = new Map(); });
+  const mapped = [];
+  const skipped = [];
+
+  for (const tag of tags) {
+    if (!tag.address) continue;
+    const location = parseAddress(tag.address);
+    if (!location) {
+      skipped.push({ name: tag.name, address: tag.address, reason: 'not a Modbus address' });
+      continue;
+    }
+    const type = String(tag.type || '').toUpperCase();
+    const bits = TABLES[location.table].bits;
+    if (!bits && !TYPE_WORDS[type]) {
+      skipped.push({ name: tag.name, address: tag.address, reason: `${tag.type} cannot be mapped to registers` });
+      continue;
+    }
+    const words = bits ? 1 : TYPE_WORDS[type];
+    if (location.index + words - 1 > 0xFFFF) {
+      skipped.push({ name: tag.name, address: tag.address, reason: 'runs past the end of the table' });
+      continue;
+    }
+    const table = tables[location.table];
+    const taken = [];
+    for (let i = 0; i < words; i++) {
+      if (table.has(location.index + i)) taken.push(table.get(location.index + i).tag.name);
+    }
+    if (taken.length > 0) {
+      skipped.push({ name: tag.name, address: tag.address, reason: `overlaps ${[...new Set(taken)].join(', ')}` });
+      continue;
+    }
+
+    const entry = { name: tag.name, type, address: tag.address, table: location.table, index: location.index, words, readOnly: Boolean(tag.readOnly) };
+    for (let i = 0; i < words; i++) table.set(location.index + i, { tag: entry, word: i });
+    mapped.push(entry);
+  }
+  return { tables, mapped, skipped };
+}
+
+/**
+ * Modbus TCP server for one simulation
+ */
+class ModbusServer {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getSimulation - Returns the simulation ({ id, engine }) to serve, or null
+   * @param {Array<Object>} options.tags - Tags to map (see buildRegisterMap)
+   * @param {number} [options.port=502]
+   * @param {string} [options.host='0.0.0.0']
+   * @param {number} [options.unitId] - Answer only this unit id (and 0/255); any unit id when not given
+   */
+  constructor({ getSimulation, tags = [], port = 502, host = '0.0.0.0', unitId = null }) {
+    this.getSimulation = getSimulation;
+    this.port = port;
+    this.host = host;
+    this.unitId = unitId;
+    this.server = null;
+    this.sockets = new Set();
+    this.stats = { requests: 0, exceptions: 0, writes: 0 };
+    this.startedAt = null;
+    this.setTags(tags);
+  }
+
+  /**
+   * Replace the mapped tags, e.g. after the tag database changed
+   */
+  setTags(tags) {
+    this.map = buildRegisterMap(tags);
+    return { mapped: this.map.mapped.length, skipped: this.map.skipped };
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer(socket => this.handleConnection(socket));
+      server.once('error', reject);
+      server.listen(this.port, this.host, () => {
+        server.removeListener('error', reject);
+        server.on('error', error => console.error('Modbus server error:', error.message));
+        this.server = server;
+        // Port 0 picks a free port
+        this.port = server.address().port;
+        this.startedAt = new Date().toISOString();
+        resolve(this.getStatus());
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.sockets.forEach(socket => socket.destroy());
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  getStatus() {
+    return {
+      running: Boolean(this.server),
+      host: this.host,
+      port: this.port,
+      unitId: this.unitId,
+      startedAt: this.startedAt,
+      connections: this.sockets.size,
+      ...this.stats,
+      mapped: this.map.mapped.length,
+      skipped: this.map.skipped.length
+    };
+  }
+
+  /**
+   * Tag layout: every mapped tag with its table and register range, and the tags that could not be mapped
+   */
+  getMap() {
+    return {
+      tags: this.map.mapped.map(({ name, type, address, table, index, words, readOnly }) => ({
+        name, type, address, table, start: index, end: index + words - 1, readOnly
+      })),
+      skipped: this.map.skipped
+    };
+  }
+
+  handleConnection(socket) {
+    this.sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on('data', data => {
+      buffer = Buffer.concat([buffer, data]);
+      // MBAP header: transaction id, protocol id (0), length of unit id + PDU, unit id
+      while (buffer.length >= 7) {
+        const length = buffer.readUInt16BE(4);
+        if (buffer.readUInt16BE(2) !== 0 || length < 2 || length > 254) {
+          socket.destroy();
+          return;
+        }
+        if (buffer.length < 6 + length) break;
+        const frame = buffer.subarray(0, 6 + length);
+        buffer = buffer.subarray(6 + length);
+        const response = this.handleFrame(frame);
+        if (response) socket.write(response);
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => this.sockets.delete(socket));
+  }
+
+  handleFrame(frame) {
+    const transactionId = frame.readUInt16BE(0);
+    const unitId = frame.readUInt8(6);
+    if (this.unitId !== null && unitId !== this.unitId && unitId !== 0 && unitId !== 255) return null;
+
+    const request = frame.subarray(7);
+    const functionCode = request.readUInt8(0);
+    this.stats.requests++;
+    let pdu;
+    try {
+      pdu = this.handleRequest(functionCode, request);
+    } catch (error) {
+      this.stats.exceptions++;
+      const code = error instanceof ModbusException ? error.code : EXCEPTIONS.SERVER_DEVICE_FAILURE;
+      pdu = Buffer.from([functionCode | 0x80, code]);
+    }
+
+    const header = Buffer.alloc(7);
+    header.writeUInt16BE(transactionId, 0);
+    header.writeUInt16BE(0, 2);
+    header.writeUInt16BE(pdu.length + 1, 4);
+    header.writeUInt8(unitId, 6);
+    return Buffer.concat([header, pdu]);
+  }
+
+  handleRequest(functionCode, request) {
+    const need = length => {
+      if (request.length < length) throw new ModbusException(EXCEPTIONS.ILLEGAL_DATA_VALUE, 'Request too short');
+    };
+    switch (functionCode) {
+      case 0x01:
+      case 0x02: {
+        need(5);
+        const start = request.readUInt16BE(1);
+        const count = request.readUInt16BE(3);
+        checkRange(start, count, 2000);
+        const bits = this.readBits(functionCode === 0x01 ? 'coils' : 'discreteInputs', start, count);
+        const bytes = Buffer.alloc(Math.ceil(count / 8));
+        bits.forEach((bit, i) => { if (bit) bytes[i >> 3] |= 1 << (i & 7); });
+        return Buffer.concat([Buffer.from([functionCode, bytes.length]), bytes]);
+      }
+      case 0x03:
+      case 0x04: {
+        need(5);
+        const start = request.readUInt16BE(1);
+        const count = request.readUInt16BE(3);
+        checkRange(start, count, 125);
+        const words = this.readRegisters(functionCode === 0x03 ? 'holdingRegisters' : 'inputRegisters', start, count);
+        const data = Buffer.alloc(count * 2);
+        words.forEach((word, i) => data.writeUInt16BE(word, i * 2));
+        return Buffer.concat([Buffer.from([functionCode, data.length]), data]);
+      }
+      case 0x05: {
+        need(5);
+        const address = request.readUInt16BE(1);
+        const value = request.readUInt16BE(3);
+        if (value !== 0xFF00 && value !== 0x0000) throw new ModbusException(EXCEPTIONS.ILLEGAL_DATA_VALUE, 'Coil value must be FF00 or 0000');
+        this.writeBits(address, [value === 0xFF00]);
+        return request.subarray(0, 5);
+      }
+      case 0x06: {
+        need(5);
+        this.writeRegisters(request.readUInt16BE(1), [request.readUInt16BE(3)]);
+        return request.subarray(0, 5);
+      }
+      case 0x0F: {
+        need(6);
+        const start = request.readUInt16BE(1);
+        const count = request.readUInt16BE(3);
+        checkRange(start, count, 1968);
+        const byteCount = request.readUInt8(5);
+        if (byteCount !== Math.ceil(count / 8)) throw new ModbusException(EXCEPTIONS.ILLEGAL_DATA_VALUE, 'Byte count does not match quantity');
+        need(6 + byteCount);
+        const bits = [];
+        for (let i = 0; i < count; i++) bits.push(Boolean(request[6 + (i >> 3)] & (1 << (i & 7))));
+        this.writeBits(start, bits);
+        return request.subarray(0, 5);
+      }
+      case 0x10: {
+        need(6);
+        const start = request.readUInt16BE(1);
+        const count = request.readUInt16BE(3);
+        checkRange(start, count, 123);
+        const byteCount = request.readUInt8(5);
+        if (byteCount !== count * 2) throw new ModbusException(EXCEPTIONS.ILLEGAL_DATA_VALUE, 'Byte count does not match quantity');
+        need(6 + byteCount);
+        const words = [];
+        for (let i = 0; i < count; i++) words.push(request.readUInt16BE(6 + i * 2));
+        this.writeRegisters(start, words);
+        return request.subarray(0, 5);
+      }
+      default:
+        throw new ModbusException(EXCEPTIONS.ILLEGAL_FUNCTION, `Function code ${functionCode} is not supported`);
+    }
+  }
+
+  // Current values of the served simulation
+  values() {
+    const simulation = this.getSimulation();
+    if (!simulation) throw new ModbusException(EXCEPTIONS.SERVER_DEVICE_FAILURE, 'Simulation not found');
+    return simulation.engine.state.ioValues;
+  }
+
+  readBits(tableName, start, count) {
+    const table = this.map.tables[tableName];
+    const values = this.values();
+    const bits = [];
+    for (let i = 0; i < count; i++) {
+      const slot = table.get(start + i);
+      bits.push(slot ? toNumber(values[slot.tag.name]) !== 0 : false);
+    }
+    return bits;
+  }
+
+  readRegisters(tableName, start, count) {
+    const table = this.map.tables[tableName];
+    const values = this.values();
+    const encoded = new Map(); // tag name -> words, so a multi-register value is read consistently
+    const words = [];
+    for (let i = 0; i < count; i++) {
+      const slot = table.get(start + i);
+      if (!slot) {
+        words.push(0);
+        continue;
+      }
+      if (!encoded.has(slot.tag.name)) encoded.set(slot.tag.name, encodeValue(slot.tag.type, values[slot.tag.name]));
+      words.push(encoded.get(slot.tag.name)[slot.word]);
+    }
+    return words;
+  }
+
+  writeBits(start, bits) {
+    const table = this.map.tables.coils;
+    const writes = bits.map((bit, i) => {
+      const slot = table.get(start + i);
+      this.checkWritable(slot, start + i);
+      return [slot.tag, bit];
+    });
+    this.applyWrites(writes);
+  }
+
+  writeRegisters(start, words) {
+    const table = this.map.tables.holdingRegisters;
+    const values = this.values();
+    // Words of each touched tag; words of a multi-register value the request does not cover keep their current value
+    const touched = new Map();
+    words.forEach((word, i) => {
+      const slot = table.get(start + i);
+      this.checkWritable(slot, start + i);
+      if (!touched.has(slot.tag.name)) touched.set(slot.tag.name, { tag: slot.tag, words: encodeValue(slot.tag.type, values[slot.tag.name]) });
+      touched.get(slot.tag.name).words[slot.word] = word;
+    });
+    this.applyWrites(Array.from(touched.values()).map(({ tag, words: tagWords }) => [tag, decodeValue(tag.type, tagWords)]));
+  }
+
+  checkWritable(slot, index) {
+    if (!slot) throw new ModbusException(EXCEPTIONS.ILLEGAL_DATA_ADDRESS, `No tag at ${index}`);
+    if (slot.tag.readOnly) throw new ModbusException(EXCEPTIONS.ILLEGAL_DATA_ADDRESS, `${slot.tag.name} is read-only`);
+  }
+
+  // All addresses are checked before anything is written, so a rejected request changes nothing
+  applyWrites(writes) {
+    const simulation = this.getSimulation();
+    if (!simulation) throw new ModbusException(EXCEPTIONS.SERVER_DEVICE_FAILURE, 'Simulation not found');
+    const { engine } = simulation;
+    for (const [tag] of writes) {
+      if (!engine.compiledProgram || !engine.compiledProgram.runtime.hasVar(tag.name) || engine.isForced(tag.name)) {
+        throw new ModbusException(EXCEPTIONS.SERVER_DEVICE_FAILURE, `${tag.name} cannot be written`);
+      }
+    }
+    for (const [tag, value] of writes) {
+      engine.setVariable(tag.name, tag.type === 'BOOL' ? Boolean(value) : value);
+      this.stats.writes++;
+    }
+  }
+}
+
+function checkRange(start, count, max) {
+  if (count < 1 || count > max) throw new ModbusException(EXCEPTIONS.ILLEGAL_DATA_VALUE, `Quantity must be 1..${max}`);
+  if (start + count > 0x10000) throw new ModbusException(EXCEPTIONS.ILLEGAL_DATA_ADDRESS, 'Range runs past the end of the table');
+}
+
+module.exports = { ModbusServer, parseAddress, buildRegisterMap, encodeValue, decodeValue };
@@ -0,0 +1,348 @@
+// opcua.js
+// OPC UA server over a simulation, for SCADA clients that test against OPC UA. The address space mirrors the tag
+// database under Objects/<name>:
+//   - tag_hierarchy area / equipment / routine rows become folders; a 'tag' row places its tag in the parent folder,
+//     tags the hierarchy does not place go into a Tags folder
+//   - every tag is a variable with NodeId ns=1;s=<tag name> and the data type of tags.type
+//   - UDTs become object types with a variable per member (nested UDTs as objects); tags of a UDT type are objects
+// Values are read from the simulation's runtime on every read. Writable tags write through to
+// SimulatorEngine.setVariable; read_only tags are read-only in the address space.
+
+// tags.type -> OPC UA built-in data type; anything else is published as a String
+const DATA_TYPES = {
+  BOOL: 'Boolean',
+  SINT: 'SByte', USINT: 'Byte', BYTE: 'Byte',
+  INT: 'Int16', UINT: 'UInt16', WORD: 'UInt16',
+  DINT: 'Int32', UDINT: 'UInt32', DWORD: 'UInt32',
+  LINT: 'Int64', ULINT: 'UInt64', LWORD: 'UInt64',
+  REAL: 'Float', LREAL: 'Double',
+  TIME: 'Int32', // milliseconds
+  STRING: 'String'
+};
+
+function dataTypeOf(type) {
+  return DATA_TYPES[String(type || '').toUpperCase()] || 'String';
+}
+
+function parseMembers(udt) {
+  return typeof udt.members === 'string' ? JSON.parse(udt.members) : (udt.members || []);
+}
+
+// A UDT member that is itself a UDT (same convention as structFromUdt in the interpreter)
+function memberUdt(member) {
+  return String(member.type || '').toUpperCase() === 'UDT' && member.udtType ? member.udtType : null;
+}
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+class OpcUaServer {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getSimulation - Returns the simulation ({ id, engine }) to serve, or null
+   * @param {Array<Object>} options.tags - { id, name, type, udtType, readOnly, metadata }
+   * @param {Array<Object>} [options.hierarchy] - tag_hierarchy rows
+   * @param {Array<Object>} [options.udts] - udts rows ({ name, members })
+   * @param {string} [options.name='Pandaura'] - Folder under Objects holding the address space
+   * @param {number} [options.port=4840]
+   */
+  constructor({ getSimulation, tags = [], hierarchy = [], udts = [], name = 'Pandaura', port = 4840 }) {
+    this.getSimulation = getSimulation;
+    this.tags = tags;
+    this.hierarchy = hierarchy;
+    this.udts = new Map(udts.map(udt => [udt.name, udt]));
+    this.name = name;
+    this.port = port;
+    this.server = null;
+    this.startedAt = null;
+    this.nodes = [];
+    this.skipped = [];
+    this.stats = { reads: 0, writes: 0, rejectedWrites: 0 };
+  }
+
+  async start() {
+    // Loaded on first use: node-opcua is large and only needed while a server runs
+    this.ua = require('node-opcua');
+    const { OPCUAServer } = this.ua;
+
+    this.server = new OPCUAServer({
+      port: this.port,
+      resourcePath: '/UA/Pandaura',
+      buildInfo: {
+        productName: 'Pandaura Shadow Runtime',
+        buildNumber: '1',
+        buildDate: new Date()
+      }
+    });
+    await this.server.initialize();
+    this.buildAddressSpace(this.server.engine.addressSpace);
+    await this.server.start();
+    this.startedAt = new Date().toISOString();
+    return this.getStatus();
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    await server.shutdown(0);
+  }
+
+  getStatus() {
+    return {
+      running: Boolean(this.server),
+      port: this.port,
+      endpointUrl: this.server ? this.server.endpoints[0].endpointDescriptions()[0].endpointUrl : null,
+      startedAt: this.startedAt,
+      ...this.stats,
+      nodes: this.nodes.length,
+      skipped: this.skipped.length
+    };
+  }
+
+  /**
+   * Published tags with their NodeIds and browse paths, and the tags that could not be published
+   */
+  getNodes() {
+    return { nodes: this.nodes, skipped: this.skipped };
+  }
+
+  buildAddressSpace(addressSpace) {
+    const namespace = addressSpace.getOwnNamespace();
+    const root = namespace.addFolder(addressSpace.rootFolder.objects, { browseName: this.name, nodeId: 's=folder:root' });
+    this.nodes = [];
+    this.skipped = [];
+
+    // Folders of the hierarchy, created parents first
+    const rows = new Map(this.hierarchy.map(row => [row.id, row]));
+    const folders = new Map();
+    const folderOf = (id, visiting = new Set()) => {
+      const row = rows.get(id);
+      if (!row || row.type === 'tag' || visiting.has(id)) return { node: root, path: [] };
+      if (folders.has(id)) return folders.get(id);
+      visiting.add(id);
+      const parent = folderOf(row.parent_id, visiting);
+      const folder = {
+        node: namespace.addFolder(parent.node, { browseName: row.name, nodeId: `s=folder:${row.id}` }),
+        path: [...parent.path, row.name]
+      };
+      folders.set(id, folder);
+      return folder;
+    };
+    this.hierarchy.filter(row => row.type !== 'tag').forEach(row => folderOf(row.id));
+
+    const placement = new Map(); // tag id -> folder
+    this.hierarchy.filter(row => row.type === 'tag' && row.tag_id).forEach(row => {
+      if (!placement.has(row.tag_id)) placement.set(row.tag_id, folderOf(row.parent_id));
+    });
+    let unplaced = null;
+
+    const objectTypes = new Map();
+    for (const tag of this.tags) {
+      let folder = placement.get(tag.id);
+      if (!folder) {
+        unplaced = unplaced || { node: namespace.addFolder(root, { browseName: 'Tags', nodeId: 's=folder:tags' }), path: ['Tags'] };
+        folder = unplaced;
+      }
+      try {
+        if (tag.udtType) {
+          const objectType = this.objectType(namespace, tag.udtType, objectTypes, new Set());
+          const object = objectType.instantiate({ browseName: tag.name, organizedBy: folder.node, nodeId: `s=${tag.name}` });
+          this.bindMembers(object, this.udts.get(tag.udtType), tag, []);
+        } else {
+          const variable = namespace.addVariable({
+            organizedBy: folder.node,
+            browseName: tag.name,
+            nodeId: `s=${tag.name}`,
+            dataType: dataTypeOf(tag.type),
+            accessLevel: tag.readOnly ? 'CurrentRead' : 'CurrentRead | CurrentWrite',
+            userAccessLevel: tag.readOnly ? 'CurrentRead' : 'CurrentRead | CurrentWrite',
+            description: tag.metadata && tag.metadata.description ? tag.metadata.description : undefined
+          });
+          this.bindValue(variable, tag, [], dataTypeOf(tag.type), 0);
+        }
+        this.nodes.push({
+          name: tag.name,
+          nodeId: `ns=${namespace.index};s=${tag.name}`,
+          browsePath: ['Objects', this.name, ...folder.path, tag.name].join('/'),
+          dataType: tag.udtType || dataTypeOf(tag.type),
+          writable: !tag.readOnly
+        });
+      } catch (error) {
+        this.skipped.push({ name: tag.name, reason: error.message });
+      }
+    }
+  }
+
+  // Object type of a UDT, with its member UDTs' types created first
+  objectType(namespace, name, objectTypes, visiting) {
+    if (objectTypes.has(name)) return objectTypes.get(name);
+    const udt = this.udts.get(name);
+    if (!udt) throw new Error(`Unknown UDT ${name}`);
+    if (visiting.has(name)) throw new Error(`UDT ${name} contains itself`);
+    visiting.add(name);
+
+    const objectType = namespace.addObjectType({ browseName: name });
+    for (const member of parseMembers(udt)) {
+      const nested = memberUdt(member);
+      if (nested) {
+        namespace.addObject({
+          componentOf: objectType,
+          browseName: member.name,
+          typeDefinition: this.objectType(namespace, nested, objectTypes, visiting),
+          modellingRule: 'Mandatory'
+        });
+      } else {
+        const arraySize = Number(member.arraySize) || 0;
+        namespace.addVariable({
+          componentOf: objectType,
+          browseName: member.name,
+          dataType: dataTypeOf(member.type),
+          valueRank: arraySize > 0 ? 1 : -1,
+          arrayDimensions: arraySize > 0 ? [arraySize] : null,
+          accessLevel: 'CurrentRead | CurrentWrite',
+          userAccessLevel: 'CurrentRead | CurrentWrite',
+          description: member.description || undefined,
+          modellingRule: 'Mandatory'
+        });
+      }
+    }
+    objectTypes.set(name, objectType);
+    return objectType;
+  }
+
+  // Bind the member variables of a UDT instance to the struct members of the tag's runtime value. The object type
+  // declares members writable; those of a read-only tag are made read-only here.
+  bindMembers(object, udt, tag, path) {
+    const { makeAccessLevelFlag } = this.ua;
+    for (const member of parseMembers(udt)) {
+      const child = object.getComponentByName(member.name);
+      if (!child) continue;
+      const nested = memberUdt(member);
+      if (nested) {
+        this.bindMembers(child, this.udts.get(nested), tag, [...path, member.name]);
+        continue;
+      }
+      if (tag.readOnly) {
+        child.accessLevel = makeAccessLevelFlag('CurrentRead');
+        child.userAccessLevel = makeAccessLevelFlag('CurrentRead');
+      }
+      this.bindValue(child, tag, [...path, member.name], dataTypeOf(member.type), Number(member.arraySize) || 0);
+    }
+  }
+
+  bindValue(variable, tag, path, dataType, arraySize) {
+    variable.bindVariable({
+      timestamped_get: () => this.read(tag, path, dataType, arraySize),
+      set: variant => this.write(tag, path, variant)
+    }, true);
+  }
+
+  runtime() {
+    const simulation = this.getSimulation();
+    const program = simulation && simulation.engine.compiledProgram;
+    return program ? { engine: simulation.engine, runtime: program.runtime } : null;
+  }
+
+  read(tag, path, dataType, arraySize) {
+    const { DataValue, StatusCodes } = this.ua;
+    this.stats.reads++;
+    const active = this.runtime();
+    if (!active || !active.runtime.hasVar(tag.name)) {
+      // No running logic declares the tag
+      return new DataValue({ statusCode: StatusCodes.BadWaitingForInitialData, sourceTimestamp: new Date() });
+    }
+    try {
+      let value = active.runtime.getVarValue(tag.name);
+      for (const key of path) value = value === null || value === undefined ? undefined : value[key];
+      return new DataValue({
+        value: this.toVariant(dataType, value, arraySize),
+        statusCode: StatusCodes.Good,
+        sourceTimestamp: new Date()
+      });
+    } catch (error) {
+      // The getter runs inside node-opcua's request handling, where an exception would end the process
+      return new DataValue({ statusCode: StatusCodes.BadInternalError, sourceTimestamp: new Date() });
+    }
+  }
+
+  write(tag, path, variant) {
+    const { StatusCodes } = this.ua;
+    if (tag.readOnly) {
+      this.stats.rejectedWrites++;
+      return StatusCodes.BadNotWritable;
+    }
+    const active = this.runtime();
+    if (!active || !active.runtime.hasVar(tag.name)) {
+      this.stats.rejectedWrites++;
+      return StatusCodes.BadResourceUnavailable;
+    }
+
+    let value;
+    try {
+      value = this.fromVariant(variant);
+      if (path.length > 0) {
+        // A member is written by writing the whole struct with that member changed
+        const struct = JSON.parse(JSON.stringify(active.runtime.getVarValue(tag.name)));
+        let target = struct;
+        path.slice(0, -1).forEach(key => { target = target === null || typeof target !== 'object' ? undefined : target[key]; });
+        if (target === null || typeof target !== 'object') throw new Error(`${tag.name} is not a ${tag.udtType}`);
+        target[path[path.length - 1]] = value;
+        value = struct;
+      }
+    } catch (error) {
+      // The runtime value does not have the shape the tag database describes
+      this.stats.rejectedWrites++;
+      return StatusCodes.BadTypeMismatch;
+    }
+    try {
+      // Throws for forced variables
+      active.engine.setVariable(tag.name, value);
+      this.stats.writes++;
+      return StatusCodes.Good;
+    } catch (error) {
+      this.stats.rejectedWrites++;
+      return StatusCodes.BadNotWritable;
+    }
+  }
+
+  toVariant(dataType, value, arraySize) {
+    const { Variant, DataType, VariantArrayType, coerceInt64, coerceUInt64 } = this.ua;
+    const convert = item => {
+      switch (dataType) {
+        case 'Boolean': return Boolean(item);
+        case 'String': return item === null || item === undefined ? '' : String(item);
+        case 'Float': case 'Double': return toNumber(item);
+        case 'Int64': return coerceInt64(Math.trunc(toNumber(item)));
+        case 'UInt64': return coerceUInt64(Math.trunc(toNumber(item)));
+        default: return Math.trunc(toNumber(item));
+      }
+    };
+    if (arraySize > 0) {
+      return new Variant({ dataType: DataType[dataType], arrayType: VariantArrayType.Array, value: (Array.isArray(value) ? value : []).map(convert) });
+    }
+    // Int64 values are [high, low] pairs, which node-opcua cannot tell from an array without the array type
+    return new Variant({ dataType: DataType[dataType], arrayType: VariantArrayType.Scalar, value: convert(value) });
+  }
+
+  // 64-bit integers arrive as [high, low]
+  fromVariant(variant) {
+    const { DataType } = this.ua;
+    const convert = item => {
+      if (variant.dataType === DataType.Int64 || variant.dataType === DataType.UInt64) {
+        if (!Array.isArray(item)) return Number(item);
+        // The high word is signed for Int64
+        const high = variant.dataType === DataType.Int64 ? item[0] | 0 : item[0];
+        return high * 4294967296 + item[1];
+      }
+      return item;
+    };
+    if (variant.arrayType && variant.arrayType !== this.ua.VariantArrayType.Scalar) return Array.from(variant.value || [], convert);
+    return convert(variant.value);
+  }
+}
+
+module.exports = { OpcUaServer, dataTypeOf };
@@ -2,10 +2,15 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const LogicModel = require('../models/logicModel');
+const LogicTestModel = require('../models/logicTestModel');
+const TagModel = require('../models/tagModel');
+const { MAX_SUITE_CYCLES, normalizeTestCase, countSuiteCycles, runTestSuite, toJUnitXml } = require('../interpreter/st_test');
 const { db } = require('../db/init-db');
 
 const router = express.Router();
 const logicModel = new LogicModel(db);
+const logicTestModel = new LogicTestModel(db);
+const tagModel = new TagModel(db);
 
 // Helper function to format Structured Text code
 function formatStructuredText(text, options = {}) {
@@ -445,6 +450,129 @@ router.get('/:id/diff', async (req, res) => {
   }
 });
 
+// GET /logic/:id/tests - Unit test cases of a logic file
+router.get('/:id/tests', async (req, res) => {
+  try {
+    await logicModel.getById(req.params.id);
+    const tests = await logicTestModel.getByLogicFile(req.params.id);
+    res.json(tests);
+  } catch (error) {
+    if (error.message.includes('Logic file not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// POST /logic/:id/tests - Add a test case ({ name, description, cycleTimeMs, initialValues, steps })
+router.post('/:id/tests', async (req, res) => {
+  try {
+    await logicModel.getById(req.params.id);
+
+    try {
+      normalizeTestCase(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const test = await logicTestModel.create({ ...req.body, logicFileId: req.params.id });
+    res.status(201).json(test);
+  } catch (error) {
+    if (error.message.includes('Logic file not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// PUT /logic/:id/tests/:testId - Update a test case
+router.put('/:id/tests/:testId', async (req, res) => {
+  try {
+    const existing = await logicTestModel.getById(req.params.testId);
+    if (!existing || existing.logicFileId !== req.params.id) {
+      return res.status(404).json({ error: 'Logic test not found' });
+    }
+
+    const changes = req.body || {};
+    try {
+      normalizeTestCase(logicTestModel.mergeDefinition(existing, changes));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const test = await logicTestModel.update(req.params.testId, changes);
+    res.json(test);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /logic/:id/tests/:testId - Delete a test case
+router.delete('/:id/tests/:testId', async (req, res) => {
+  try {
+    const existing = await logicTestModel.getById(req.params.testId);
+    if (!existing || existing.logicFileId !== req.params.id) {
+      return res.status(404).json({ error: 'Logic test not found' });
+    }
+    await logicTestModel.delete(req.params.testId);
+    res.json({ success: true, id: req.params.testId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /logic/:id/test - Run the file's unit tests headless on a virtual clock
+// Body (all optional): testIds to run a subset of the stored cases, tests to run ad-hoc cases instead,
+// content to test unsaved logic. ?format=junit returns the JUnit XML alone.
+router.post('/:id/test', async (req, res) => {
+  try {
+    const file = await logicModel.getById(req.params.id);
+    const { testIds, tests, content } = req.body || {};
+
+    let testCases;
+    if (Array.isArray(tests)) {
+      testCases = tests;
+    } else {
+      testCases = (await logicTestModel.getByLogicFile(file.id)).filter(test =>
+        Array.isArray(testIds) ? testIds.includes(test.id) : test.enabled
+      );
+    }
+    if (testCases.length === 0) {
+      return res.status(400).json({ error: 'No test cases to run' });
+    }
+
+    let cycles;
+    try {
+      cycles = countSuiteCycles(testCases);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (cycles > MAX_SUITE_CYCLES) {
+      return res.status(400).json({ error: `The tests need ${cycles} scan cycles; at most ${MAX_SUITE_CYCLES} can run per request` });
+    }
+
+    const udts = file.projectId ? await tagModel.getUDTs(file.projectId) : [];
+    const report = runTestSuite(file.name, content || file.content, testCases, { udts });
+    const junit = toJUnitXml(report);
+
+    if (req.query.format === 'junit') {
+      return res.type('application/xml').send(junit);
+    }
+    res.json({
+      success: true,
+      logicFileId: file.id,
+      ...report,
+      junit
+    });
+  } catch (error) {
+    if (error.message.includes('Logic file not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 // GET /logic/samples - No sample files available
 router.get('/samples', async (req, res) => {
   try {
@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const simulations = require('../simulator/simulations');
+const { ModbusServer } = require('../protocols/modbus');
+const TagModel = require('../models/tagModel');
+const ProjectModel = require('../models/projectModel');
+const { db } = require('../db/init-db');
+
+const tagModel = new TagModel(db);
+const projectModel = new ProjectModel(db);
+
+// Running Modbus TCP servers by port: { server, simulationId, projectId }
+const servers = new Map();
+
+// Tags of a project (every tag when no project is given) that have an address
+async function loadTags(projectId) {
+  const tags = await tagModel.getAll();
+  return tags.filter(tag => tag.address && (!projectId || tag.projectId === projectId));
+}
+
+function describe(port) {
+  const { server, simulationId, projectId } = servers.get(port);
+  return {
+    simulationId,
+    projectId,
+    ...server.getStatus()
+  };
+}
+
+// GET /modbus/servers - Running Modbus TCP servers
+router.get('/servers', (req, res) => {
+  res.json({
+    success: true,
+    servers: Array.from(servers.keys()).map(describe)
+  });
+});
+
+// POST /modbus/servers - Serve a simulation over Modbus TCP
+// Body: { projectId, simulationId, port, host, unitId }. Tags of the project with a Modbus address are mapped;
+// the port defaults to the project's connection profile, else 502.
+router.post('/servers', async (req, res) => {
+  try {
+    const { projectId = null, host = '0.0.0.0', unitId } = req.body;
+    const simulationId = req.body.simulationId || simulations.getDefault().id;
+    if (!simulations.get(simulationId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Simulation ${simulationId} not found`
+      });
+    }
+
+    let port = req.body.port;
+    if (projectId) {
+      const project = await projectModel.getProjectById(projectId);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+      if (port === undefined && project.connection_profile) port = project.connection_profile.port;
+    }
+    port = Number(port === undefined ? 502 : port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      return res.status(400).json({
+        success: false,
+        error: 'port must be an integer 0..65535'
+      });
+    }
+    if (unitId !== undefined && unitId !== null && !(Number.isInteger(unitId) && unitId >= 1 && unitId <= 247)) {
+      return res.status(400).json({
+        success: false,
+        error: 'unitId must be an integer 1..247'
+      });
+    }
+    if (servers.has(port)) {
+      return res.status(409).json({
+        success: false,
+        error: `A Modbus server is already running on port ${port}`
+      });
+    }
+
+    const server = new ModbusServer({
+      getSimulation: () => simulations.get(simulationId),
+      tags: await loadTags(projectId),
+      port,
+      host,
+      unitId: unitId === undefined ? null : unitId
+    });
+    try {
+      await server.start();
+    } catch (error) {
+      const hint = error.code === 'EACCES' ? ' (ports below 1024 need elevated privileges; choose another port)' : '';
+      return res.status(400).json({
+        success: false,
+        error: `Cannot listen on port ${port}: ${error.message}${hint}`
+      });
+    }
+    servers.set(server.port, { server, simulationId, projectId });
+
+    res.status(201).json({
+      success: true,
+      server: describe(server.port),
+      map: server.getMap()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /modbus/servers/:port - Status and register map of a server
+router.get('/servers/:port', (req, res) => {
+  const port = Number(req.params.port);
+  if (!servers.has(port)) {
+    return res.status(404).json({
+      success: false,
+      error: `No Modbus server on port ${req.params.port}`
+    });
+  }
+  res.json({
+    success: true,
+    server: describe(port),
+    map: servers.get(port).server.getMap()
+  });
+});
+
+// POST /modbus/servers/:port/reload - Map the tags again after the tag database changed
+router.post('/servers/:port/reload', async (req, res) => {
+  try {
+    const port = Number(req.params.port);
+    if (!servers.has(port)) {
+      return res.status(404).json({
+        success: false,
+        error: `No Modbus server on port ${req.params.port}`
+      });
+    }
+    const { server, projectId } = servers.get(port);
+    server.setTags(await loadTags(projectId));
+    res.json({
+      success: true,
+      server: describe(port),
+      map: server.getMap()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /modbus/servers/:port - Stop a server
+router.delete('/servers/:port', async (req, res) => {
+  try {
+    const port = Number(req.params.port);
+    if (!servers.has(port)) {
+      return res.status(404).json({
+        success: false,
+        error: `No Modbus server on port ${req.params.port}`
+      });
+    }
+    const { server } = servers.get(port);
+    servers.delete(port);
+    await server.stop();
+    res.json({
+      success: true,
+      port
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const simulations = require('../simulator/simulations');
+const { OpcUaServer } = require('../protocols/opcua');
+const TagModel = require('../models/tagModel');
+const ProjectModel = require('../models/projectModel');
+const { db } = require('../db/init-db');
+
+const tagModel = new TagModel(db);
+const projectModel = new ProjectModel(db);
+
+// Running OPC UA servers by port: { server, simulationId, projectId }
+const servers = new Map();
+
+// Tag database of a project (everything when no project is given) for the address space
+async function loadAddressSpace(projectId) {
+  const tags = await tagModel.getAll();
+  return {
+    tags: tags.filter(tag => !projectId || tag.projectId === projectId),
+    hierarchy: await tagModel.getHierarchy(projectId),
+    udts: await tagModel.getUDTs(projectId)
+  };
+}
+
+function describe(port) {
+  const { server, simulationId, projectId } = servers.get(port);
+  return {
+    simulationId,
+    projectId,
+    ...server.getStatus()
+  };
+}
+
+function notFound(res, port) {
+  return res.status(404).json({
+    success: false,
+    error: `No OPC UA server on port ${port}`
+  });
+}
+
+// GET /opcua/servers - Running OPC UA servers
+router.get('/servers', (req, res) => {
+  res.json({
+    success: true,
+    servers: Array.from(servers.keys()).map(describe)
+  });
+});
+
+// POST /opcua/servers - Serve a simulation over OPC UA
+// Body: { projectId, simulationId, port }. The project's tags, hierarchy and UDTs are published; port defaults to 4840.
+router.post('/servers', async (req, res) => {
+  try {
+    const { projectId = null } = req.body;
+    const simulationId = req.body.simulationId || simulations.getDefault().id;
+    if (!simulations.get(simulationId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Simulation ${simulationId} not found`
+      });
+    }
+
+    let name = 'Pandaura';
+    if (projectId) {
+      const project = await projectModel.getProjectById(projectId);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+      name = project.name;
+    }
+    const port = Number(req.body.port === undefined ? 4840 : req.body.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      return res.status(400).json({
+        success: false,
+        error: 'port must be an integer 1..65535'
+      });
+    }
+    if (servers.has(port)) {
+      return res.status(409).json({
+        success: false,
+        error: `An OPC UA server is already running on port ${port}`
+      });
+    }
+
+    const server = new OpcUaServer({
+      getSimulation: () => simulations.get(simulationId),
+      ...await loadAddressSpace(projectId),
+      name,
+      port
+    });
+    try {
+      await server.start();
+    } catch (error) {
+      await server.stop().catch(() => {});
+      return res.status(400).json({
+        success: false,
+        error: `Cannot start OPC UA server on port ${port}: ${error.message}`
+      });
+    }
+    servers.set(port, { server, simulationId, projectId });
+
+    res.status(201).json({
+      success: true,
+      server: describe(port),
+      ...server.getNodes()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /opcua/servers/:port - Status and published nodes of a server
+router.get('/servers/:port', (req, res) => {
+  const port = Number(req.params.port);
+  if (!servers.has(port)) return notFound(res, req.params.port);
+  res.json({
+    success: true,
+    server: describe(port),
+    ...servers.get(port).server.getNodes()
+  });
+});
+
+// POST /opcua/servers/:port/reload - Rebuild the address space after the tag database changed
+// The server restarts on the same port, so connected clients reconnect and browse again.
+router.post('/servers/:port/reload', async (req, res) => {
+  try {
+    const port = Number(req.params.port);
+    if (!servers.has(port)) return notFound(res, req.params.port);
+    const { server: previous, simulationId, projectId } = servers.get(port);
+    const addressSpace = await loadAddressSpace(projectId);
+    servers.delete(port);
+    await previous.stop();
+
+    const server = new OpcUaServer({
+      getSimulation: () => simulations.get(simulationId),
+      ...addressSpace,
+      name: previous.name,
+      port
+    });
+    await server.start();
+    servers.set(port, { server, simulationId, projectId });
+    res.json({
+      success: true,
+      server: describe(port),
+      ...server.getNodes()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /opcua/servers/:port - Stop a server
+router.delete('/servers/:port', async (req, res) => {
+  try {
+    const port = Number(req.params.port);
+    if (!servers.has(port)) return notFound(res, req.params.port);
+    const { server } = servers.get(port);
+    servers.delete(port);
+    await server.stop();
+    res.json({
+      success: true,
+      port
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const simulatorEngine = require('../simulator/engine');
+const simulations = require('../simulator/simulations');
 const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const LogicModel = require('../models/logicModel');
+const TagModel = require('../models/tagModel');
+const TraceModel = require('../models/traceModel');
+const ProcessModelModel = require('../models/processModelModel');
+const SimulationSnapshotModel = require('../models/simulationSnapshotModel');
+const { describeBlockTypes } = require('../simulator/processModels');
+const { db } = require('../db/init-db');
+
+const logicModel = new LogicModel(db);
+const tagModel = new TagModel(db);
+const traceModel = new TraceModel(db);
+const processModelModel = new ProcessModelModel(db);
+const snapshotModel = new SimulationSnapshotModel(db);
 
 // Helper to sync tags from simulator variables
 async function syncTagsFromSimulator(variables) {
@@ -15,13 +29,108 @@ async function syncTagsFromSimulator(variables) {
   }
 }
 
+// ============== SIMULATION INSTANCES ==============
+
+// GET /simulate/instances?projectId= - List simulations
+router.get('/instances', (req, res) => {
+  res.json({
+    success: true,
+    simulations: simulations.list({ projectId: req.query.projectId }).map(simulation => simulations.describe(simulation))
+  });
+});
+
+// POST /simulate/instances - Create a simulation, optionally bound to a project
+router.post('/instances', (req, res) => {
+  try {
+    const { projectId, name } = req.body;
+    const simulation = simulations.create({ projectId, name });
+    res.status(201).json({
+      success: true,
+      simulation: simulations.describe(simulation)
+    });
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// GET /simulate/instances/:id - Describe a simulation
+router.get('/instances/:id', (req, res) => {
+  const simulation = simulations.get(req.params.id);
+  if (!simulation) {
+    return res.status(404).json({
+      success: false,
+      error: `Simulation ${req.params.id} not found`
+    });
+  }
+  res.json({
+    success: true,
+    simulation: simulations.describe(simulation)
+  });
+});
+
+// DELETE /simulate/instances/:id - Stop a simulation and discard it
+router.delete('/instances/:id', (req, res) => {
+  if (!simulations.destroy(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: `Simulation ${req.params.id} not found`
+    });
+  }
+  res.json({
+    success: true,
+    message: `Simulation ${req.params.id} destroyed`
+  });
+});
+
+// Every other route acts on the simulation named by the X-Simulation-Id header or a simulationId
+// query/body parameter; requests naming none share the default simulation
+router.use((req, res, next) => {
+  const id = req.get('X-Simulation-Id') || req.query.simulationId || (req.body && req.body.simulationId);
+  const simulation = id ? simulations.get(id) : simulations.getDefault();
+  if (!simulation) {
+    return res.status(404).json({
+      success: false,
+      error: `Simulation ${id} not found`
+    });
+  }
+  req.simulation = simulation;
+  req.simulator = simulation.engine;
+  next();
+});
+
 // POST /simulate/run - Run simulation with logic
 router.post('/run', async (req, res) => {
   try {
-    const { logic, cycleTime, initialValues } = req.body;
+    const { logic, tasks, cycleTime, initialValues, clock, timeScale, trace = {}, processModels, publish } = req.body;
+    // A simulation bound to a project runs it by default and refuses other projects
+    const projectId = req.body.projectId || req.simulation.projectId;
+    if (req.simulation.projectId && projectId !== req.simulation.projectId) {
+      return res.status(400).json({
+        success: false,
+        error: `Simulation ${req.simulation.id} belongs to project ${req.simulation.projectId}`
+      });
+    }
+    
+    // Project mode: compile every logic file of the project together
+    let projectFiles = null;
+    if (!logic && projectId) {
+      const files = await logicModel.getAll(projectId);
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Project ${projectId} has no logic files`
+        });
+      }
+      projectFiles = files
+        .map(file => ({ name: file.name, content: file.content }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    }
     
     // Use shadow runtime logic if available, otherwise use provided logic
-    const logicToRun = logic || (global.shadowRuntimeLogic ? global.shadowRuntimeLogic.content : null);
+    const logicToRun = logic || projectFiles || (global.shadowRuntimeLogic ? global.shadowRuntimeLogic.content : null);
     
     if (!logicToRun) {
       return res.status(400).json({
@@ -30,27 +139,53 @@ router.post('/run', async (req, res) => {
       });
     }
     
+    // Project UDTs can be instantiated as STRUCT types by the logic
+    const udts = projectId ? await tagModel.getUDTs(projectId) : [];
+    
+    // Process models given with the request, else the project's
+    const models = processModels || (projectId ? await processModelModel.getByProject(projectId) : []);
+    
     console.log('Starting simulator with ST interpreter...');
-    console.log('Logic preview:', logicToRun.substring(0, 200) + '...');
+    if (Array.isArray(logicToRun)) {
+      console.log('Logic files:', logicToRun.map(file => file.name).join(', '));
+    } else {
+      console.log('Logic preview:', logicToRun.substring(0, 200) + '...');
+    }
     
-    const result = await simulatorEngine.start(logicToRun, {
+    const result = await req.simulator.start(logicToRun, {
       cycleTime,
-      initialValues
+      initialValues,
+      tasks,
+      udts,
+      clock,
+      timeScale,
+      projectId,
+      processModels: models,
+      publish,
+      // trace.spill keeps cycles that no longer fit in memory in the database
+      trace: {
+        enabled: trace.enabled !== false,
+        maxCycles: trace.maxCycles || 10000,
+        store: trace.spill ? traceModel : null
+      }
     });
     
-    const state = simulatorEngine.getState();
+    const state = req.simulator.getState();
     
     // Auto-sync tags from simulator variables to tag database
     await syncTagsFromSimulator(state.ioValues);
     
     res.json({
       success: true,
+      simulationId: req.simulation.id,
       message: result.message,
       executionMode: result.executionMode,
       variableCount: result.variableCount,
+      tasks: result.tasks,
+      clock: result.clock,
       ioValues: state.ioValues, // Include dynamic variables from ST code
-      logicSource: global.shadowRuntimeLogic ? 'shadow_runtime' : 'direct',
-      logicName: global.shadowRuntimeLogic ? global.shadowRuntimeLogic.name : 'Unknown'
+      logicSource: projectFiles ? 'project' : (logic ? 'direct' : 'shadow_runtime'),
+      logicName: projectFiles ? `${projectFiles.length} files` : (global.shadowRuntimeLogic ? global.shadowRuntimeLogic.name : 'Unknown')
     });
   } catch (error) {
     console.error('Simulator run error:', error);
@@ -61,10 +196,126 @@ router.post('/run', async (req, res) => {
   }
 });
 
-// POST /simulate/step - Step through simulation
+// POST /simulate/step - Execute one complete scan cycle
 router.post('/step', async (req, res) => {
   try {
-    const result = await simulatorEngine.step();
+    const result = await req.simulator.step();
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// POST /simulate/continue - Run a halted scan on to the next breakpoint
+router.post('/continue', (req, res) => {
+  try {
+    const result = req.simulator.resume('continue');
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// POST /simulate/step-into - Execute one statement, entering FUNCTION/FUNCTION_BLOCK calls
+router.post('/step-into', (req, res) => {
+  try {
+    const result = req.simulator.resume('into');
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// POST /simulate/step-over - Execute one statement, running calls to completion
+router.post('/step-over', (req, res) => {
+  try {
+    const result = req.simulator.resume('over');
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// POST /simulate/step-out - Run until the current FUNCTION/FUNCTION_BLOCK returns to its caller
+router.post('/step-out', (req, res) => {
+  try {
+    const result = req.simulator.resume('out');
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// GET /simulate/trace - Variable changes per cycle, within optional cycle and time ranges
+router.get('/trace', async (req, res) => {
+  try {
+    const { fromCycle, toCycle, fromTime, toTime, variables, limit } = req.query;
+    const toNumber = value => (value === undefined ? undefined : Number(value));
+    
+    const result = await req.simulator.getTrace({
+      fromCycle: toNumber(fromCycle),
+      toCycle: toNumber(toCycle),
+      fromTime: toNumber(fromTime),
+      toTime: toNumber(toTime),
+      variables: variables ? variables.split(',').map(name => name.trim()) : null,
+      limit: toNumber(limit)
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// GET /simulate/trace/:cycle - All variable values after a recorded cycle
+router.get('/trace/:cycle', async (req, res) => {
+  try {
+    const result = await req.simulator.getTraceCycle(req.params.cycle);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// POST /simulate/rewind - Restore the runtime to a recorded cycle and resume from there
+router.post('/rewind', async (req, res) => {
+  try {
+    const { cycle, resume = false } = req.body;
+    const result = await req.simulator.rewind(cycle, resume);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// POST /simulate/advance - Run scans until the virtual clock has advanced by duration_ms
+router.post('/advance', (req, res) => {
+  try {
+    const { duration_ms } = req.body;
+    const result = req.simulator.advance(duration_ms);
     res.json(result);
   } catch (error) {
     res.status(400).json({ 
@@ -77,7 +328,7 @@ router.post('/step', async (req, res) => {
 // POST /simulate/stop - Stop simulation
 router.post('/stop', async (req, res) => {
   try {
-    const result = simulatorEngine.stop();
+    const result = req.simulator.stop();
     res.json(result);
   } catch (error) {
     res.status(500).json({ 
@@ -90,7 +341,7 @@ router.post('/stop', async (req, res) => {
 // POST /simulate/reset - Reset simulation runtime
 router.post('/reset', async (req, res) => {
   try {
-    const result = simulatorEngine.reset();
+    const result = req.simulator.reset();
     res.json(result);
   } catch (error) {
     res.status(500).json({ 
@@ -102,11 +353,14 @@ router.post('/reset', async (req, res) => {
 
 // GET /simulate/status - Get simulation status
 router.get('/status', (req, res) => {
-  const state = simulatorEngine.getState();
+  const state = req.simulator.getState();
   res.json({
+    simulationId: req.simulation.id,
+    projectId: state.projectId,
     isRunning: state.isRunning,
     isPaused: state.isPaused,
     currentLine: state.currentLine,
+    pausedAt: state.pausedAt,
     executionMode: state.executionMode,
     logicDeployed: !!global.shadowRuntimeLogic,
     deployedLogic: global.shadowRuntimeLogic ? {
@@ -115,15 +369,18 @@ router.get('/status', (req, res) => {
     } : null,
     ioValues: state.ioValues,
     breakpoints: state.breakpoints,
+    watchpoints: state.watchpoints,
+    forces: state.forces,
     variables: state.variables,
-    cycleCount: simulatorEngine.compiledProgram ? simulatorEngine.compiledProgram.runtime.cycleCount : 0
+    clock: state.clock,
+    cycleCount: req.simulator.compiledProgram ? req.simulator.compiledProgram.runtime.cycleCount : 0
   });
 });
 
 // GET /simulate/variables - Get all variables
 router.get('/variables', (req, res) => {
   try {
-    const vars = simulatorEngine.getAllVariables();
+    const vars = req.simulator.getAllVariables();
     res.json({
       success: true,
       variables: vars
@@ -140,7 +397,7 @@ router.get('/variables', (req, res) => {
 router.get('/variables/:name', (req, res) => {
   try {
     const { name } = req.params;
-    const result = simulatorEngine.getVariable(name);
+    const result = req.simulator.getVariable(name);
     res.json(result);
   } catch (error) {
     res.status(404).json({
@@ -163,7 +420,7 @@ router.post('/variables/:name', (req, res) => {
       });
     }
     
-    const result = simulatorEngine.setVariable(name, value);
+    const result = req.simulator.setVariable(name, value);
     res.json(result);
   } catch (error) {
     res.status(400).json({
@@ -175,7 +432,7 @@ router.post('/variables/:name', (req, res) => {
 
 // GET /simulate/logs - Get simulation logs
 router.get('/logs', (req, res) => {
-  const state = simulatorEngine.getState();
+  const state = req.simulator.getState();
   res.json(state.logs.slice(-50)); // Return last 50 logs
 });
 
@@ -191,9 +448,16 @@ router.post('/io', async (req, res) => {
       });
     }
     
+    if (req.simulator.isForced(name)) {
+      return res.status(409).json({
+        success: false,
+        error: `I/O point '${name}' is forced; remove the force to write it`
+      });
+    }
+    
     // Try to set the variable in the runtime
     try {
-      const result = simulatorEngine.setVariable(name, value);
+      const result = req.simulator.setVariable(name, value);
       res.json({
         success: true,
         name: result.variable,
@@ -202,12 +466,12 @@ router.post('/io', async (req, res) => {
       });
     } catch (varError) {
       // If variable doesn't exist in runtime, just update ioValues
-      const state = simulatorEngine.getState();
+      const state = req.simulator.getState();
       if (name in state.ioValues) {
         const oldValue = state.ioValues[name];
         state.ioValues[name] = value;
         
-        simulatorEngine.addLog(`Manual I/O change - ${name}: ${oldValue} → ${value}`, 'user_action');
+        req.simulator.addLog(`Manual I/O change - ${name}: ${oldValue} → ${value}`, 'user_action');
         
         res.json({
           success: true,
@@ -230,10 +494,161 @@ router.post('/io', async (req, res) => {
   }
 });
 
+// ============== FORCING ==============
+
+// Every change to the force table is audited in sync_events
+async function recordForceEvent(req, action, details = {}) {
+  try {
+    await db('sync_events').insert({
+      id: uuidv4(),
+      type: 'IO_FORCE',
+      timestamp: new Date().toISOString(),
+      payload: JSON.stringify({
+        action,
+        simulationId: req.simulation.id,
+        user: req.body && req.body.user ? req.body.user : null,
+        ...details
+      }),
+      source: 'simulator',
+      project_id: req.simulator.getState().projectId || req.simulation.projectId || null
+    });
+  } catch (error) {
+    console.error('Failed to record force event:', error.message);
+  }
+}
+
+// GET /simulate/forces - Force table
+router.get('/forces', (req, res) => {
+  res.json({
+    success: true,
+    ...req.simulator.getForces()
+  });
+});
+
+// POST /simulate/forces - Force a variable ({ variable, value }); forcing a forced variable changes its value
+router.post('/forces', async (req, res) => {
+  try {
+    const { variable, value } = req.body;
+    if (!variable || value === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Both variable and value are required'
+      });
+    }
+    
+    const { force, previous } = req.simulator.setForce(variable, value);
+    await recordForceEvent(req, 'force', { variable, value: force.value, previous });
+    
+    res.json({
+      success: true,
+      force,
+      previous,
+      ...req.simulator.getForces()
+    });
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// DELETE /simulate/forces/:variable - Remove one force
+router.delete('/forces/:variable', async (req, res) => {
+  try {
+    const force = req.simulator.removeForce(req.params.variable);
+    if (!force) {
+      return res.status(404).json({
+        success: false,
+        error: `${req.params.variable} is not forced`
+      });
+    }
+    await recordForceEvent(req, 'unforce', { variable: force.variable, value: force.value });
+    
+    res.json({
+      success: true,
+      removed: force,
+      ...req.simulator.getForces()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// DELETE /simulate/forces - Remove all forces
+router.delete('/forces', async (req, res) => {
+  try {
+    const removed = req.simulator.clearForces();
+    await recordForceEvent(req, 'clear', { variables: removed.map(force => force.variable) });
+    
+    res.json({
+      success: true,
+      removed,
+      ...req.simulator.getForces()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Switch all forces on or off
+const setAllForces = enabled => async (req, res) => {
+  try {
+    const forces = req.simulator.setForcesEnabled(enabled);
+    await recordForceEvent(req, enabled ? 'enable_all' : 'disable_all', { count: forces.forces.length });
+    
+    res.json({
+      success: true,
+      ...forces
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+};
+
+// POST /simulate/forces/enable - Apply the forces in the table
+router.post('/forces/enable', setAllForces(true));
+
+// POST /simulate/forces/disable - Suspend all forces, keeping them in the table
+router.post('/forces/disable', setAllForces(false));
+
+// GET /simulate/publish - Deadband and publish intervals of the socket.io variable change events
+router.get('/publish', (req, res) => {
+  res.json({
+    success: true,
+    publish: req.simulator.getPublishOptions()
+  });
+});
+
+// PUT /simulate/publish - Change them ({ deadband, deadbands: { variable: deadband }, minIntervalMs, maxIntervalMs })
+router.put('/publish', (req, res) => {
+  try {
+    const publish = req.simulator.setPublishOptions(req.body || {});
+    res.json({
+      success: true,
+      publish
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // POST /simulate/pause - Pause/Resume simulation
 router.post('/pause', async (req, res) => {
   try {
-    const result = simulatorEngine.togglePause();
+    const result = req.simulator.togglePause();
     res.json(result);
   } catch (error) {
     res.status(500).json({ 
@@ -246,32 +661,36 @@ router.post('/pause', async (req, res) => {
 // POST /simulate/breakpoint - Toggle breakpoint
 router.post('/breakpoint', async (req, res) => {
   try {
-    const { line, breakpoints } = req.body;
+    const { line, file, condition, hitCount, breakpoints } = req.body;
     
     if (breakpoints) {
       // Set multiple breakpoints
-      const result = simulatorEngine.setBreakpoints(breakpoints);
+      const result = req.simulator.setBreakpoints(breakpoints);
       res.json(result);
     } else if (line) {
-      // Toggle single breakpoint
-      const state = simulatorEngine.getState();
+      // Toggle single breakpoint; file narrows it to one file of a multi-file project
+      const state = req.simulator.getState();
+      const matches = bp => typeof bp === 'object'
+        ? bp.line === line && (bp.file || undefined) === file
+        : bp === line && !file;
       let newBreakpoints;
       let action;
       
-      if (state.breakpoints.includes(line)) {
-        newBreakpoints = state.breakpoints.filter(bp => bp !== line);
+      if (state.breakpoints.some(matches)) {
+        newBreakpoints = state.breakpoints.filter(bp => !matches(bp));
         action = 'removed';
       } else {
-        newBreakpoints = [...state.breakpoints, line];
+        newBreakpoints = [...state.breakpoints, file || condition || hitCount ? { file, line, condition, hitCount } : line];
         action = 'added';
       }
       
-      const result = simulatorEngine.setBreakpoints(newBreakpoints);
+      const result = req.simulator.setBreakpoints(newBreakpoints);
       res.json({
         success: true,
         action,
         line,
-        breakpoints: result.breakpoints
+        breakpoints: result.breakpoints,
+        locations: result.locations
       });
     } else {
       res.status(400).json({
@@ -287,6 +706,358 @@ router.post('/breakpoint', async (req, res) => {
   }
 });
 
+// POST /simulate/watchpoint - Toggle a watchpoint, or replace them all
+router.post('/watchpoint', (req, res) => {
+  try {
+    const { variable, value, direction, watchpoints } = req.body;
+    
+    if (watchpoints) {
+      const result = req.simulator.setWatchpoints(watchpoints);
+      res.json(result);
+    } else if (variable) {
+      // The same variable and threshold toggles the watchpoint off
+      const state = req.simulator.getState();
+      const threshold = value === undefined ? null : value;
+      const matches = w => w.variable === variable && (w.value === undefined ? null : w.value) === threshold;
+      let newWatchpoints;
+      let action;
+      
+      if (state.watchpoints.some(matches)) {
+        newWatchpoints = state.watchpoints.filter(w => !matches(w));
+        action = 'removed';
+      } else {
+        newWatchpoints = [...state.watchpoints, { variable, value, direction }];
+        action = 'added';
+      }
+      
+      const result = req.simulator.setWatchpoints(newWatchpoints);
+      res.json({
+        success: true,
+        action,
+        variable,
+        watchpoints: result.watchpoints,
+        status: result.status
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: 'Either variable or watchpoints array is required'
+      });
+    }
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============== PROCESS MODELS ==============
+
+// Reload the models of a project into every simulation running that project
+async function reloadProcessModels(projectId) {
+  const running = simulations.list({ projectId })
+    .filter(({ engine }) => engine.state.isRunning && engine.state.projectId === projectId);
+  if (running.length === 0) return null;
+  
+  const models = await processModelModel.getByProject(projectId);
+  const active = {};
+  running.forEach(({ id, engine }) => {
+    active[id] = engine.setProcessModels(models);
+  });
+  return active;
+}
+
+// GET /simulate/models/types - Plant block library with parameters
+router.get('/models/types', (req, res) => {
+  res.json({
+    success: true,
+    types: describeBlockTypes()
+  });
+});
+
+// GET /simulate/models?projectId= - Process models of a project
+router.get('/models', async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    if (!projectId) {
+      return res.status(400).json({
+        success: false,
+        error: 'projectId is required'
+      });
+    }
+    
+    const models = await processModelModel.getByProject(projectId);
+    res.json({
+      success: true,
+      models
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// POST /simulate/models - Add a process model to a project
+router.post('/models', async (req, res) => {
+  try {
+    const { projectId, name, type, params, enabled, sortOrder } = req.body;
+    if (!projectId || !name || !type) {
+      return res.status(400).json({
+        success: false,
+        error: 'projectId, name and type are required'
+      });
+    }
+    
+    let model;
+    try {
+      model = await processModelModel.create({ projectId, name, type, params, enabled, sortOrder });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    const active = await reloadProcessModels(projectId);
+    
+    res.status(201).json({
+      success: true,
+      model,
+      active
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// PUT /simulate/models/:id - Update a process model
+router.put('/models/:id', async (req, res) => {
+  try {
+    const { name, type, params, enabled, sortOrder } = req.body;
+    
+    let model;
+    try {
+      model = await processModelModel.update(req.params.id, { name, type, params, enabled, sortOrder });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        error: 'Process model not found'
+      });
+    }
+    const active = await reloadProcessModels(model.projectId);
+    
+    res.json({
+      success: true,
+      model,
+      active
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// DELETE /simulate/models/:id - Remove a process model
+router.delete('/models/:id', async (req, res) => {
+  try {
+    const model = await processModelModel.getById(req.params.id);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        error: 'Process model not found'
+      });
+    }
+    
+    await processModelModel.delete(req.params.id);
+    const active = await reloadProcessModels(model.projectId);
+    
+    res.json({
+      success: true,
+      message: `Process model ${model.name} deleted`,
+      active
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============== SNAPSHOTS ==============
+
+// POST /simulate/snapshots - Save the simulation's current state
+router.post('/snapshots', async (req, res) => {
+  try {
+    const { name, description, createdBy, versionId } = req.body;
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+    
+    let snapshot;
+    try {
+      snapshot = req.simulator.captureSnapshot();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    const projectId = req.simulator.getState().projectId || req.simulation.projectId;
+    let saved;
+    try {
+      saved = await snapshotModel.create({ projectId, versionId, name, description, createdBy, snapshot });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    req.simulator.addLog(`Snapshot "${name}" saved at cycle ${snapshot.cycle}`, 'info');
+    
+    const { snapshot: state, ...summary } = saved;
+    res.status(201).json({
+      success: true,
+      snapshot: summary
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// GET /simulate/snapshots?projectId=&versionId= - List saved snapshots
+router.get('/snapshots', async (req, res) => {
+  try {
+    const { projectId, versionId } = req.query;
+    const snapshots = await snapshotModel.getAll({ projectId, versionId });
+    res.json({
+      success: true,
+      snapshots
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// GET /simulate/snapshots/:id - A snapshot including its saved state
+router.get('/snapshots/:id', async (req, res) => {
+  try {
+    const snapshot = await snapshotModel.getById(req.params.id);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+    res.json({
+      success: true,
+      snapshot
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// POST /simulate/snapshots/:id/restore - Load a snapshot into the simulation, which is left paused
+router.post('/snapshots/:id/restore', async (req, res) => {
+  try {
+    const saved = await snapshotModel.getById(req.params.id);
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+    if (req.simulation.projectId && saved.projectId !== req.simulation.projectId) {
+      return res.status(400).json({
+        success: false,
+        error: `Simulation ${req.simulation.id} belongs to project ${req.simulation.projectId}`
+      });
+    }
+    
+    const result = await req.simulator.restoreSnapshot(saved.snapshot);
+    res.json({
+      ...result,
+      snapshotId: saved.id
+    });
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// PUT /simulate/snapshots/:id/version - Attach a snapshot to a project version ({ versionId }, null detaches)
+router.put('/snapshots/:id/version', async (req, res) => {
+  try {
+    const { versionId = null } = req.body;
+    const snapshot = await snapshotModel.attachToVersion(req.params.id, versionId);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+    res.json({
+      success: true,
+      snapshot
+    });
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// DELETE /simulate/snapshots/:id - Delete a snapshot
+router.delete('/snapshots/:id', async (req, res) => {
+  try {
+    const deleted = await snapshotModel.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Snapshot deleted'
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
 // POST /simulate - Legacy endpoint for compatibility
 router.post('/', async (req, res) => {
   try {
@@ -318,7 +1089,7 @@ router.post('/', async (req, res) => {
 // POST /simulate/inject-fault - Inject fault into simulation
 router.post('/inject-fault', async (req, res) => {
   try {
-    const { run_id, time_ms, action, target, fault_type, parameter, duration_ms } = req.body;
+    const { run_id, time_ms, action = 'inject', target, fault_type, parameter, duration_ms, options } = req.body;
     
     console.log('🚨 FAULT INJECTION REQUEST:', {
       run_id,
@@ -327,62 +1098,73 @@ router.post('/inject-fault', async (req, res) => {
       target,
       fault_type,
       parameter,
-      duration_ms
+      duration_ms,
+      options
     });
     
     // Validate required fields
-    if (!target || !fault_type) {
+    if (!target || (action !== 'clear' && !fault_type)) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields: target and fault_type'
       });
     }
     
-    // Validate fault type
-    const validFaultTypes = ['VALUE_DRIFT', 'LOCK_VALUE', 'FORCE_IO_ERROR'];
-    if (!validFaultTypes.includes(fault_type)) {
+    // Check if simulator is running
+    const state = req.simulator.getState();
+    if (!state.isRunning) {
       return res.status(400).json({
         success: false,
-        error: `Invalid fault_type. Must be one of: ${validFaultTypes.join(', ')}`
+        error: 'Simulator is not running. Start simulation first.'
       });
     }
     
-    // Check if simulator is running
-    const state = simulatorEngine.getState();
-    if (!state.isRunning) {
+    const faultConfig = {
+      target,
+      fault_type,
+      parameter: parameter || 0,
+      duration_ms: duration_ms || 60000,
+      options: options || {},
+      run_id
+    };
+    
+    let result;
+    try {
+      if (time_ms && time_ms > 0) {
+        // Scheduled on the simulation clock: time_ms of simulated time from now
+        result = req.simulator.scheduleFault(faultConfig, time_ms, action);
+      } else if (action === 'clear') {
+        result = req.simulator.removeFault(target);
+      } else if (action === 'inject') {
+        result = req.simulator.injectFault(faultConfig);
+      } else {
+        throw new Error(`Unknown fault action ${action} (expected 'inject' or 'clear')`);
+      }
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        error: 'Simulator is not running. Start simulation first.'
+        error: error.message
       });
     }
     
-    // Schedule fault injection after specified time
     if (time_ms && time_ms > 0) {
-      setTimeout(() => {
-        const result = simulatorEngine.injectFault({
-          target,
-          fault_type,
-          parameter: parameter || 0,
-          duration_ms: duration_ms || 60000
-        });
-        console.log('⏰ Scheduled fault injection executed:', result);
-      }, time_ms);
-      
       res.json({
         success: true,
-        message: `Fault ${fault_type} scheduled for ${target} in ${time_ms}ms`,
+        message: `Fault ${action === 'clear' ? 'clear' : fault_type} scheduled for ${target} in ${time_ms}ms`,
         scheduled: true,
+        scheduledId: result.id,
+        at: result.at,
         run_id
       });
-    } else {
-      // Inject fault immediately
-      const result = simulatorEngine.injectFault({
-        target,
-        fault_type,
-        parameter: parameter || 0,
-        duration_ms: duration_ms || 60000
+    } else if (action === 'clear') {
+      res.json({
+        success: true,
+        message: `Removed ${result} fault(s) from ${target}`,
+        removed: result,
+        run_id,
+        scheduled: false
       });
-      
+    } else {
       res.json({
         success: result.success,
         message: result.message,
@@ -401,17 +1183,22 @@ router.post('/inject-fault', async (req, res) => {
   }
 });
 
-// GET /simulate/faults - Get active faults and fault history
+// GET /simulate/faults - Get the fault type catalogue, active and scheduled faults and fault history
 router.get('/faults', (req, res) => {
   try {
-    const hyperStatus = simulatorEngine.getHyperGranularStatus();
+    const hyperStatus = req.simulator.getHyperGranularStatus();
+    // ?run_id= limits the lists to the faults of one test run
+    const { run_id } = req.query;
+    const ofRun = fault => !run_id || fault.runId === run_id;
     
     res.json({
       success: true,
-      activeFaults: hyperStatus.activeFaults,
-      faultHistory: simulatorEngine.faultInjection ? simulatorEngine.faultInjection.faultHistory : [],
-      driftStates: simulatorEngine.faultInjection ? 
-        Array.from(simulatorEngine.faultInjection.driftStates.entries()) : []
+      faultTypes: req.simulator.getFaultTypes(),
+      activeFaults: hyperStatus.activeFaults.filter(ofRun),
+      scheduledFaults: hyperStatus.scheduledFaults.filter(ofRun),
+      faultHistory: req.simulator.faultInjection ? req.simulator.faultInjection.faultHistory.filter(ofRun) : [],
+      driftStates: req.simulator.faultInjection ? 
+        Array.from(req.simulator.faultInjection.driftStates.entries()) : []
     });
     
   } catch (error) {
@@ -423,16 +1210,18 @@ router.get('/faults', (req, res) => {
   }
 });
 
-// DELETE /simulate/faults/:target - Remove specific fault
+// DELETE /simulate/faults/:target - Remove a fault by id, or the faults on a tag
 router.delete('/faults/:target', (req, res) => {
   try {
     const { target } = req.params;
     
-    simulatorEngine.removeFault(target);
+    // A fault id removes that fault, a tag name every fault on it
+    const removed = req.simulator.removeFault(target);
     
     res.json({
       success: true,
-      message: `Fault removed from ${target}`
+      message: `Fault removed from ${target}`,
+      removed
     });
     
   } catch (error) {
@@ -444,10 +1233,41 @@ router.delete('/faults/:target', (req, res) => {
   }
 });
 
+// POST /simulate/scenarios/run - Run a fault scenario ({ scenario, reset }) and return its pass/fail report
+router.post('/scenarios/run', (req, res) => {
+  try {
+    const { scenario, reset = true } = req.body;
+    const report = req.simulator.runScenario(scenario, { reset });
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /simulate/scenarios/report - Report of the last scenario run
+router.get('/scenarios/report', (req, res) => {
+  if (!req.simulator.lastScenarioReport) {
+    return res.status(404).json({
+      success: false,
+      error: 'No scenario has been run'
+    });
+  }
+  res.json({
+    success: true,
+    report: req.simulator.lastScenarioReport
+  });
+});
+
 // GET /simulate/hyper-granular-status - Get hyper-granular simulation status
 router.get('/hyper-granular-status', (req, res) => {
   try {
-    const status = simulatorEngine.getHyperGranularStatus();
+    const status = req.simulator.getHyperGranularStatus();
     
     res.json({
       success: true,
@@ -476,12 +1296,12 @@ router.post('/configure-hyper-granular', (req, res) => {
     }
     
     // Apply configuration to the simulator
-    simulatorEngine.initializeHyperGranularSimulation({ hyperGranular });
+    req.simulator.initializeHyperGranularSimulation({ hyperGranular });
     
     res.json({
       success: true,
       message: 'Hyper-granular simulation configured',
-      configuration: simulatorEngine.getHyperGranularStatus()
+      configuration: req.simulator.getHyperGranularStatus()
     });
     
   } catch (error) {
@@ -263,10 +263,15 @@ router.post('/start-streaming', async (req, res) => {
   }
 });
 
-// GET /sync/stream-tags - Get current tag values from simulator
+// GET /sync/stream-tags?simulationId= - Get current tag values from a simulation (the default one when not given)
 router.get('/stream-tags', async (req, res) => {
   try {
-    const simulatorEngine = require('../simulator/engine');
+    const simulations = require('../simulator/simulations');
+    const simulation = req.query.simulationId ? simulations.get(req.query.simulationId) : simulations.getDefault();
+    if (!simulation) {
+      return res.status(404).json({ error: `Simulation ${req.query.simulationId} not found` });
+    }
+    const simulatorEngine = simulation.engine;
     const state = simulatorEngine.getState();
     
     // Return real values from simulator
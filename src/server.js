@@ -6,6 +6,7 @@ const path = require('path');
 const fs = require('fs');
 const { initializeDatabase } = require('./db/init-db');
 const { setupSocket } = require('./ws/socket');
+const { setupDataBridgeSocket } = require('./ws/dataBridge');
 
 const app = express();
 
@@ -50,6 +51,8 @@ async function startServer() {
     const projectRoutes = require('./routes/projects');
     const versionRoutes = require('./routes/versions');
     const deployRoutes = require('./routes/deploy');
+    const modbusRoutes = require('./routes/modbus');
+    const opcuaRoutes = require('./routes/opcua');
     
     // Mount routes
     app.use('/api/logic', logicRoutes);
@@ -60,6 +63,8 @@ async function startServer() {
     app.use('/api/projects', projectRoutes);
     app.use('/api/versions', versionRoutes);
     app.use('/api/deploy', deployRoutes);
+    app.use('/api/modbus', modbusRoutes);
+    app.use('/api/opcua', opcuaRoutes);
     
     // Health check
     app.get('/', (req, res) => res.json({
@@ -97,12 +102,14 @@ async function startServer() {
     
     // Setup WebSocket
     setupSocket(server);
+    setupDataBridgeSocket(server);
     
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📡 API available at: http://localhost:${PORT}/api`);
       console.log(`🏥 Health check: http://localhost:${PORT}/`);
       console.log(`🔌 WebSocket available for real-time sync`);
+      console.log(`🌉 Data bridge stream: ws://localhost:${PORT}/ws/simulator`);
     });
     
   } catch (error) {
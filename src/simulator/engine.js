@@ -1,13 +1,89 @@
 const { compile } = require('../interpreter/st_interpreter');
+const { SystemClock, VirtualClock } = require('../interpreter/clock');
+const { TraceRecorder } = require('./trace');
+const { DEFAULT_PROCESS_MODELS, createBlock, modelTags } = require('./processModels');
+const { normalizeScenario, ScenarioRun } = require('./scenario');
+const { v4: uuidv4 } = require('uuid');
+const { EventEmitter } = require('events');
 
-class SimulatorEngine {
+// Shortest real interval between execution loop ticks when running faster than real time
+const MIN_TICK_MS = 10;
+// Upper bound on scans executed by a single advance() call
+const MAX_ADVANCE_SCANS = 1000000;
+// Scans a single step may run through looking for the next statement (tasks whose interval has not elapsed run nothing)
+const MAX_STEP_SCANS = 1000;
+const STEP_MODES = ['continue', 'into', 'over', 'out'];
+
+// Injectable faults: what parameter means for each and which options they take (see injectFault)
+const FAULT_TYPES = {
+  VALUE_DRIFT: { description: 'Value drifts away at a constant rate', parameter: 'drift per second' },
+  LOCK_VALUE: { description: 'Value freezes at its value when injected', parameter: null },
+  FORCE_IO_ERROR: { description: 'Sets <target>_ERROR when the logic declares it', parameter: null },
+  GAUSSIAN_NOISE: { description: 'Gaussian noise on the reading', parameter: 'standard deviation', options: ['seed'] },
+  STUCK_AT: {
+    description: 'Reading intermittently sticks at a value, alternating stuck and free periods of random length',
+    parameter: 'stuck value',
+    options: ['stuckMs', 'freeMs', 'holdLast', 'seed']
+  },
+  BIT_FLIP: {
+    description: 'Random single-bit flips on an integer word (or BOOL toggles), for one scan or until overwritten',
+    parameter: 'flips per second',
+    options: ['persistent', 'seed']
+  },
+  SPIKE: { description: 'Periodic spikes added to the reading', parameter: 'spike amplitude', options: ['periodMs', 'widthMs'] },
+  QUANTIZATION: { description: 'Reading rounded to a coarser resolution', parameter: 'resolution' },
+  DELAYED_VALUE: { description: 'Reading lags the real value by a transport delay', parameter: 'delay in ms' },
+  STALE_VALUE: { description: 'Reading only refreshes at a slow update interval', parameter: 'update interval in ms' },
+  COMMS_LOSS: {
+    description: 'Device <target> stops communicating: its tags freeze and <target>_ERROR is set',
+    parameter: null,
+    options: ['tags']
+  }
+};
+// Faults that set the <target>_ERROR bit while active
+const ERROR_BIT_FAULTS = ['FORCE_IO_ERROR', 'COMMS_LOSS'];
+// Word size and signedness of the integer types bit flips apply to
+const INTEGER_WORDS = {
+  SINT: [8, true], USINT: [8, false], BYTE: [8, false],
+  INT: [16, true], UINT: [16, false], WORD: [16, false],
+  DINT: [32, true], UDINT: [32, false], DWORD: [32, false]
+};
+
+// Deterministic pseudo-random numbers for faults (mulberry32). The generator state lives in the fault's drift
+// state, so repeated scenario runs and restored snapshots see the same sequence.
+function nextRandom(state) {
+  state.rng = (state.rng + 0x6D2B79F5) | 0;
+  let t = state.rng;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function nextGaussian(state) {
+  const u = 1 - nextRandom(state);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * nextRandom(state));
+}
+
+// Seed from a number or any string, e.g. the target and fault type
+function toSeed(value) {
+  if (Number.isInteger(value)) return value | 0;
+  let hash = 2166136261;
+  for (const ch of String(value)) hash = Math.imul(hash ^ ch.charCodeAt(0), 16777619);
+  return hash | 0;
+}
+
+class SimulatorEngine extends EventEmitter {
   constructor() {
+    super();
     this.state = {
       isRunning: false,
       isPaused: false,
       currentLogic: null,
+      projectId: null, // Project whose logic is running, if started in project mode
       currentLine: null,
+      pausedAt: null, // { line, column, file, pou, callStack, cycle } while a scan is halted mid-way
       breakpoints: [],
+      watchpoints: [], // [{ variable, value, direction }], see setWatchpoints
       ioValues: {}, // Dynamically populated from ST code variables
       logs: [],
       executionMode: 'interpreter', // 'interpreter'
@@ -17,6 +93,36 @@ class SimulatorEngine {
     this.executionInterval = null;
     this.cycleTime = 100; // ms
     this.compiledProgram = null; // ST interpreter compiled program
+    this.scanTiming = { start: 0, halted: false }; // logic execution time of the current scan, for the watchdog
+    
+    // Time source for ST timers and task scheduling: wall clock, or a virtual clock advanced one scan per cycle
+    this.clock = new SystemClock();
+    this.clockMode = 'realtime';
+    this.timeScale = 1; // virtual clock only: simulated ms per real ms
+    
+    // Per-cycle variable trace for history queries and rewind (see trace.js)
+    this.trace = null;
+    this.traceConfig = { enabled: true, maxCycles: 10000, store: null };
+    
+    // Force table: forced variables hold their value whatever the logic, process models or faults write.
+    // Forces survive start and reset like on a PLC; forcesEnabled switches all of them off without removing them.
+    this.forces = new Map(); // variable -> { variable, value, forcedAt }
+    this.forcesEnabled = true;
+    
+    this.lastScenarioReport = null;
+    
+    // Variable change events ('change') for push subscribers, see publishChanges
+    this.publishConfig = { deadband: 0, deadbands: {}, minIntervalMs: 0, maxIntervalMs: 0 };
+    this.published = new Map(); // variable -> { value, json, at } as last published
+    this.publishTimer = null; // sends changes held back by minIntervalMs when no scan does
+    this.publishTimerAt = 0;
+    
+    // Options of the last start(), kept so snapshots can recreate the simulation
+    this.startOptions = null;
+    
+    // Plant blocks stepped after every scan (see processModels.js): the configured models and their running instances
+    this.processModels = [];
+    this.processBlocks = [];
     
     // Hyper-Granular Simulation Features (BE-351)
     this.hyperGranular = {
@@ -49,38 +155,57 @@ class SimulatorEngine {
       // Data Type Overflow Modeling
       overflowModeling: {
         enabled: true,
-        intMin: -32768,
-        intMax: 32767,
-        dintMin: -2147483648,
-        dintMax: 2147483647,
         overflowExceptions: []
       }
     };
     
     // Fault Injection State (BE-352)
     this.faultInjection = {
-      activeFaults: new Map(), // tag -> fault config
+      activeFaults: new Map(), // fault id -> fault config; a tag may carry several faults
       faultHistory: [],
-      driftStates: new Map() // tag -> drift state
+      driftStates: new Map(), // fault id -> drift state
+      scheduled: [] // [{ id, runId, at, action, config }] faults to inject or clear at a clock time
     };
+    this.faultSeq = 0;
   }
 
   /**
    * Start the simulator with given logic
-   * @param {string} logic - The logic code to execute
+   * @param {string|Array<{name: string, content: string}>} logic - The logic code to execute, or all logic files of a project
    * @param {Object} options - Execution options
+   * @param {Array<Object>} [options.tasks] - Task list ({ name, interval, priority, programs }); defaults to one cyclic task running every PROGRAM
+   * @param {string} [options.clock='realtime'] - 'realtime' or 'virtual' (deterministic, advanced by the scan time per cycle)
+   * @param {number} [options.timeScale=1] - Virtual clock only: how many times faster than real time the loop runs
+   * @param {Array<Object>} [options.udts] - Project UDTs ({ name, members }), instantiable as STRUCT types in the logic
+   * @param {Object} [options.trace] - { enabled = true, maxCycles = 10000, store }: cycles kept in memory, and a
+   *   TraceModel that older cycles are spilled to (dropped without one)
+   * @param {Array<Object>} [options.processModels] - Plant blocks ({ name, type, params, enabled }) simulating the
+   *   process around the logic; the built-in heater and tank demo when empty
+   * @param {string} [options.projectId] - Project the logic belongs to
+   * @param {Object} [options.publish] - Change event settings (see setPublishOptions); kept from the previous run when omitted
    */
   async start(logic, options = {}) {
     try {
       const {
         cycleTime = 100,
-        initialValues = {}
+        initialValues = {},
+        tasks,
+        udts,
+        clock = 'realtime',
+        timeScale = 1,
+        trace = {},
+        processModels = [],
+        projectId = null
       } = options;
 
+      if (this.compiledProgram) this.compiledProgram.runtime.abortCycle();
+      this.startOptions = { cycleTime, initialValues, tasks, udts, clock, timeScale, processModels, projectId, hyperGranular: options.hyperGranular };
       this.state.currentLogic = logic;
+      this.state.projectId = projectId;
       this.state.isRunning = true;
       this.state.isPaused = false;
-      this.state.currentLine = 1;
+      this.state.currentLine = null;
+      this.state.pausedAt = null;
       this.cycleTime = cycleTime;
       this.state.executionMode = 'interpreter';
 
@@ -88,10 +213,26 @@ class SimulatorEngine {
       
       // Initialize hyper-granular simulation settings
       this.initializeHyperGranularSimulation(options);
+      this.configureClock(clock, timeScale);
+      this.traceConfig = { enabled: true, maxCycles: 10000, store: null, ...trace };
+      if (options.publish) this.setPublishOptions(options.publish);
 
       // Compile the ST code using the interpreter
       try {
-        this.compiledProgram = compile(logic);
+        this.compiledProgram = compile(logic, { tasks, udts, clock: this.clock });
+        this.compiledProgram.runtime.setBreakpoints(this.state.breakpoints);
+        // Watchpoints on variables the new logic does not declare are dropped
+        const watched = this.state.watchpoints.filter(w => this.compiledProgram.runtime.hasVar(w.variable));
+        if (watched.length < this.state.watchpoints.length) {
+          this.addLog(`Removed ${this.state.watchpoints.length - watched.length} watchpoint(s) on variables not declared in the logic`, 'warning');
+        }
+        this.state.watchpoints = watched;
+        this.compiledProgram.runtime.setWatchpoints(watched);
+        const unforced = Array.from(this.forces.keys()).filter(name => !this.compiledProgram.runtime.hasVar(name));
+        if (unforced.length > 0) {
+          unforced.forEach(name => this.forces.delete(name));
+          this.addLog(`Removed force(s) on ${unforced.join(', ')}: not declared in the logic`, 'warning');
+        }
         
         // Get variables with their initial values from the ST code declarations
         const vars = this.compiledProgram.getVars();
@@ -116,9 +257,21 @@ class SimulatorEngine {
           }
         });
 
+        this.applyForces();
         this.addLog(`ST code compiled successfully`, 'success');
+        if (this.clockMode === 'virtual') {
+          this.addLog(`Virtual clock: ${this.clock.step}ms per scan at ${this.timeScale}x real time`, 'info');
+        }
+        const tasksInfo = this.compiledProgram.runtime.getTasks();
+        this.addLog(`Scheduled ${tasksInfo.length} task(s): ${tasksInfo.map(t => `${t.name} [${t.programs.join(', ')}]`).join('; ')}`, 'info');
         this.addLog(`Found ${Object.keys(finalVars).length} variables with initial values from code`, 'info');
         
+        this.setProcessModels(processModels);
+        this.startTrace();
+        // Subscribers get every variable of the new logic
+        this.published.clear();
+        this.publishChanges();
+        
       } catch (compileError) {
         this.addLog(`Compilation error: ${compileError.message}`, 'error');
         this.state.isRunning = false;
@@ -132,7 +285,9 @@ class SimulatorEngine {
         success: true,
         executionMode: this.state.executionMode,
         message: `Simulator started with ST interpreter`,
-        variableCount: this.state.variables.size
+        variableCount: this.state.variables.size,
+        tasks: this.compiledProgram.runtime.getTasks(),
+        clock: this.getClockInfo()
       };
 
     } catch (error) {
@@ -149,6 +304,8 @@ class SimulatorEngine {
     this.state.isRunning = false;
     this.state.isPaused = false;
     this.state.currentLine = null;
+    this.state.pausedAt = null;
+    if (this.compiledProgram) this.compiledProgram.runtime.abortCycle();
     
     if (this.executionInterval) {
       clearInterval(this.executionInterval);
@@ -165,12 +322,29 @@ class SimulatorEngine {
     };
   }
 
+  /**
+   * Stop the simulator for good and drop its trace, including cycles spilled to the database
+   */
+  dispose() {
+    if (this.state.isRunning || this.executionInterval) this.stop();
+    if (this.trace) {
+      this.trace.discard().catch(error => console.error('Failed to discard trace:', error.message));
+      this.trace = null;
+    }
+    this.compiledProgram = null;
+    this.processBlocks = [];
+  }
+
   /**
    * Reset the simulator runtime
    */
   reset() {
     if (this.compiledProgram) {
+      // A halted scan is dropped along with the rest of the runtime state
       this.compiledProgram.reset();
+      if (this.clockMode === 'virtual') this.clock.reset();
+      this.state.pausedAt = null;
+      this.state.currentLine = null;
       this.state.variables.clear();
       
       // Sync back to initial values
@@ -182,6 +356,10 @@ class SimulatorEngine {
         }
       });
 
+      this.buildProcessBlocks();
+      this.applyForces();
+      this.startTrace();
+      this.publishChanges();
       this.addLog('Runtime reset to initial state', 'info');
     }
 
@@ -195,6 +373,16 @@ class SimulatorEngine {
    * Pause/Resume the simulator
    */
   togglePause() {
+    if (this.state.pausedAt) {
+      // Resuming a scan halted at a breakpoint finishes it first; it may halt again
+      const result = this.resume('continue');
+      return {
+        success: true,
+        isPaused: result.isPaused,
+        message: result.isPaused ? `Simulator halted at line ${result.currentLine}` : 'Simulator resumed'
+      };
+    }
+
     this.state.isPaused = !this.state.isPaused;
     const status = this.state.isPaused ? 'paused' : 'resumed';
     this.addLog(`Simulator ${status}`, 'info');
@@ -207,7 +395,7 @@ class SimulatorEngine {
   }
 
   /**
-   * Step through simulation one line at a time
+   * Execute one complete scan cycle (see resume() for statement stepping)
    */
   async step() {
     if (!this.state.isRunning) {
@@ -218,12 +406,13 @@ class SimulatorEngine {
       throw new Error('No compiled program available');
     }
 
+    if (this.state.pausedAt) {
+      throw new Error(`Scan halted at line ${this.state.pausedAt.line}; continue or step it first`);
+    }
+
     try {
-      // Execute one cycle
-      this.compiledProgram.step();
-      
-      // Update variables and ioValues
-      this.syncVariablesFromRuntime();
+      // A full scan like a free-running one: forces, process models, faults, trace and change events
+      this.runScan();
       
       this.addLog(`Executed cycle ${this.compiledProgram.runtime.cycleCount}`, 'execution');
 
@@ -236,6 +425,7 @@ class SimulatorEngine {
       success: true,
       cycleCount: this.compiledProgram.runtime.cycleCount,
       isPaused: this.state.isPaused,
+      pausedAt: this.state.pausedAt,
       ioValues: this.state.ioValues,
       variables: Array.from(this.state.variables.entries()).map(([name, value]) => ({ name, value })),
       executionMode: this.state.executionMode
@@ -243,16 +433,114 @@ class SimulatorEngine {
   }
 
   /**
-   * Set breakpoints
-   * @param {Array<number>} breakpoints - Array of line numbers
+   * Set breakpoints; a scan halts before executing the first statement on a breakpoint line
+   * @param {Array<number|Object>} breakpoints - Line numbers, or { line, file, condition, hitCount }:
+   *   file targets one file of a multi-file project, condition is an ST boolean expression (e.g. 'Tank_Level > 90')
+   *   and hitCount the number of hits with the condition met before the breakpoint starts halting
    */
   setBreakpoints(breakpoints) {
-    this.state.breakpoints = breakpoints || [];
-    this.addLog(`Breakpoints set at lines: ${breakpoints.join(', ')}`, 'info');
+    const list = breakpoints || [];
+    // Validates conditions and hit counts; verified is false for lines where no statement starts, unknown until logic is loaded
+    const locations = this.compiledProgram ? this.compiledProgram.runtime.setBreakpoints(list) : null;
+    this.state.breakpoints = list;
+    this.addLog(`Breakpoints set at lines: ${list.map(bp => this.describeBreakpoint(bp)).join(', ')}`, 'info');
+
+    return {
+      success: true,
+      breakpoints: this.state.breakpoints,
+      locations
+    };
+  }
+
+  /**
+   * Breakpoint as shown in the log, e.g. "main.st:12 if Tank_Level > 90"
+   */
+  describeBreakpoint(bp) {
+    if (typeof bp !== 'object') return String(bp);
+    let text = bp.file ? `${bp.file}:${bp.line}` : String(bp.line);
+    if (bp.condition) text += ` if ${bp.condition}`;
+    if (bp.hitCount > 1) text += ` after ${bp.hitCount} hits`;
+    return text;
+  }
+
+  /**
+   * Set data watchpoints; a scan halts as soon as a watched variable changes, or crosses a value
+   * @param {Array<Object>} watchpoints - { variable, value, direction }: variable is a name as listed in ioValues/variables,
+   *   value turns the watchpoint into a threshold crossed 'rising', 'falling' or 'both' (default)
+   */
+  setWatchpoints(watchpoints) {
+    const list = watchpoints || [];
+    // Validates variable names against the loaded logic
+    if (this.compiledProgram) this.compiledProgram.runtime.setWatchpoints(list);
+    this.state.watchpoints = list;
+    this.addLog(`Watchpoints set on: ${this.state.watchpoints.map(w => w.value === undefined || w.value === null ? w.variable : `${w.variable} crossing ${w.value}`).join(', ')}`, 'info');
+
+    return {
+      success: true,
+      watchpoints: this.state.watchpoints,
+      status: this.compiledProgram ? this.compiledProgram.runtime.getWatchpoints() : null
+    };
+  }
+
+  /**
+   * Resume a paused simulator from the debugger.
+   * 'continue' finishes the halted scan and lets the execution loop run until the next breakpoint;
+   * 'into', 'over' and 'out' execute up to the next statement (entering calls, staying in the current POU,
+   * returning to the caller) and halt there. A step past the end of a scan halts on the first statement of the next one.
+   * @param {string} mode - 'continue', 'into', 'over' or 'out'
+   */
+  resume(mode = 'continue') {
+    if (!this.state.isRunning || !this.compiledProgram) {
+      throw new Error('Simulator is not running');
+    }
+    if (!STEP_MODES.includes(mode)) {
+      throw new Error(`Unknown step mode ${mode} (expected ${STEP_MODES.join(', ')})`);
+    }
+    if (!this.state.isPaused) {
+      throw new Error('Simulator is not paused');
+    }
+
+    try {
+      if (this.state.pausedAt && !this.continueScan(mode)) {
+        this.finishScan();
+      }
+      for (let scans = 0; mode !== 'continue' && !this.state.pausedAt && scans < MAX_STEP_SCANS; scans++) {
+        this.beginScan();
+        if (!this.continueScan(mode)) this.finishScan();
+      }
+    } catch (error) {
+      this.state.pausedAt = null;
+      this.state.currentLine = null;
+      this.addLog(`Execution error: ${error.message}`, 'error');
+      throw error;
+    }
 
+    if (mode === 'continue' && !this.state.pausedAt) {
+      this.state.isPaused = false;
+      this.state.currentLine = null;
+      this.addLog('Simulator resumed', 'info');
+    }
+
+    return this.getDebugSnapshot();
+  }
+
+  /**
+   * Debugger view: where the scan is halted and the current variable values
+   */
+  getDebugSnapshot() {
+    const runtime = this.compiledProgram.runtime;
     return {
       success: true,
-      breakpoints: this.state.breakpoints
+      isPaused: this.state.isPaused,
+      halted: !!this.state.pausedAt,
+      currentLine: this.state.currentLine,
+      pausedAt: this.state.pausedAt,
+      cycleCount: runtime.cycleCount,
+      breakpoints: runtime.getBreakpoints(),
+      watchpoints: runtime.getWatchpoints(),
+      locals: this.state.pausedAt ? runtime.getScopePlain() : {},
+      ioValues: this.state.ioValues,
+      variables: Array.from(this.state.variables.entries()).map(([name, value]) => ({ name, value }))
     };
   }
 
@@ -264,42 +552,572 @@ class SimulatorEngine {
       ...this.state,
       variables: Array.from(this.state.variables.entries()).map(([name, value]) => ({
         name,
-        value
-      }))
+        value,
+        forced: this.isForced(name)
+      })),
+      forces: this.getForces(),
+      clock: this.getClockInfo(),
+      trace: this.trace ? this.trace.getRange() : null,
+      processModels: this.processBlocks.map(({ name, type, tags }) => ({ name, type, tags }))
+    };
+  }
+
+  // ============== CHANGE EVENTS ==============
+
+  /**
+   * Configure change events
+   * @param {Object} options - Any of:
+   *   deadband: numeric change (absolute) a value must exceed before it is published again; 0 publishes every change
+   *   deadbands: { variable: deadband } overrides per variable
+   *   minIntervalMs: a variable is published at most this often; a change held back is sent once the interval is over,
+   *     by a timer if no scan publishes it first (so the last value also arrives when the simulation halts or stops)
+   *   maxIntervalMs: while scans run every variable is republished at least this often, changed or not (0 = never)
+   */
+  setPublishOptions(options = {}) {
+    const config = { ...this.publishConfig, deadbands: { ...this.publishConfig.deadbands } };
+    for (const key of ['deadband', 'minIntervalMs', 'maxIntervalMs']) {
+      if (options[key] === undefined) continue;
+      const value = Number(options[key]);
+      if (!(value >= 0)) throw new Error(`${key} must be a non-negative number`);
+      config[key] = value;
+    }
+    if (options.deadbands !== undefined) {
+      if (!options.deadbands || typeof options.deadbands !== 'object') throw new Error('deadbands must map variable names to deadbands');
+      for (const [name, deadband] of Object.entries(options.deadbands)) {
+        // null removes an override
+        if (deadband === null) {
+          delete config.deadbands[name];
+          continue;
+        }
+        const value = Number(deadband);
+        if (!(value >= 0)) throw new Error(`Deadband of ${name} must be a non-negative number`);
+        config.deadbands[name] = value;
+      }
+    }
+    if (config.maxIntervalMs > 0 && config.maxIntervalMs < config.minIntervalMs) {
+      throw new Error('maxIntervalMs must not be below minIntervalMs');
+    }
+    this.publishConfig = config;
+    return this.getPublishOptions();
+  }
+
+  getPublishOptions() {
+    return { ...this.publishConfig, deadbands: { ...this.publishConfig.deadbands } };
+  }
+
+  /**
+   * Emit 'change' with the I/O values that moved past their deadband since they were last published:
+   * { cycle, time, timestamp, changes: [{ name, value, previous }] }. Intervals are wall-clock time, so a virtual clock
+   * advancing thousands of scans at once does not flood subscribers.
+   */
+  publishChanges() {
+    if (this.listenerCount('change') === 0) return;
+    
+    const now = Date.now();
+    const { deadband, deadbands, minIntervalMs, maxIntervalMs } = this.publishConfig;
+    const changes = [];
+    let heldMs = Infinity;
+    Object.entries(this.state.ioValues).forEach(([name, value]) => {
+      const last = this.published.get(name);
+      const json = JSON.stringify(value);
+      if (last) {
+        const age = now - last.at;
+        const band = deadbands[name] !== undefined ? deadbands[name] : deadband;
+        const changed = typeof value === 'number' && typeof last.value === 'number' && band > 0
+          ? Math.abs(value - last.value) > band
+          : json !== last.json;
+        if (!changed && !(maxIntervalMs > 0 && age >= maxIntervalMs)) return;
+        if (age < minIntervalMs) {
+          heldMs = Math.min(heldMs, minIntervalMs - age);
+          return;
+        }
+      }
+      // A copy, as arrays are live runtime values
+      const entry = { value: json === undefined ? value : JSON.parse(json), json, at: now };
+      this.published.set(name, entry);
+      changes.push({ name, value: entry.value, previous: last ? last.value : null });
+    });
+    if (heldMs !== Infinity) this.schedulePublish(now + heldMs);
+    if (changes.length === 0) return;
+    
+    this.emit('change', {
+      cycle: this.compiledProgram ? this.compiledProgram.runtime.cycleCount : 0,
+      time: this.clock.now(),
+      timestamp: now,
+      changes
+    });
+  }
+
+  // Run publishChanges at the given time (or earlier, when a timer for an earlier time is already pending)
+  schedulePublish(at) {
+    if (this.publishTimer) {
+      if (this.publishTimerAt <= at) return;
+      clearTimeout(this.publishTimer);
+    }
+    this.publishTimerAt = at;
+    this.publishTimer = setTimeout(() => {
+      this.publishTimer = null;
+      this.publishChanges();
+    }, Math.max(0, at - Date.now()));
+    // Does not keep the process alive on its own
+    if (this.publishTimer.unref) this.publishTimer.unref();
+  }
+
+  // ============== EXECUTION TRACE ==============
+
+  /**
+   * Begin a new trace recording from the current runtime state; the previous recording's stored cycles are deleted
+   */
+  startTrace() {
+    if (this.trace) {
+      this.trace.discard().catch(error => this.addLog(`Failed to discard trace: ${error.message}`, 'error'));
+      this.trace = null;
+    }
+    if (!this.traceConfig.enabled || !this.compiledProgram) return;
+    
+    this.trace = new TraceRecorder({
+      maxCycles: this.traceConfig.maxCycles,
+      store: this.traceConfig.store,
+      runId: uuidv4(),
+      onError: error => this.addLog(`Trace spill error: ${error.message}`, 'error')
+    });
+    this.trace.start(this.compiledProgram.runtime.cycleCount, this.clock.now(), this.captureTraceState());
+  }
+
+  /**
+   * State recorded per cycle: variables, standard FB internals and the scheduling state needed to resume from it
+   */
+  captureTraceState() {
+    const state = this.compiledProgram.runtime.captureState();
+    return {
+      vars: state.vars,
+      fbInstances: state.fbInstances,
+      runtime: { taskRuns: state.taskRuns },
+      engine: { scanCount: this.hyperGranular.scanCycle.currentScanCount }
+    };
+  }
+
+  /**
+   * Record the state after the cycle that just completed
+   */
+  recordTrace() {
+    if (!this.trace) return;
+    this.trace.record(this.compiledProgram.runtime.cycleCount, this.clock.now(), this.captureTraceState());
+  }
+
+  /**
+   * Variable changes per cycle
+   * @param {Object} query - { fromCycle, toCycle, fromTime, toTime, variables, limit }; times are runtime clock ms,
+   *   variables limits the result to those names and limit caps the number of cycles read
+   */
+  async getTrace({ fromCycle, toCycle, fromTime, toTime, variables, limit = 1000 } = {}) {
+    if (!this.trace) {
+      throw new Error('No trace recorded (start the simulator with trace enabled)');
+    }
+    
+    const names = variables && variables.length ? new Set(variables) : null;
+    const entries = await this.trace.query({ fromCycle, toCycle, fromTime, toTime, limit });
+    const cycles = [];
+    for (const entry of entries) {
+      const changed = entry.delta.vars ? entry.delta.vars.set : {};
+      const changes = {};
+      Object.entries(changed).forEach(([name, value]) => {
+        if (!names || names.has(name)) changes[name] = value;
+      });
+      if (Object.keys(changes).length > 0) {
+        cycles.push({ cycle: entry.cycle, time: entry.time, changes });
+      }
+    }
+    
+    return {
+      success: true,
+      range: this.trace.getRange(),
+      entries: cycles
+    };
+  }
+
+  /**
+   * All variable values after a recorded cycle
+   * @param {number} cycle - Cycle number
+   */
+  async getTraceCycle(cycle) {
+    if (!this.trace) {
+      throw new Error('No trace recorded (start the simulator with trace enabled)');
+    }
+    
+    const state = await this.trace.stateAt(Number(cycle));
+    return {
+      success: true,
+      cycle: state.cycle,
+      time: state.time,
+      variables: state.sections.vars
+    };
+  }
+
+  /**
+   * Restore the runtime to the state after a recorded cycle. The trace after that cycle is discarded,
+   * so resuming records a new history from there. Timers resume exactly with the virtual clock only.
+   * @param {number} cycle - Recorded cycle to return to
+   * @param {boolean} resume - Keep running afterwards instead of staying paused
+   */
+  async rewind(cycle, resume = false) {
+    if (!this.state.isRunning || !this.compiledProgram) {
+      throw new Error('Simulator is not running');
+    }
+    if (!this.trace) {
+      throw new Error('No trace recorded (start the simulator with trace enabled)');
+    }
+    
+    // No scans while the recorded state is being read
+    const wasPaused = this.state.isPaused;
+    this.state.isPaused = true;
+    let state;
+    try {
+      state = await this.trace.stateAt(Number(cycle));
+    } catch (error) {
+      this.state.isPaused = wasPaused;
+      throw error;
+    }
+    
+    const runtime = this.compiledProgram.runtime;
+    runtime.restoreState({
+      vars: state.sections.vars,
+      fbInstances: state.sections.fbInstances,
+      cycleCount: state.cycle,
+      taskRuns: state.sections.runtime.taskRuns
+    });
+    if (this.clockMode === 'virtual') this.clock.set(state.time);
+    this.hyperGranular.scanCycle.currentScanCount = state.sections.engine.scanCount;
+    this.hyperGranular.ioLatency.ioQueue.clear();
+    this.state.pausedAt = null;
+    this.state.currentLine = null;
+    // Block internals (dead time buffers, conveyor travel) are not traced and start over
+    this.buildProcessBlocks();
+    this.applyForces();
+    
+    await this.trace.truncate(state.cycle, state.time, this.captureTraceState());
+    this.syncVariablesFromRuntime();
+    this.publishChanges();
+    this.state.isPaused = !resume;
+    
+    this.addLog(`Rewound to cycle ${state.cycle}${this.clockMode === 'virtual' ? '' : ' (realtime clock: timers continue from the current time)'}`, 'info');
+    
+    return {
+      success: true,
+      cycle: state.cycle,
+      time: state.time,
+      isPaused: this.state.isPaused,
+      ioValues: this.state.ioValues,
+      variables: Array.from(this.state.variables.entries()).map(([name, value]) => ({ name, value }))
+    };
+  }
+
+  // ============== SNAPSHOTS ==============
+
+  /**
+   * Capture everything needed to recreate the simulation: its logic and start options, the runtime state
+   * (variables, FB internals, task schedule, cycle count), the clock, injected faults, breakpoints and watchpoints.
+   * The result is plain JSON.
+   */
+  captureSnapshot() {
+    if (!this.compiledProgram) {
+      throw new Error('No compiled program available');
+    }
+    if (this.state.pausedAt) {
+      throw new Error(`Scan halted at line ${this.state.pausedAt.line}; continue or step to the end of the scan before taking a snapshot`);
+    }
+    
+    const runtime = this.compiledProgram.runtime.captureState();
+    return JSON.parse(JSON.stringify({
+      logic: this.state.currentLogic,
+      options: this.startOptions,
+      cycle: runtime.cycleCount,
+      time: this.clock.now(),
+      runtime: { vars: runtime.vars, fbInstances: runtime.fbInstances, taskRuns: runtime.taskRuns },
+      engine: { scanCount: this.hyperGranular.scanCycle.currentScanCount },
+      faults: {
+        active: Array.from(this.faultInjection.activeFaults.entries()),
+        driftStates: Array.from(this.faultInjection.driftStates.entries()),
+        history: this.faultInjection.faultHistory,
+        scheduled: this.faultInjection.scheduled
+      },
+      breakpoints: this.state.breakpoints,
+      watchpoints: this.state.watchpoints,
+      forces: { enabled: this.forcesEnabled, forces: Array.from(this.forces.values()) }
+    }));
+  }
+
+  /**
+   * Recreate a captured simulation: the snapshot's logic is compiled and started, then its state is restored.
+   * The simulator is left paused at the captured cycle with a fresh trace. Timers resume exactly with the virtual clock only.
+   * @param {Object} snapshot - Result of captureSnapshot()
+   */
+  async restoreSnapshot(snapshot) {
+    if (!snapshot || !snapshot.logic || !snapshot.runtime) {
+      throw new Error('Invalid snapshot');
+    }
+    
+    if (this.state.isRunning || this.executionInterval) this.stop();
+    this.state.breakpoints = snapshot.breakpoints || [];
+    this.state.watchpoints = snapshot.watchpoints || [];
+    if (snapshot.forces) {
+      this.forces = new Map(snapshot.forces.forces.map(force => [force.variable, force]));
+      this.forcesEnabled = snapshot.forces.enabled;
+    }
+    await this.start(snapshot.logic, { ...snapshot.options, trace: this.traceConfig });
+    // Nothing has run yet: the execution loop's first tick comes later
+    this.state.isPaused = true;
+    
+    this.compiledProgram.runtime.restoreState({
+      vars: snapshot.runtime.vars,
+      fbInstances: snapshot.runtime.fbInstances,
+      cycleCount: snapshot.cycle,
+      taskRuns: snapshot.runtime.taskRuns
+    });
+    if (this.clockMode === 'virtual') this.clock.set(snapshot.time);
+    this.hyperGranular.scanCycle.currentScanCount = snapshot.engine.scanCount;
+    
+    // Fault timing is in clock time; with the realtime clock it is shifted to now
+    const offset = this.clock.now() - snapshot.time;
+    this.faultInjection.activeFaults = new Map(snapshot.faults.active.map(([target, fault]) =>
+      [target, { ...fault, startTime: fault.startTime + offset, endTime: fault.endTime + offset }]));
+    this.faultInjection.driftStates = new Map(snapshot.faults.driftStates.map(([target, drift]) =>
+      [target, drift.lastUpdate === undefined ? drift : { ...drift, lastUpdate: drift.lastUpdate + offset }]));
+    this.faultInjection.faultHistory = snapshot.faults.history;
+    this.faultInjection.scheduled = (snapshot.faults.scheduled || []).map(entry => ({ ...entry, at: entry.at + offset }));
+    
+    this.applyForces();
+    this.syncVariablesFromRuntime();
+    this.startTrace();
+    this.publishChanges();
+    this.addLog(`Restored snapshot at cycle ${snapshot.cycle}${this.clockMode === 'virtual' ? '' : ' (realtime clock: timers continue from the current time)'}`, 'info');
+    
+    return {
+      success: true,
+      cycle: snapshot.cycle,
+      time: this.clock.now(),
+      isPaused: this.state.isPaused,
+      activeFaults: Array.from(this.faultInjection.activeFaults.values()),
+      ioValues: this.state.ioValues,
+      variables: Array.from(this.state.variables.entries()).map(([name, value]) => ({ name, value }))
+    };
+  }
+
+  /**
+   * Select the time source used by the runtime
+   * @param {string} mode - 'realtime' or 'virtual'
+   * @param {number} timeScale - Virtual clock only: simulated ms per real ms
+   */
+  configureClock(mode = 'realtime', timeScale = 1) {
+    if (mode !== 'realtime' && mode !== 'virtual') {
+      throw new Error(`Unknown clock mode ${mode} (expected 'realtime' or 'virtual')`);
+    }
+    const scale = Number(timeScale);
+    if (!(scale > 0)) {
+      throw new Error('timeScale must be a positive number');
+    }
+    
+    this.clockMode = mode;
+    this.timeScale = mode === 'virtual' ? scale : 1;
+    this.clock = mode === 'virtual' ? new VirtualClock({ step: this.getScanInterval() }) : new SystemClock();
+  }
+
+  /**
+   * Get the clock mode and current time
+   */
+  getClockInfo() {
+    return {
+      mode: this.clockMode,
+      now: this.clock.now(),
+      timeScale: this.timeScale,
+      scanTimeMs: this.getScanInterval()
+    };
+  }
+
+  /**
+   * Scan time in ms: the hyper-granular scan cycle when enabled, the legacy cycle time otherwise
+   */
+  getScanInterval() {
+    return this.hyperGranular.scanCycle.enabled ? this.hyperGranular.scanCycle.scanTimeMs : this.cycleTime;
+  }
+
+  /**
+   * Execute one scan: logic, variable sync and process simulation.
+   * A scan that reaches a breakpoint halts there and is finished later by resume().
+   */
+  runScan() {
+    this.beginScan();
+    if (!this.continueScan('continue')) this.finishScan();
+  }
+
+  /**
+   * First half of a scan: hyper-granular pre-processing, then the runtime cycle is started
+   */
+  beginScan() {
+    if (this.hyperGranular.scanCycle.enabled) {
+      this.prepareHyperGranularScanCycle();
+    }
+    // Forced inputs as the logic reads them
+    this.applyForces();
+    this.scanTiming = { start: performance.now(), halted: false };
+    this.compiledProgram.runtime.beginCycle();
+  }
+
+  /**
+   * Run the started scan until it ends or halts
+   * @param {string} mode - How to resume a halted scan (see resume())
+   * @returns {boolean} true when the scan halted at a breakpoint or step
+   */
+  continueScan(mode) {
+    this.state.pausedAt = null;
+    let pausedAt;
+    try {
+      pausedAt = this.compiledProgram.runtime.resumeCycle(mode);
+    } catch (error) {
+      // Legacy mode stops the simulator on a logic error, a hyper-granular scan logs it and carries on
+      if (!this.hyperGranular.scanCycle.enabled) throw error;
+      this.addLog(`Scan cycle error: ${error.message}`, 'error');
+      return false;
+    }
+    if (!pausedAt) return false;
+
+    this.scanTiming.halted = true;
+    this.state.isPaused = true;
+    this.state.pausedAt = pausedAt;
+    this.state.currentLine = pausedAt.line;
+    this.syncVariablesFromRuntime();
+    this.publishChanges();
+    const where = pausedAt.line === null ? 'end of scan' : `${pausedAt.file ? `${pausedAt.file}:` : 'line '}${pausedAt.line} in ${pausedAt.pou || 'program'}`;
+    let why = pausedAt.reason;
+    if (pausedAt.watch) why = `${pausedAt.watch.variable} changed from ${pausedAt.watch.previous} to ${pausedAt.watch.value}`;
+    if (pausedAt.error) why = pausedAt.error;
+    this.addLog(`Halted at ${where} (cycle ${pausedAt.cycle}): ${why}`, pausedAt.error ? 'error' : 'execution');
+    return true;
+  }
+
+  /**
+   * Second half of a scan: hyper-granular post-processing, variable sync and process simulation
+   */
+  finishScan() {
+    if (this.hyperGranular.scanCycle.enabled) {
+      // Time spent halted in the debugger is not execution time
+      this.completeHyperGranularScanCycle(this.scanTiming.halted ? null : performance.now() - this.scanTiming.start);
+    }
+    
+    // Forced outputs override what the logic wrote, before the process reacts to them
+    this.applyForces();
+    
+    // Sync variables from runtime to state
+    this.syncVariablesFromRuntime();
+    
+    // Apply process simulation (physics) after logic execution
+    this.applyProcessSimulation();
+    this.applyForces();
+    
+    this.recordTrace();
+    this.publishChanges();
+  }
+
+  /**
+   * Run scans back to back until the virtual clock has moved on by durationMs.
+   * Lets regression runs cover hours of process time in seconds.
+   * @param {number} durationMs - Simulated time to advance
+   */
+  advance(durationMs) {
+    if (!this.state.isRunning || !this.compiledProgram) {
+      throw new Error('Simulator is not running');
+    }
+    if (this.clockMode !== 'virtual') {
+      throw new Error('advance requires the virtual clock (start with clock: "virtual")');
+    }
+    const duration = Number(durationMs);
+    if (!(duration > 0)) {
+      throw new Error('duration_ms must be a positive number');
+    }
+    if (this.state.pausedAt) {
+      throw new Error(`Scan halted at line ${this.state.pausedAt.line}; continue or step it first`);
+    }
+    
+    const target = this.clock.now() + duration;
+    const startCycles = this.compiledProgram.runtime.cycleCount;
+    let scans = 0;
+    while (this.clock.now() < target && this.state.isRunning && !this.state.pausedAt) {
+      if (scans >= MAX_ADVANCE_SCANS) {
+        throw new Error(`advance stopped after ${MAX_ADVANCE_SCANS} scans`);
+      }
+      this.runScan();
+      scans++;
+    }
+    
+    this.addLog(`Advanced virtual clock by ${duration}ms (${scans} scans)`, 'execution');
+    
+    return {
+      success: true,
+      scans,
+      cycleCount: this.compiledProgram.runtime.cycleCount,
+      cyclesExecuted: this.compiledProgram.runtime.cycleCount - startCycles,
+      clock: this.getClockInfo(),
+      pausedAt: this.state.pausedAt,
+      ioValues: this.state.ioValues
     };
   }
 
+  /**
+   * Run a fault scenario (see scenario.js) on the virtual clock and report pass/fail per step.
+   * The scans run back to back within this call, like advance().
+   * @param {Object} scenario - { name, durationMs, steps }
+   * @param {Object} [options] - { reset = true }: start from the initial state without faults, so runs are repeatable
+   */
+  runScenario(scenario, { reset = true } = {}) {
+    if (!this.state.isRunning || !this.compiledProgram) {
+      throw new Error('Simulator is not running');
+    }
+    if (this.clockMode !== 'virtual') {
+      throw new Error('Scenarios require the virtual clock (start with clock: "virtual")');
+    }
+    if (this.state.pausedAt) {
+      throw new Error(`Scan halted at line ${this.state.pausedAt.line}; continue or step it first`);
+    }
+    const definition = normalizeScenario(scenario);
+    
+    if (reset) {
+      this.reset();
+      Array.from(this.faultInjection.activeFaults.keys()).forEach(id => this.endFault(id, 'removed'));
+      this.faultInjection.scheduled = [];
+    }
+    this.addLog(`Scenario ${definition.name} started (${definition.steps.length} steps over ${definition.durationMs}ms)`, 'info');
+    
+    const report = new ScenarioRun(this, definition, { maxScans: MAX_ADVANCE_SCANS }).run();
+    this.lastScenarioReport = report;
+    this.addLog(
+      `Scenario ${definition.name} ${report.passed ? 'passed' : 'failed'}: ${report.summary.passed} of ${report.summary.assertions} assertion(s) passed${report.aborted ? ` (${report.aborted})` : ''}`,
+      report.passed ? 'success' : 'error'
+    );
+    return report;
+  }
+
   /**
    * Start execution loop
    */
   startExecutionLoop() {
     // Use hyper-granular scan cycle if enabled
-    const scanInterval = this.hyperGranular.scanCycle.enabled ? 
-      this.hyperGranular.scanCycle.scanTimeMs : this.cycleTime;
+    const scanInterval = this.getScanInterval();
+    
+    // Faster than real time: tick less often than the scan time and run several scans per tick
+    const tickInterval = Math.max(Math.min(MIN_TICK_MS, scanInterval), scanInterval / this.timeScale);
+    const scansPerTick = Math.max(1, Math.round(tickInterval * this.timeScale / scanInterval));
     
     this.executionInterval = setInterval(() => {
-      if (!this.state.isPaused && this.state.isRunning && this.compiledProgram) {
+      for (let i = 0; i < scansPerTick; i++) {
+        if (this.state.isPaused || !this.state.isRunning || !this.compiledProgram) break;
         try {
-          if (this.hyperGranular.scanCycle.enabled) {
-            // Use hyper-granular scan cycle execution
-            this.executeHyperGranularScanCycle();
-          } else {
-            // Legacy execution mode
-            this.compiledProgram.step();
-          }
-          
-          // Sync variables from runtime to state
-          this.syncVariablesFromRuntime();
-          
-          // Apply process simulation (physics) after logic execution
-          this.applyProcessSimulation();
-          
+          this.runScan();
         } catch (error) {
           this.addLog(`Execution error: ${error.message}`, 'error');
           this.stop();
         }
       }
-    }, scanInterval);
+    }, tickInterval);
   }
 
   /**
@@ -329,66 +1147,183 @@ class SimulatorEngine {
     });
   }
 
+  // ============== PROCESS SIMULATION ==============
+
   /**
-   * Apply process simulation - simulates the physical process
-   * This makes the temperature, tank level, etc. change based on control outputs
+   * Replace the plant blocks simulating the process. Takes effect immediately when logic is loaded.
+   * @param {Array<Object>} models - { name, type, params, enabled }; without any enabled model the built-in
+   *   heater (Temperature_PV/Heater_Output) and tank (Tank_Level/Pump_Run) run for logic declaring their tags
    */
-  applyProcessSimulation() {
+  setProcessModels(models = []) {
+    if (!Array.isArray(models)) {
+      throw new Error('processModels must be an array');
+    }
+    this.processModels = models.filter(model => model.enabled !== false);
+    this.buildProcessBlocks();
+    return this.processBlocks.map(({ name, type, tags }) => ({ name, type, tags }));
+  }
+
+  /**
+   * Instantiate the configured models against the loaded logic. Models wired to variables the logic does not
+   * declare are skipped with a warning.
+   */
+  buildProcessBlocks() {
+    this.processBlocks = [];
     if (!this.compiledProgram) return;
+    
+    const runtime = this.compiledProgram.runtime;
+    const configured = this.processModels.length > 0;
+    for (const model of configured ? this.processModels : DEFAULT_PROCESS_MODELS) {
+      const name = model.name || model.type;
+      try {
+        const block = createBlock(model);
+        const tags = modelTags(model);
+        const missing = tags.filter(tag => !runtime.hasVar(tag));
+        if (missing.length > 0) {
+          if (configured) this.addLog(`Process model ${name} skipped: ${missing.join(', ')} not declared in the logic`, 'warning');
+          continue;
+        }
+        this.processBlocks.push({ name, type: model.type, tags, block });
+      } catch (error) {
+        this.addLog(`Process model ${name} skipped: ${error.message}`, 'warning');
+      }
+    }
+    
+    if (configured) {
+      this.addLog(`Process simulation: ${this.processBlocks.length} of ${this.processModels.length} model(s) active`, 'info');
+    }
+  }
 
-    try {
-      // Get current variable values
-      const vars = this.compiledProgram.getVars();
-      
-      // Temperature Process Simulation
-      if ('Temperature_PV' in vars && 'Heater_Output' in vars) {
-        let tempPV = vars.Temperature_PV || 20.0;
-        const heaterOutput = vars.Heater_Output || 0.0;
-        
-        // Heat added by heater (proportional to output)
-        const heatAdded = (heaterOutput / 100.0) * 0.3; // Max 0.3°C per cycle at 100%
-        
-        // Ambient cooling (always losing some heat)
-        const ambientCooling = 0.05;
-        
-        // Update temperature
-        tempPV = tempPV + heatAdded - ambientCooling;
-        tempPV = Math.max(0, Math.min(150, tempPV)); // Clamp to realistic range
-        tempPV = this.roundPrecision(tempPV); // Round to avoid precision errors
-        
-        // Write back to runtime
-        this.compiledProgram.runtime.setVarValue('Temperature_PV', tempPV);
-        this.state.variables.set('Temperature_PV', tempPV);
-        this.state.ioValues.Temperature_PV = tempPV;
+  /**
+   * Apply process simulation - steps every plant block by one scan time, so the process reacts to the
+   * outputs the logic just wrote (temperatures, levels, speeds...)
+   */
+  applyProcessSimulation() {
+    if (!this.compiledProgram || this.processBlocks.length === 0) return;
+
+    const runtime = this.compiledProgram.runtime;
+    const written = new Set();
+    const io = {
+      read: tag => runtime.getVarValue(tag),
+      write: (tag, value) => {
+        runtime.setVarValue(tag, value);
+        written.add(tag);
       }
-      
-      // Tank Level Process Simulation
-      if ('Tank_Level' in vars && 'Pump_Run' in vars) {
-        let tankLevel = vars.Tank_Level || 50.0;
-        const pumpRun = vars.Pump_Run || false;
-        
-        // Pump adds liquid
-        if (pumpRun) {
-          tankLevel += 0.5; // Filling rate
-        }
-        
-        // Natural drainage/usage
-        tankLevel -= 0.15;
-        
-        // Clamp to valid range
-        tankLevel = Math.max(0, Math.min(100, tankLevel));
-        tankLevel = this.roundPrecision(tankLevel); // Round to avoid precision errors
-        
-        // Write back to runtime
-        this.compiledProgram.runtime.setVarValue('Tank_Level', tankLevel);
-        this.state.variables.set('Tank_Level', tankLevel);
-        this.state.ioValues.Tank_Level = tankLevel;
+    };
+    
+    // Process time advances by the scan time per scan, like the virtual clock
+    const dt = this.getScanInterval();
+    for (const { name, block } of this.processBlocks) {
+      try {
+        block.step(dt, io);
+      } catch (error) {
+        // Not critical: the logic keeps running against the last values
+        console.error(`Process simulation error in ${name}:`, error.message);
       }
-      
-    } catch (error) {
-      // Silently handle process simulation errors - not critical
-      console.error('Process simulation error:', error.message);
     }
+    
+    written.forEach(tag => {
+      const value = runtime.getVarValue(tag);
+      const roundedValue = typeof value === 'number' ? this.roundPrecision(value) : value;
+      this.state.variables.set(tag, roundedValue);
+      this.state.ioValues[tag] = roundedValue;
+    });
+  }
+
+  // ============== FORCING ==============
+
+  /**
+   * Force a variable to a value until the force is removed
+   * @param {string} name - Variable name as listed in ioValues/variables
+   * @param {any} value - Forced value, converted to the variable's type
+   * @returns {Object} The force, and the value the variable had before
+   */
+  setForce(name, value) {
+    if (!this.compiledProgram) {
+      throw new Error('No compiled program available');
+    }
+    const runtime = this.compiledProgram.runtime;
+    if (!runtime.hasVar(name)) {
+      throw new Error(`Unknown variable ${name}`);
+    }
+    
+    const previous = runtime.getVarValue(name);
+    runtime.setVarValue(name, value);
+    // The converted value is what gets forced
+    const force = { variable: name, value: runtime.getVarValue(name), forcedAt: new Date().toISOString() };
+    if (!this.forcesEnabled) runtime.setVarValue(name, previous);
+    this.forces.set(name, force);
+    this.applyForces();
+    this.publishChanges();
+    this.addLog(`Forced ${name} = ${force.value}${this.forcesEnabled ? '' : ' (forces disabled)'}`, 'user_action');
+    
+    return { force, previous };
+  }
+
+  /**
+   * Remove the force on a variable; it keeps its forced value until something writes it
+   * @returns {Object|null} The removed force
+   */
+  removeForce(name) {
+    const force = this.forces.get(name) || null;
+    if (force) {
+      this.forces.delete(name);
+      this.addLog(`Force on ${name} removed`, 'user_action');
+    }
+    return force;
+  }
+
+  /**
+   * Remove every force
+   * @returns {Array<Object>} The removed forces
+   */
+  clearForces() {
+    const removed = Array.from(this.forces.values());
+    this.forces.clear();
+    if (removed.length > 0) this.addLog(`Removed ${removed.length} force(s)`, 'user_action');
+    return removed;
+  }
+
+  /**
+   * Switch all forces on or off; disabled forces stay in the table
+   */
+  setForcesEnabled(enabled) {
+    this.forcesEnabled = Boolean(enabled);
+    this.applyForces();
+    this.addLog(`Forces ${this.forcesEnabled ? 'enabled' : 'disabled'} (${this.forces.size} in table)`, 'user_action');
+    return this.getForces();
+  }
+
+  /**
+   * Force table: enabled switch, whether forces are in effect (the PLC's FORCE indicator) and the forces
+   */
+  getForces() {
+    return {
+      enabled: this.forcesEnabled,
+      active: this.forcesEnabled && this.forces.size > 0,
+      forces: Array.from(this.forces.values())
+    };
+  }
+
+  isForced(name) {
+    return this.forcesEnabled && this.forces.has(name);
+  }
+
+  /**
+   * Write every forced value into the runtime and state
+   */
+  applyForces() {
+    if (!this.forcesEnabled || this.forces.size === 0 || !this.compiledProgram) return;
+    
+    const runtime = this.compiledProgram.runtime;
+    this.forces.forEach(({ variable, value }) => {
+      runtime.setVarValue(variable, value);
+      const roundedValue = typeof value === 'number' ? this.roundPrecision(value) : value;
+      this.state.variables.set(variable, roundedValue);
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        this.state.ioValues[variable] = roundedValue;
+      }
+    });
   }
 
   /**
@@ -400,6 +1335,9 @@ class SimulatorEngine {
     if (!this.compiledProgram) {
       throw new Error('No compiled program available');
     }
+    if (this.isForced(name)) {
+      throw new Error(`${name} is forced to ${this.forces.get(name).value}; remove the force to write it`);
+    }
 
     try {
       const roundedValue = typeof value === 'number' ? this.roundPrecision(value) : value;
@@ -412,6 +1350,7 @@ class SimulatorEngine {
         this.state.ioValues[name] = roundedValue;
       }
 
+      this.publishChanges();
       this.addLog(`Variable ${name} set to ${value}`, 'info');
 
       return {
@@ -515,43 +1454,53 @@ class SimulatorEngine {
       Object.assign(this.hyperGranular.overflowModeling, hyperGranular.overflowModeling);
     }
     
+    // A virtual clock advances by the scan time, which may just have changed
+    if (this.clockMode === 'virtual') {
+      this.clock.step = this.getScanInterval();
+    }
+    
     this.addLog(`Hyper-granular simulation initialized: Scan=${this.hyperGranular.scanCycle.scanTimeMs}ms, I/O Latency=${this.hyperGranular.ioLatency.defaultLatency}ms`, 'info');
   }
 
   /**
-   * Execute a single scan cycle with hyper-granular timing
+   * Hyper-granular work before the logic of a scan runs: system variables, I/O latency and fault injection
    */
-  executeHyperGranularScanCycle() {
-    if (!this.compiledProgram || this.state.isPaused) return;
-    
+  prepareHyperGranularScanCycle() {
     const scanStart = Date.now();
     this.hyperGranular.scanCycle.lastScanStart = scanStart;
     this.hyperGranular.scanCycle.currentScanCount++;
     
     try {
-      // Add ScanTime_ms system variable accessible in ST logic
-      this.compiledProgram.runtime.setVarValue('ScanTime_ms', this.hyperGranular.scanCycle.scanTimeMs);
-      this.compiledProgram.runtime.setVarValue('ScanCount', this.hyperGranular.scanCycle.currentScanCount);
+      // Publish ScanTime_ms/ScanCount system variables to ST logic that declares them
+      // (as program variables, or as VAR_GLOBAL in multi-program projects)
+      const runtime = this.compiledProgram.runtime;
+      if (runtime.hasVar('ScanTime_ms')) runtime.setVarValue('ScanTime_ms', this.hyperGranular.scanCycle.scanTimeMs);
+      if (runtime.hasVar('ScanCount')) runtime.setVarValue('ScanCount', this.hyperGranular.scanCycle.currentScanCount);
       
       // Process I/O latency queue before execution
       this.processIOLatencyQueue();
       
       // Apply active fault injections
       this.applyFaultInjections();
-      
-      // Check compute quota before execution
-      const executionStart = performance.now();
-      
-      // Execute one scan cycle
-      this.compiledProgram.step();
-      
-      // Calculate execution time and check watchdog
-      const executionTime = performance.now() - executionStart;
-      this.hyperGranular.computeQuota.currentLoad = executionTime;
-      
-      if (this.hyperGranular.computeQuota.enabled && 
-          executionTime > this.hyperGranular.computeQuota.watchdogLimit) {
-        this.triggerWatchdogFault(executionTime);
+    } catch (error) {
+      this.addLog(`Scan cycle error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Hyper-granular work after the logic of a scan ran: watchdog, overflow check and delayed outputs
+   * @param {number|null} executionTime - Logic execution time in ms; null when the scan was halted by the debugger
+   */
+  completeHyperGranularScanCycle(executionTime) {
+    try {
+      // Check the compute quota against the execution time of the logic
+      if (executionTime !== null) {
+        this.hyperGranular.computeQuota.currentLoad = executionTime;
+        
+        if (this.hyperGranular.computeQuota.enabled && 
+            executionTime > this.hyperGranular.computeQuota.watchdogLimit) {
+          this.triggerWatchdogFault(executionTime);
+        }
       }
       
       // Update variables with overflow checking
@@ -559,7 +1508,7 @@ class SimulatorEngine {
       
       // Calculate actual scan time
       const scanEnd = Date.now();
-      this.hyperGranular.scanCycle.actualScanTime = scanEnd - scanStart;
+      this.hyperGranular.scanCycle.actualScanTime = scanEnd - this.hyperGranular.scanCycle.lastScanStart;
       
       // Queue I/O outputs with latency
       this.queueIOOutputsWithLatency();
@@ -575,7 +1524,7 @@ class SimulatorEngine {
   processIOLatencyQueue() {
     if (!this.hyperGranular.ioLatency.enabled) return;
     
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     
     this.hyperGranular.ioLatency.ioQueue.forEach((queue, tagName) => {
       // Process queued values that have passed their latency delay
@@ -626,52 +1575,31 @@ class SimulatorEngine {
         
         this.hyperGranular.ioLatency.ioQueue.get(name).push({
           value,
-          timestamp: Date.now()
+          timestamp: this.clock.now()
         });
       }
     });
   }
 
   /**
-   * Update variables with data type overflow checking
+   * Report integer wrap-around recorded by the runtime during the last scan.
+   * The runtime wraps values according to their declared IEC type; this only surfaces the events.
    */
   updateVariablesWithOverflowCheck() {
-    if (!this.hyperGranular.overflowModeling.enabled || !this.compiledProgram) return;
+    if (!this.compiledProgram) return;
     
-    const vars = this.compiledProgram.getVars();
+    const events = this.compiledProgram.runtime.drainOverflowEvents();
+    if (!this.hyperGranular.overflowModeling.enabled) return;
     
-    Object.entries(vars).forEach(([name, value]) => {
-      if (typeof value === 'number') {
-        let overflowValue = value;
-        let overflowDetected = false;
-        
-        // Check INT overflow (assume INT type for integer values in typical range)
-        if (Number.isInteger(value)) {
-          if (value > this.hyperGranular.overflowModeling.intMax) {
-            overflowValue = this.hyperGranular.overflowModeling.intMin + 
-                           (value - this.hyperGranular.overflowModeling.intMax - 1);
-            overflowDetected = true;
-          } else if (value < this.hyperGranular.overflowModeling.intMin) {
-            overflowValue = this.hyperGranular.overflowModeling.intMax - 
-                           (this.hyperGranular.overflowModeling.intMin - value - 1);
-            overflowDetected = true;
-          }
-        }
-        
-        if (overflowDetected) {
-          this.hyperGranular.overflowModeling.overflowExceptions.push({
-            variable: name,
-            originalValue: value,
-            overflowValue,
-            timestamp: Date.now(),
-            type: 'INT_OVERFLOW'
-          });
-          
-          // Update the variable with wrapped value
-          this.compiledProgram.runtime.setVarValue(name, overflowValue);
-          this.addLog(`INT overflow in ${name}: ${value} → ${overflowValue}`, 'warning');
-        }
-      }
+    events.forEach(event => {
+      this.hyperGranular.overflowModeling.overflowExceptions.push({
+        variable: event.variable,
+        originalValue: event.value,
+        overflowValue: event.wrapped,
+        timestamp: Date.now(),
+        type: `${event.type}_OVERFLOW`
+      });
+      this.addLog(`${event.type} overflow in ${event.variable}: ${event.value} → ${event.wrapped}`, 'warning');
     });
   }
 
@@ -697,50 +1625,102 @@ class SimulatorEngine {
 
   /**
    * Inject a fault into the simulation
+   * @param {Object} faultConfig - { target, fault_type, parameter, duration_ms, options, run_id }: see FAULT_TYPES for
+   *   the meaning of parameter and the options per type; run_id labels the fault with the test run that injected it
    */
   injectFault(faultConfig) {
-    const { target, fault_type, parameter, duration_ms = 60000 } = faultConfig;
+    const { target, fault_type, parameter, duration_ms = 60000, options = {}, run_id = null } = faultConfig;
+    if (!FAULT_TYPES[fault_type]) {
+      throw new Error(`Invalid fault_type. Must be one of: ${Object.keys(FAULT_TYPES).join(', ')}`);
+    }
     
     const fault = {
-      id: `fault_${Date.now()}`,
+      id: `fault_${Date.now()}_${++this.faultSeq}`,
       target,
       type: fault_type,
       parameter,
+      options,
       duration: duration_ms,
-      startTime: Date.now(),
-      endTime: Date.now() + duration_ms,
-      active: true
+      startTime: this.clock.now(),
+      endTime: this.clock.now() + duration_ms,
+      active: true,
+      runId: run_id
     };
     
-    this.faultInjection.activeFaults.set(target, fault);
-    this.faultInjection.faultHistory.push(fault);
-    
-    // Initialize fault-specific state
+    // Initialize fault-specific state; faults on a reading keep its real value as base (see applyReadingFault)
+    const now = this.clock.now();
+    const rng = toSeed(options.seed !== undefined ? options.seed : `${target}:${fault_type}`);
+    let driftState = null;
     switch (fault_type) {
       case 'VALUE_DRIFT':
-        this.faultInjection.driftStates.set(target, {
+        driftState = {
           originalValue: this.getVariableValue(target),
           driftRate: parameter, // per second
           startValue: this.getVariableValue(target),
-          lastUpdate: Date.now()
-        });
+          lastUpdate: now
+        };
         break;
         
       case 'LOCK_VALUE':
-        this.faultInjection.driftStates.set(target, {
+        driftState = {
           lockedValue: this.getVariableValue(target)
-        });
+        };
         break;
         
       case 'FORCE_IO_ERROR':
         // Set IO error bit for the target
-        const errorBitName = `${target}_ERROR`;
-        if (this.compiledProgram && this.compiledProgram.runtime.hasVar(errorBitName)) {
-          this.compiledProgram.runtime.setVarValue(errorBitName, true);
+        this.setErrorBit(target, true);
+        break;
+        
+      case 'GAUSSIAN_NOISE':
+      case 'QUANTIZATION':
+      case 'SPIKE':
+        driftState = { rng };
+        break;
+        
+      case 'STUCK_AT':
+        // Starts stuck
+        driftState = { rng, stuck: true, stuckValue: options.holdLast ? this.getVariableValue(target) : parameter };
+        driftState.nextSwitch = now + (options.stuckMs || 1000) * (0.5 + nextRandom(driftState));
+        break;
+        
+      case 'BIT_FLIP': {
+        const type = this.compiledProgram && this.compiledProgram.runtime.hasVar(target) ? this.compiledProgram.runtime.getVarType(target) : null;
+        if (type && type !== 'BOOL' && !INTEGER_WORDS[type]) {
+          throw new Error(`BIT_FLIP needs an integer or BOOL variable; ${target} is ${typeof type === 'string' ? type : type.kind}`);
         }
+        driftState = { rng, type, lastUpdate: now };
         break;
+      }
+        
+      case 'DELAYED_VALUE':
+        driftState = { samples: [] }; // [time, real value], oldest first
+        break;
+        
+      case 'STALE_VALUE':
+        driftState = { held: this.getVariableValue(target), nextUpdate: now + parameter };
+        break;
+        
+      case 'COMMS_LOSS': {
+        // The device's tags: listed, or named <target>_...
+        const runtime = this.compiledProgram ? this.compiledProgram.runtime : null;
+        const tags = options.tags || (runtime ? Object.keys(runtime.getVarsPlain()).filter(name => name.startsWith(`${target}_`) && name !== `${target}_ERROR`) : []);
+        if (tags.length === 0) {
+          throw new Error(`COMMS_LOSS on ${target}: no tags (give options.tags or name them ${target}_...)`);
+        }
+        driftState = { frozen: {} };
+        tags.forEach(tag => {
+          driftState.frozen[tag] = this.getVariableValue(tag);
+        });
+        this.setErrorBit(target, true);
+        break;
+      }
     }
     
+    this.faultInjection.activeFaults.set(fault.id, fault);
+    this.faultInjection.faultHistory.push(fault);
+    if (driftState) this.faultInjection.driftStates.set(fault.id, driftState);
+    
     this.addLog(`Fault injected: ${fault_type} on ${target} (duration: ${duration_ms}ms)`, 'warning');
     
     return {
@@ -750,35 +1730,79 @@ class SimulatorEngine {
     };
   }
 
+  /**
+   * Inject or clear a fault once the simulation clock has moved on by delayMs, so scheduled faults land on
+   * the same scan on every run with the virtual clock
+   * @param {Object} faultConfig - As for injectFault; only target is needed to clear
+   * @param {number} delayMs - Clock time from now
+   * @param {string} [action='inject'] - 'inject' or 'clear'
+   */
+  scheduleFault(faultConfig, delayMs, action = 'inject') {
+    if (action !== 'inject' && action !== 'clear') {
+      throw new Error(`Unknown fault action ${action} (expected 'inject' or 'clear')`);
+    }
+    if (action === 'inject' && !FAULT_TYPES[faultConfig.fault_type]) {
+      throw new Error(`Invalid fault_type. Must be one of: ${Object.keys(FAULT_TYPES).join(', ')}`);
+    }
+    
+    const entry = {
+      id: `scheduled_${Date.now()}_${++this.faultSeq}`,
+      runId: faultConfig.run_id || null,
+      at: this.clock.now() + delayMs,
+      action,
+      config: faultConfig
+    };
+    this.faultInjection.scheduled.push(entry);
+    this.faultInjection.scheduled.sort((a, b) => a.at - b.at);
+    this.addLog(`Fault ${action === 'inject' ? faultConfig.fault_type : 'clear'} on ${faultConfig.target} scheduled at ${entry.at}ms`, 'info');
+    return entry;
+  }
+
   /**
    * Apply active fault injections during each scan cycle
    */
   applyFaultInjections() {
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     
-    this.faultInjection.activeFaults.forEach((fault, target) => {
+    const scheduled = this.faultInjection.scheduled;
+    while (scheduled.length > 0 && scheduled[0].at <= currentTime) {
+      const { action, config } = scheduled.shift();
+      if (action === 'clear') this.removeFault(config.target);
+      else this.injectFault(config);
+    }
+    
+    this.faultInjection.activeFaults.forEach((fault, id) => {
       if (currentTime > fault.endTime) {
         // Fault duration expired
-        this.removeFault(target);
+        this.endFault(id, 'expired');
         return;
       }
       
-      if (!this.compiledProgram || !this.compiledProgram.runtime.hasVar(target)) {
+      if (!this.compiledProgram) return;
+      if (fault.type === 'COMMS_LOSS') {
+        // The target is a device, not a variable
+        this.applyCommsLoss(fault);
+        return;
+      }
+      if (!this.compiledProgram.runtime.hasVar(fault.target)) {
         return;
       }
       
       switch (fault.type) {
         case 'VALUE_DRIFT':
-          this.applyValueDrift(target, fault);
+          this.applyValueDrift(fault);
           break;
           
         case 'LOCK_VALUE':
-          this.applyValueLock(target, fault);
+          this.applyValueLock(fault);
           break;
           
         case 'FORCE_IO_ERROR':
           // IO error is persistent until fault expires
           break;
+          
+        default:
+          this.applyReadingFault(fault, currentTime);
       }
     });
   }
@@ -786,54 +1810,181 @@ class SimulatorEngine {
   /**
    * Apply value drift fault
    */
-  applyValueDrift(target, fault) {
-    const driftState = this.faultInjection.driftStates.get(target);
+  applyValueDrift(fault) {
+    const driftState = this.faultInjection.driftStates.get(fault.id);
     if (!driftState) return;
     
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     const timeDelta = (currentTime - driftState.lastUpdate) / 1000; // seconds
     
-    const currentValue = this.getVariableValue(target);
+    const currentValue = this.getVariableValue(fault.target);
     const driftAmount = fault.parameter * timeDelta;
     const newValue = currentValue + driftAmount;
     
-    this.compiledProgram.runtime.setVarValue(target, newValue);
+    this.compiledProgram.runtime.setVarValue(fault.target, newValue);
     
     driftState.lastUpdate = currentTime;
-    this.faultInjection.driftStates.set(target, driftState);
   }
 
   /**
    * Apply value lock fault
    */
-  applyValueLock(target, fault) {
-    const driftState = this.faultInjection.driftStates.get(target);
+  applyValueLock(fault) {
+    const driftState = this.faultInjection.driftStates.get(fault.id);
     if (!driftState) return;
     
     // Keep the value locked to the initial locked value
-    this.compiledProgram.runtime.setVarValue(target, driftState.lockedValue);
+    this.compiledProgram.runtime.setVarValue(fault.target, driftState.lockedValue);
   }
 
   /**
-   * Remove a fault
+   * Apply a fault that distorts a reading. The distorted value is computed from the real value (base), which is
+   * taken over again whenever something else (logic, process model, I/O write) has changed the variable since
+   * the fault last wrote it, so noise and spikes do not accumulate.
    */
-  removeFault(target) {
-    const fault = this.faultInjection.activeFaults.get(target);
-    if (fault) {
-      fault.active = false;
-      this.faultInjection.activeFaults.delete(target);
-      this.faultInjection.driftStates.delete(target);
-      
-      // Clear IO error bit if applicable
-      if (fault.type === 'FORCE_IO_ERROR') {
-        const errorBitName = `${target}_ERROR`;
-        if (this.compiledProgram && this.compiledProgram.runtime.hasVar(errorBitName)) {
-          this.compiledProgram.runtime.setVarValue(errorBitName, false);
+  applyReadingFault(fault, now) {
+    const runtime = this.compiledProgram.runtime;
+    const state = this.faultInjection.driftStates.get(fault.id);
+    if (!state) return;
+    
+    const current = runtime.getVarValue(fault.target);
+    if (!('written' in state) || current !== state.written) state.base = current;
+    const base = state.base;
+    const { parameter, options } = fault;
+    let value = base;
+    
+    switch (fault.type) {
+      case 'GAUSSIAN_NOISE':
+        value = base + parameter * nextGaussian(state);
+        break;
+        
+      case 'QUANTIZATION':
+        if (parameter > 0) value = Math.round(base / parameter) * parameter;
+        break;
+        
+      case 'SPIKE': {
+        // A spike lasts at least one scan
+        const width = Math.max(options.widthMs || 0, this.getScanInterval());
+        if ((now - fault.startTime) % (options.periodMs || 1000) < width) value = base + parameter;
+        break;
+      }
+        
+      case 'STUCK_AT':
+        while (now >= state.nextSwitch) {
+          state.stuck = !state.stuck;
+          if (state.stuck && options.holdLast) state.stuckValue = base;
+          state.nextSwitch += (state.stuck ? options.stuckMs || 1000 : options.freeMs || 1000) * (0.5 + nextRandom(state));
+        }
+        if (state.stuck) value = state.stuckValue;
+        break;
+        
+      case 'BIT_FLIP': {
+        // Each scan flips a bit with the probability that gives parameter flips per second
+        const probability = Math.min(1, parameter * (now - state.lastUpdate) / 1000);
+        state.lastUpdate = now;
+        if (nextRandom(state) < probability) {
+          value = this.flipRandomBit(base, state);
+          // Persistent flips corrupt the stored word until something overwrites it
+          if (options.persistent) state.base = value;
         }
+        break;
       }
-      
-      this.addLog(`Fault ${fault.type} on ${target} expired`, 'info');
+        
+      case 'DELAYED_VALUE':
+        state.samples.push([now, base]);
+        while (state.samples.length > 1 && state.samples[1][0] <= now - parameter) state.samples.shift();
+        value = state.samples[0][1];
+        break;
+        
+      case 'STALE_VALUE':
+        if (now >= state.nextUpdate) {
+          state.held = base;
+          state.nextUpdate = now + Math.max(parameter, this.getScanInterval());
+        }
+        value = state.held;
+        break;
     }
+    
+    runtime.setVarValue(fault.target, value);
+    state.written = runtime.getVarValue(fault.target);
+  }
+
+  /**
+   * Flip one random bit of an integer word, or toggle a BOOL
+   */
+  flipRandomBit(value, state) {
+    if (typeof value === 'boolean') return !value;
+    const [bits, signed] = INTEGER_WORDS[state.type] || [16, true];
+    const bit = Math.floor(nextRandom(state) * bits);
+    // In the unsigned domain of the word, so flipping the sign bit yields the negative value instead of an overflow
+    const range = 2 ** bits;
+    const unsigned = ((Math.trunc(value) % range) + range) % range;
+    const flipped = (unsigned ^ (1 << bit)) >>> 0;
+    return signed && flipped >= range / 2 ? flipped - range : flipped;
+  }
+
+  /**
+   * Hold every tag of a device that lost communication at its value when the fault started
+   */
+  applyCommsLoss(fault) {
+    const state = this.faultInjection.driftStates.get(fault.id);
+    if (!state) return;
+    const runtime = this.compiledProgram.runtime;
+    Object.entries(state.frozen).forEach(([tag, value]) => {
+      if (runtime.hasVar(tag)) runtime.setVarValue(tag, value);
+    });
+  }
+
+  setErrorBit(target, value) {
+    const errorBitName = `${target}_ERROR`;
+    if (this.compiledProgram && this.compiledProgram.runtime.hasVar(errorBitName)) {
+      this.compiledProgram.runtime.setVarValue(errorBitName, value);
+    }
+  }
+
+  /**
+   * Remove a fault, or every fault on a target
+   * @param {string} targetOrId - Fault id or tag name
+   * @returns {number} Number of faults removed
+   */
+  removeFault(targetOrId) {
+    const ids = this.faultInjection.activeFaults.has(targetOrId)
+      ? [targetOrId]
+      : Array.from(this.faultInjection.activeFaults.values()).filter(fault => fault.target === targetOrId).map(fault => fault.id);
+    ids.forEach(id => this.endFault(id, 'removed'));
+    return ids.length;
+  }
+
+  endFault(id, reason) {
+    const fault = this.faultInjection.activeFaults.get(id);
+    if (!fault) return;
+    
+    fault.active = false;
+    const state = this.faultInjection.driftStates.get(id);
+    this.faultInjection.activeFaults.delete(id);
+    this.faultInjection.driftStates.delete(id);
+    
+    // A distorted reading nobody has overwritten since goes back to its real value
+    const runtime = this.compiledProgram ? this.compiledProgram.runtime : null;
+    if (state && 'written' in state && runtime && runtime.hasVar(fault.target) && runtime.getVarValue(fault.target) === state.written) {
+      runtime.setVarValue(fault.target, state.base);
+    }
+    
+    // Clear IO error bit if applicable, unless another fault still holds it
+    const stillFailed = Array.from(this.faultInjection.activeFaults.values())
+      .some(other => other.target === fault.target && ERROR_BIT_FAULTS.includes(other.type));
+    if (ERROR_BIT_FAULTS.includes(fault.type) && !stillFailed) {
+      this.setErrorBit(fault.target, false);
+    }
+    
+    this.addLog(`Fault ${fault.type} on ${fault.target} ${reason}`, 'info');
+  }
+
+  /**
+   * Fault type catalogue
+   */
+  getFaultTypes() {
+    return Object.entries(FAULT_TYPES).map(([type, spec]) => ({ type, options: [], ...spec }));
   }
 
   /**
@@ -873,9 +2024,10 @@ class SimulatorEngine {
         enabled: this.hyperGranular.overflowModeling.enabled,
         exceptionCount: this.hyperGranular.overflowModeling.overflowExceptions.length
       },
-      activeFaults: Array.from(this.faultInjection.activeFaults.values())
+      activeFaults: Array.from(this.faultInjection.activeFaults.values()),
+      scheduledFaults: this.faultInjection.scheduled
     };
   }
 }
 
-module.exports = new SimulatorEngine();
\ No newline at end of file
+module.exports = SimulatorEngine;
\ No newline at end of file
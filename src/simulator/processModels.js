@@ -0,0 +1,262 @@
+// processModels.js
+// Plant blocks for the simulator's process simulation. A process model is a configured block wired to tags
+// (runtime variable names): { name, type, params }. Once per scan the engine calls block.step(dtMs, io), where
+// io.read(tag) returns the current tag value and io.write(tag, value) writes the block's outputs back.
+// Rates are per second, so behaviour does not depend on the scan time.
+
+// Parameter kinds: 'tag' (variable name), 'number', 'enum' (one of options)
+const BLOCK_TYPES = {
+  first_order_lag: {
+    description: 'Output approaches gain * input + bias with a first-order time constant (temperatures, pressures)',
+    params: {
+      input: { kind: 'tag', required: true },
+      output: { kind: 'tag', required: true },
+      gain: { kind: 'number', default: 1 },
+      bias: { kind: 'number', default: 0 },
+      timeConstantMs: { kind: 'number', default: 5000, min: 1 }
+    },
+    create: p => ({
+      step(dt, io) {
+        const y = toNumber(io.read(p.output));
+        const target = p.gain * toNumber(io.read(p.input)) + p.bias;
+        io.write(p.output, y + (target - y) * (1 - Math.exp(-dt / p.timeConstantMs)));
+      }
+    })
+  },
+
+  dead_time: {
+    description: 'Output repeats the input delayed by a fixed transport time',
+    params: {
+      input: { kind: 'tag', required: true },
+      output: { kind: 'tag', required: true },
+      delayMs: { kind: 'number', default: 1000, min: 0 }
+    },
+    create: p => {
+      const samples = []; // [elapsed, value], oldest first
+      let elapsed = 0;
+      return {
+        step(dt, io) {
+          elapsed += dt;
+          samples.push([elapsed, io.read(p.input)]);
+          // Keep the newest sample that is at least delayMs old; until there is one the output holds its value
+          while (samples.length > 1 && samples[1][0] <= elapsed - p.delayMs) samples.shift();
+          if (samples[0][0] <= elapsed - p.delayMs) io.write(p.output, samples[0][1]);
+        }
+      };
+    }
+  },
+
+  integrating_tank: {
+    description: 'Level integrates inflow minus outflow and a constant drain, clamped to min..max',
+    params: {
+      level: { kind: 'tag', required: true },
+      inflow: { kind: 'tag' }, // numeric flow or BOOL pump command (TRUE = 1)
+      outflow: { kind: 'tag' },
+      inflowRate: { kind: 'number', default: 1 }, // level units per second per unit of inflow
+      outflowRate: { kind: 'number', default: 1 },
+      drainRate: { kind: 'number', default: 0 }, // level units per second, always applied
+      min: { kind: 'number', default: 0 },
+      max: { kind: 'number', default: 100 }
+    },
+    create: p => ({
+      step(dt, io) {
+        const inflow = p.inflow ? toNumber(io.read(p.inflow)) * p.inflowRate : 0;
+        const outflow = p.outflow ? toNumber(io.read(p.outflow)) * p.outflowRate : 0;
+        const level = toNumber(io.read(p.level)) + (inflow - outflow - p.drainRate) * dt / 1000;
+        io.write(p.level, Math.max(p.min, Math.min(p.max, level)));
+      }
+    })
+  },
+
+  valve: {
+    description: 'Position travels towards the command (0..100 %, or BOOL open) at the stroke time; flow follows the characteristic',
+    params: {
+      command: { kind: 'tag', required: true },
+      position: { kind: 'tag', required: true },
+      flow: { kind: 'tag' },
+      openLimit: { kind: 'tag' }, // TRUE when fully open
+      closedLimit: { kind: 'tag' }, // TRUE when fully closed
+      strokeTimeMs: { kind: 'number', default: 5000, min: 1 }, // full travel 0..100 %
+      maxFlow: { kind: 'number', default: 100 },
+      characteristic: { kind: 'enum', options: ['linear', 'equal_percentage', 'quick_opening'], default: 'linear' },
+      rangeability: { kind: 'number', default: 50, min: 1 } // equal percentage only
+    },
+    create: p => ({
+      step(dt, io) {
+        const command = clamp(toPercent(io.read(p.command)));
+        const position = toNumber(io.read(p.position));
+        const travel = 100 * dt / p.strokeTimeMs;
+        const next = clamp(command > position ? Math.min(command, position + travel) : Math.max(command, position - travel));
+        io.write(p.position, next);
+        if (p.flow) io.write(p.flow, p.maxFlow * valveOpening(p, next / 100));
+        if (p.openLimit) io.write(p.openLimit, next >= 100);
+        if (p.closedLimit) io.write(p.closedLimit, next <= 0);
+      }
+    })
+  },
+
+  motor: {
+    description: 'Speed ramps towards the setpoint while the run command is on and back to zero when it is off',
+    params: {
+      run: { kind: 'tag', required: true },
+      speed: { kind: 'tag', required: true },
+      setpoint: { kind: 'tag' }, // % of maxSpeed; 100 % when not wired
+      running: { kind: 'tag' }, // TRUE while turning
+      atSpeed: { kind: 'tag' }, // TRUE within 1 % of the setpoint
+      maxSpeed: { kind: 'number', default: 1500, min: 0 },
+      rampUpMs: { kind: 'number', default: 2000, min: 1 }, // 0..maxSpeed
+      rampDownMs: { kind: 'number', default: 2000, min: 1 }
+    },
+    create: p => ({
+      step(dt, io) {
+        const run = toNumber(io.read(p.run)) !== 0;
+        const target = run ? p.maxSpeed * clamp(p.setpoint ? toNumber(io.read(p.setpoint)) : 100) / 100 : 0;
+        const speed = toNumber(io.read(p.speed));
+        const next = target > speed
+          ? Math.min(target, speed + p.maxSpeed * dt / p.rampUpMs)
+          : Math.max(target, speed - p.maxSpeed * dt / p.rampDownMs);
+        io.write(p.speed, next);
+        if (p.running) io.write(p.running, next > 0);
+        if (p.atSpeed) io.write(p.atSpeed, run && Math.abs(next - target) <= p.maxSpeed * 0.01);
+      }
+    })
+  },
+
+  conveyor: {
+    description: 'Belt carrying evenly spaced parts past a sensor to the discharge end while running',
+    params: {
+      run: { kind: 'tag', required: true },
+      speedInput: { kind: 'tag' }, // % of speed; 100 % when not wired
+      sensor: { kind: 'tag' }, // TRUE while a part is in front of the sensor
+      count: { kind: 'tag' }, // parts delivered at the discharge end
+      travel: { kind: 'tag' }, // belt travel in m
+      speed: { kind: 'number', default: 0.5, min: 0 }, // m/s
+      lengthM: { kind: 'number', default: 10, min: 0 },
+      partSpacingM: { kind: 'number', default: 2, min: 0.001 },
+      partLengthM: { kind: 'number', default: 0.3, min: 0 },
+      sensorPositionM: { kind: 'number' } // defaults to the discharge end
+    },
+    create: p => {
+      let travel = 0;
+      const sensorAt = p.sensorPositionM === undefined ? p.lengthM : p.sensorPositionM;
+      return {
+        step(dt, io) {
+          if (toNumber(io.read(p.run)) !== 0) {
+            const scale = p.speedInput ? clamp(toNumber(io.read(p.speedInput))) / 100 : 1;
+            travel += p.speed * scale * dt / 1000;
+          }
+          // Part k entered at travel k * spacing, so its leading edge is at travel - k * spacing
+          const past = travel - sensorAt;
+          if (p.sensor) io.write(p.sensor, past >= 0 && past % p.partSpacingM < p.partLengthM);
+          if (p.count) io.write(p.count, travel >= p.lengthM ? Math.floor((travel - p.lengthM) / p.partSpacingM) + 1 : 0);
+          if (p.travel) io.write(p.travel, travel);
+        }
+      };
+    }
+  }
+};
+
+// Used when a run has no configured models: the heater and tank the simulator has always modelled for logic
+// declaring these tags (rates match the former per-scan increments at the default 10 ms scan time)
+const DEFAULT_PROCESS_MODELS = [
+  {
+    name: 'Heater',
+    type: 'integrating_tank',
+    params: { level: 'Temperature_PV', inflow: 'Heater_Output', inflowRate: 0.3, drainRate: 5, min: 0, max: 150 }
+  },
+  {
+    name: 'Tank',
+    type: 'integrating_tank',
+    params: { level: 'Tank_Level', inflow: 'Pump_Run', inflowRate: 50, drainRate: 15, min: 0, max: 100 }
+  }
+];
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// BOOL commands mean fully open/closed
+function toPercent(value) {
+  return typeof value === 'boolean' ? (value ? 100 : 0) : toNumber(value);
+}
+
+function clamp(percent) {
+  return Math.max(0, Math.min(100, percent));
+}
+
+function valveOpening(p, x) {
+  if (x <= 0) return 0;
+  if (p.characteristic === 'equal_percentage') return Math.pow(p.rangeability, x - 1);
+  if (p.characteristic === 'quick_opening') return Math.sqrt(x);
+  return x;
+}
+
+/**
+ * Check a model's type and parameters and fill in defaults
+ * @returns {Object} Complete parameters
+ */
+function normalizeParams(type, params = {}) {
+  const spec = BLOCK_TYPES[type];
+  if (!spec) {
+    throw new Error(`Unknown process model type ${type} (expected ${Object.keys(BLOCK_TYPES).join(', ')})`);
+  }
+  for (const name of Object.keys(params)) {
+    if (!spec.params[name]) throw new Error(`${type} has no parameter ${name}`);
+  }
+
+  const normalized = {};
+  for (const [name, param] of Object.entries(spec.params)) {
+    const value = params[name];
+    if (value === undefined || value === null || value === '') {
+      if (param.required) throw new Error(`${type} requires parameter ${name}`);
+      if (param.default !== undefined) normalized[name] = param.default;
+      continue;
+    }
+    if (param.kind === 'tag') {
+      if (typeof value !== 'string') throw new Error(`${type} parameter ${name} must be a tag name`);
+      normalized[name] = value;
+    } else if (param.kind === 'enum') {
+      if (!param.options.includes(value)) throw new Error(`${type} parameter ${name} must be one of ${param.options.join(', ')}`);
+      normalized[name] = value;
+    } else {
+      const n = Number(value);
+      if (!Number.isFinite(n)) throw new Error(`${type} parameter ${name} must be a number`);
+      if (param.min !== undefined && n < param.min) throw new Error(`${type} parameter ${name} must be at least ${param.min}`);
+      normalized[name] = n;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Tags a model reads or writes
+ */
+function modelTags(model) {
+  const spec = BLOCK_TYPES[model.type];
+  return Object.entries(spec.params)
+    .filter(([name, param]) => param.kind === 'tag' && model.params[name])
+    .map(([name]) => model.params[name]);
+}
+
+/**
+ * Instantiate a block for a model ({ name, type, params })
+ */
+function createBlock(model) {
+  const params = normalizeParams(model.type, model.params);
+  return BLOCK_TYPES[model.type].create(params);
+}
+
+/**
+ * Block catalogue for clients: types, descriptions and parameters
+ */
+function describeBlockTypes() {
+  return Object.entries(BLOCK_TYPES).map(([type, spec]) => ({
+    type,
+    description: spec.description,
+    params: Object.entries(spec.params).map(([name, param]) => ({ name, ...param }))
+  }));
+}
+
+module.exports = { DEFAULT_PROCESS_MODELS, normalizeParams, modelTags, createBlock, describeBlockTypes };
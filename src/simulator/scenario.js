@@ -0,0 +1,230 @@
+// scenario.js
+// Fault scenarios: a timeline of steps keyed to simulated time, run by SimulatorEngine.runScenario on the virtual
+// clock so every run injects the same faults on the same scans. atMs is the time since the scenario started.
+//   { atMs, action: 'set', variable, value }                               write a variable (e.g. a setpoint change)
+//   { atMs, action: 'force', variable, value } / { action: 'unforce', variable }
+//   { atMs, action: 'fault', target, faultType, parameter, durationMs, options }  inject a fault
+//   { atMs, action: 'clear_fault', target }                                remove the faults on a target
+//   { atMs, action: 'assert', condition, withinMs, holdMs, message }       condition is an ST boolean expression that must
+//       be TRUE at atMs, at some point within withinMs after it, or throughout holdMs after it
+
+const STEP_ACTIONS = ['set', 'force', 'unforce', 'fault', 'clear_fault', 'assert'];
+
+/**
+ * Validate a scenario definition
+ * @returns {Object} { name, durationMs, steps } with steps in time order
+ */
+function normalizeScenario(scenario) {
+  if (!scenario || !Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    throw new Error('Scenario needs a non-empty steps array');
+  }
+
+  const steps = scenario.steps.map((step, index) => {
+    const where = `Step ${index + 1}`;
+    const atMs = Number(step.atMs === undefined ? 0 : step.atMs);
+    if (!(atMs >= 0)) throw new Error(`${where}: atMs must be a non-negative number`);
+    if (!STEP_ACTIONS.includes(step.action)) {
+      throw new Error(`${where}: unknown action ${step.action} (expected ${STEP_ACTIONS.join(', ')})`);
+    }
+
+    switch (step.action) {
+      case 'set':
+      case 'force':
+        if (!step.variable || step.value === undefined) throw new Error(`${where}: ${step.action} needs variable and value`);
+        break;
+      case 'unforce':
+        if (!step.variable) throw new Error(`${where}: unforce needs variable`);
+        break;
+      case 'fault':
+        if (!step.target || !step.faultType) throw new Error(`${where}: fault needs target and faultType`);
+        break;
+      case 'clear_fault':
+        if (!step.target) throw new Error(`${where}: clear_fault needs target`);
+        break;
+      case 'assert':
+        if (!step.condition) throw new Error(`${where}: assert needs a condition`);
+        if (step.withinMs !== undefined && step.holdMs !== undefined) throw new Error(`${where}: use withinMs or holdMs, not both`);
+        for (const key of ['withinMs', 'holdMs']) {
+          if (step[key] !== undefined && !(Number(step[key]) >= 0)) throw new Error(`${where}: ${key} must be a non-negative number`);
+        }
+        break;
+    }
+    return { ...step, index, atMs };
+  });
+  // Stable: steps at the same time run in the order given
+  steps.sort((a, b) => a.atMs - b.atMs || a.index - b.index);
+
+  const lastStep = Math.max(...steps.map(step => step.atMs + Number(step.withinMs || step.holdMs || 0)));
+  const durationMs = scenario.durationMs === undefined ? lastStep : Number(scenario.durationMs);
+  if (!(durationMs >= lastStep)) {
+    throw new Error(`durationMs must cover every step (at least ${lastStep})`);
+  }
+
+  return { name: scenario.name || 'Scenario', durationMs, steps };
+}
+
+/**
+ * One run of a scenario against an engine. The engine provides the scans and the actions; this tracks the
+ * timeline and the assertion windows and builds the report.
+ */
+class ScenarioRun {
+  constructor(engine, scenario, { maxScans }) {
+    this.engine = engine;
+    this.scenario = scenario;
+    this.maxScans = maxScans;
+    // Reported in the order the steps were given
+    this.results = [];
+    scenario.steps.forEach(step => {
+      this.results[step.index] = { step: step.index + 1, atMs: step.atMs, action: step.action, status: 'pending' };
+    });
+    this.open = []; // assertions with a window still running
+  }
+
+  elapsed() {
+    return this.engine.clock.now() - this.start;
+  }
+
+  run() {
+    const { engine, scenario } = this;
+    this.start = engine.clock.now();
+    const pending = scenario.steps.slice();
+    let scans = 0;
+    let aborted = null;
+
+    for (;;) {
+      const t = this.elapsed();
+      while (pending.length > 0 && pending[0].atMs <= t) this.execute(pending.shift(), t);
+      if (t >= scenario.durationMs && pending.length === 0 && this.open.length === 0) break;
+
+      if (scans >= this.maxScans) {
+        aborted = `Stopped after ${this.maxScans} scans`;
+        break;
+      }
+      engine.runScan();
+      scans++;
+      if (engine.state.pausedAt) {
+        const at = engine.state.pausedAt;
+        aborted = `Scan halted at ${at.line === null ? 'end of scan' : `line ${at.line}`} (${at.reason}); remove breakpoints and watchpoints to run scenarios`;
+        break;
+      }
+      this.checkOpen(this.elapsed());
+    }
+
+    if (aborted) {
+      this.results.filter(result => result.status === 'pending').forEach(result => {
+        result.status = 'skipped';
+      });
+    }
+
+    const assertions = this.results.filter(result => result.action === 'assert');
+    const failed = this.results.filter(result => result.status === 'failed' || result.status === 'error');
+    return {
+      name: scenario.name,
+      passed: !aborted && failed.length === 0,
+      aborted,
+      startTime: this.start,
+      durationMs: this.elapsed(),
+      scans,
+      summary: {
+        steps: this.results.length,
+        assertions: assertions.length,
+        passed: assertions.filter(result => result.status === 'passed').length,
+        failed: failed.length,
+        skipped: this.results.filter(result => result.status === 'skipped').length
+      },
+      steps: this.results
+    };
+  }
+
+  execute(step, t) {
+    const { engine } = this;
+    const result = this.results[step.index];
+    result.executedAtMs = t;
+    try {
+      switch (step.action) {
+        case 'set':
+          engine.setVariable(step.variable, step.value);
+          result.status = 'done';
+          break;
+        case 'force':
+          engine.setForce(step.variable, step.value);
+          result.status = 'done';
+          break;
+        case 'unforce':
+          engine.removeForce(step.variable);
+          result.status = 'done';
+          break;
+        case 'fault':
+          result.faultId = engine.injectFault({
+            target: step.target,
+            fault_type: step.faultType,
+            parameter: step.parameter || 0,
+            duration_ms: step.durationMs || 60000,
+            options: step.options || {},
+            run_id: step.runId || null
+          }).faultId;
+          result.status = 'done';
+          break;
+        case 'clear_fault':
+          result.removed = engine.removeFault(step.target);
+          result.status = 'done';
+          break;
+        case 'assert':
+          result.condition = step.condition;
+          if (step.message) result.message = step.message;
+          this.startAssertion(step, result, t);
+          break;
+      }
+    } catch (error) {
+      result.status = 'error';
+      result.error = error.message;
+    }
+  }
+
+  startAssertion(step, result, t) {
+    const value = this.evaluate(step.condition);
+    if (step.withinMs !== undefined) {
+      if (value) return this.settle(result, 'passed', t);
+      result.withinMs = Number(step.withinMs);
+      this.open.push({ step, result, until: step.atMs + result.withinMs, mode: 'within' });
+    } else if (step.holdMs !== undefined) {
+      if (!value) return this.settle(result, 'failed', t);
+      result.holdMs = Number(step.holdMs);
+      this.open.push({ step, result, until: step.atMs + result.holdMs, mode: 'hold' });
+    } else {
+      this.settle(result, value ? 'passed' : 'failed', t);
+    }
+  }
+
+  // Assertions with a window are checked after every scan
+  checkOpen(t) {
+    this.open = this.open.filter(({ step, result, until, mode }) => {
+      let value;
+      try {
+        value = this.evaluate(step.condition);
+      } catch (error) {
+        result.status = 'error';
+        result.error = error.message;
+        return false;
+      }
+      if (mode === 'within' && value) return !this.settle(result, 'passed', t);
+      if (mode === 'hold' && !value) return !this.settle(result, 'failed', t);
+      if (t >= until) return !this.settle(result, mode === 'within' ? 'failed' : 'passed', t);
+      return true;
+    });
+  }
+
+  settle(result, status, t) {
+    result.status = status;
+    result.settledAtMs = t;
+    // The I/O image at the failure, for the report
+    if (status === 'failed') result.values = { ...this.engine.state.ioValues };
+    return true;
+  }
+
+  evaluate(condition) {
+    return Boolean(this.engine.compiledProgram.runtime.evaluate(condition));
+  }
+}
+
+module.exports = { normalizeScenario, ScenarioRun };
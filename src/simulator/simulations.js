@@ -0,0 +1,108 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const SimulatorEngine = require('./engine');
+
+// Simulator instances that may exist at once; each holds a compiled runtime, trace and logs
+const MAX_SIMULATIONS = 20;
+// Instance used by clients that do not name one
+const DEFAULT_SIMULATION_ID = 'default';
+
+/**
+ * Registry of simulation instances. Every instance has its own SimulatorEngine, so runtime state,
+ * breakpoints, faults and logs of one simulation never affect another.
+ * Emits 'change' (simulation, event) for the variable change events of every engine (see SimulatorEngine.publishChanges).
+ */
+class SimulationRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.simulations = new Map(); // id -> { id, projectId, name, createdAt, engine, forward }
+    // Engines only work out change events while something listens for them here
+    this.forwarding = false;
+    this.on('newListener', event => {
+      if (event !== 'change' || this.forwarding) return;
+      this.forwarding = true;
+      this.simulations.forEach(simulation => simulation.engine.on('change', simulation.forward));
+    });
+    this.on('removeListener', event => {
+      if (event !== 'change' || this.listenerCount('change') > 0) return;
+      this.forwarding = false;
+      this.simulations.forEach(simulation => simulation.engine.off('change', simulation.forward));
+    });
+  }
+
+  /**
+   * Create a simulation instance
+   * @param {Object} options - { projectId, name }; an instance bound to a project only runs that project's logic
+   */
+  create({ projectId = null, name = null } = {}, id = uuidv4()) {
+    if (this.simulations.size >= MAX_SIMULATIONS) {
+      throw new Error(`Too many simulations (max ${MAX_SIMULATIONS}); destroy one first`);
+    }
+    
+    const simulation = {
+      id,
+      projectId,
+      name: name || (projectId ? `Project ${projectId}` : id),
+      createdAt: new Date().toISOString(),
+      engine: new SimulatorEngine()
+    };
+    simulation.forward = event => this.emit('change', simulation, event);
+    if (this.forwarding) simulation.engine.on('change', simulation.forward);
+    this.simulations.set(id, simulation);
+    return simulation;
+  }
+
+  /**
+   * @returns {Object|null} The simulation with this id
+   */
+  get(id) {
+    return this.simulations.get(id) || null;
+  }
+
+  /**
+   * The shared instance for requests without a simulation id, created on first use
+   */
+  getDefault() {
+    return this.get(DEFAULT_SIMULATION_ID) || this.create({ name: 'Default' }, DEFAULT_SIMULATION_ID);
+  }
+
+  /**
+   * Simulations, optionally only those of a project
+   */
+  list({ projectId } = {}) {
+    return Array.from(this.simulations.values())
+      .filter(simulation => !projectId || simulation.projectId === projectId || simulation.engine.state.projectId === projectId);
+  }
+
+  /**
+   * Stop a simulation and release its runtime
+   * @returns {boolean} Whether it existed
+   */
+  destroy(id) {
+    const simulation = this.get(id);
+    if (!simulation) return false;
+    simulation.engine.dispose();
+    simulation.engine.off('change', simulation.forward);
+    this.simulations.delete(id);
+    return true;
+  }
+
+  /**
+   * Summary of a simulation for API responses
+   */
+  describe(simulation) {
+    const { engine } = simulation;
+    return {
+      id: simulation.id,
+      projectId: simulation.projectId,
+      name: simulation.name,
+      createdAt: simulation.createdAt,
+      runningProjectId: engine.state.projectId,
+      isRunning: engine.state.isRunning,
+      isPaused: engine.state.isPaused,
+      cycleCount: engine.compiledProgram ? engine.compiledProgram.runtime.cycleCount : 0
+    };
+  }
+}
+
+module.exports = new SimulationRegistry();
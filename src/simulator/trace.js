@@ -0,0 +1,258 @@
+// trace.js
+// Per-cycle execution trace of the simulator. The traced state is a set of sections ({ vars, ... }), each a flat map
+// of key -> value. An entry holds only the keys that changed since the previous cycle (delta encoding). The newest
+// maxCycles entries stay in memory; older ones are dropped, or spilled to SQLite when a store is given.
+// The state after any retained cycle can be reconstructed, which is what the simulator rewinds to.
+
+// Every Nth spilled entry also carries the full state, so reconstruction reads a bounded number of rows
+const KEYFRAME_INTERVAL = 500;
+// Spilled entries are written in batches
+const SPILL_BATCH = 200;
+
+function cloneState(sections) {
+  return JSON.parse(JSON.stringify(sections));
+}
+
+function applyDelta(sections, delta) {
+  for (const [name, change] of Object.entries(delta)) {
+    const section = sections[name] || (sections[name] = {});
+    Object.assign(section, change.set);
+    for (const key of change.removed || []) delete section[key];
+  }
+}
+
+class TraceRecorder {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxCycles=10000] - Entries kept in memory
+   * @param {Object} [options.store] - TraceModel that receives entries evicted from memory; they are dropped without one
+   * @param {string} [options.runId] - Identifies this recording in the store
+   * @param {Function} [options.onError] - Receives errors of the asynchronous store writes
+   */
+  constructor({ maxCycles = 10000, store = null, runId = null, onError = () => {} } = {}) {
+    const max = Number(maxCycles);
+    if (!Number.isInteger(max) || max < 1) {
+      throw new Error('trace maxCycles must be a positive integer');
+    }
+    this.maxCycles = max;
+    this.store = store;
+    this.runId = runId;
+    this.onError = onError;
+    this.entries = [];
+    this.head = 0; // entries before head have been evicted
+    this.base = null; // state after the cycle preceding the first retained entry
+    this.last = {}; // section -> key -> JSON of the most recent value, for change detection
+    this.counts = {}; // section -> number of keys in last
+    this.pending = []; // evicted entries not yet written to the store
+    this.spilled = 0;
+    this.firstSpilledCycle = null;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Start recording from a known state (the cycle before the first recorded one)
+   */
+  start(cycle, time, sections) {
+    this.entries = [];
+    this.head = 0;
+    this.base = { cycle, time, sections: cloneState(sections) };
+    this.last = this.encode(sections);
+  }
+
+  // JSON of every value, the baseline for change detection
+  encode(sections) {
+    const encoded = {};
+    this.counts = {};
+    for (const [name, values] of Object.entries(sections)) {
+      encoded[name] = {};
+      for (const [key, value] of Object.entries(values)) encoded[name][key] = JSON.stringify(value);
+      this.counts[name] = Object.keys(values).length;
+    }
+    return encoded;
+  }
+
+  /**
+   * Record the state after a cycle as the changes since the previous one
+   */
+  record(cycle, time, sections) {
+    const delta = {};
+    for (const [name, values] of Object.entries(sections)) {
+      const previous = this.last[name] || (this.last[name] = {});
+      let set = null;
+      let count = 0;
+      let added = 0;
+      for (const key in values) {
+        const value = values[key];
+        const json = JSON.stringify(value);
+        const before = previous[key];
+        count++;
+        if (before === json) continue;
+        if (before === undefined) added++;
+        previous[key] = json;
+        // Values are live runtime objects, so objects are stored as copies
+        (set || (set = {}))[key] = value !== null && typeof value === 'object' ? JSON.parse(json) : value;
+      }
+      // Keys only disappear when a section shrinks, e.g. standard FB state dropped by a reset
+      let removed = null;
+      if (count < (this.counts[name] || 0) + added) {
+        removed = Object.keys(previous).filter(key => !(key in values));
+        for (const key of removed) delete previous[key];
+      }
+      this.counts[name] = count;
+      if (set || removed) delta[name] = removed ? { set: set || {}, removed } : { set };
+    }
+
+    this.entries.push({ cycle, time, delta });
+    if (this.entries.length - this.head > this.maxCycles) this.evict();
+  }
+
+  evict() {
+    const entry = this.entries[this.head++];
+    if (this.store && this.firstSpilledCycle === null) {
+      // The state the recording started from becomes the first stored keyframe
+      this.pending.push({ cycle: this.base.cycle, time: this.base.time, delta: {}, keyframe: cloneState(this.base.sections) });
+      this.firstSpilledCycle = this.base.cycle;
+      this.spilled++;
+    }
+    applyDelta(this.base.sections, entry.delta);
+    this.base.cycle = entry.cycle;
+    this.base.time = entry.time;
+
+    // Compact once the evicted prefix is as long as the buffer itself
+    if (this.head >= this.maxCycles) {
+      this.entries = this.entries.slice(this.head);
+      this.head = 0;
+    }
+
+    if (!this.store) return;
+    const keyframe = this.spilled % KEYFRAME_INTERVAL === 0 ? cloneState(this.base.sections) : null;
+    this.pending.push({ ...entry, keyframe });
+    this.spilled++;
+    if (this.pending.length >= SPILL_BATCH) this.flush();
+  }
+
+  /**
+   * Write evicted entries to the store; resolves once every write issued so far has finished
+   */
+  flush() {
+    if (this.pending.length) {
+      const batch = this.pending;
+      this.pending = [];
+      this.writes = this.writes
+        .then(() => this.store.insertEntries(this.runId, batch))
+        .catch(error => this.onError(error));
+    }
+    return this.writes;
+  }
+
+  retained() {
+    return this.entries.slice(this.head);
+  }
+
+  /**
+   * Cycles that can be queried and reconstructed
+   */
+  getRange() {
+    const retained = this.retained();
+    const lastCycle = retained.length ? retained[retained.length - 1].cycle : this.base.cycle;
+    return {
+      firstCycle: this.firstSpilledCycle !== null ? this.firstSpilledCycle : this.base.cycle,
+      lastCycle,
+      inMemoryFrom: this.base.cycle,
+      inMemory: retained.length,
+      spilled: this.spilled,
+      maxCycles: this.maxCycles
+    };
+  }
+
+  /**
+   * Entries in cycle order within an optional cycle and time range
+   * @param {Object} range - { fromCycle, toCycle, fromTime, toTime, limit }
+   */
+  async query({ fromCycle, toCycle, fromTime, toTime, limit } = {}) {
+    const inRange = entry =>
+      (fromCycle === undefined || entry.cycle >= fromCycle) &&
+      (toCycle === undefined || entry.cycle <= toCycle) &&
+      (fromTime === undefined || entry.time >= fromTime) &&
+      (toTime === undefined || entry.time <= toTime);
+
+    let entries = [];
+    if (this.store && this.firstSpilledCycle !== null && (fromCycle === undefined || fromCycle <= this.base.cycle)) {
+      await this.flush();
+      entries = await this.store.getEntries(this.runId, { fromCycle, toCycle, fromTime, toTime, limit });
+    }
+    for (const entry of this.retained()) {
+      if (limit !== undefined && entries.length >= limit) break;
+      if (inRange(entry)) entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * Reconstruct the state after a cycle
+   * @returns {Promise<Object>} { cycle, time, sections }
+   */
+  async stateAt(cycle) {
+    const range = this.getRange();
+    if (!Number.isInteger(cycle) || cycle < range.firstCycle || cycle > range.lastCycle) {
+      throw new Error(`Cycle ${cycle} is not in the trace (recorded cycles ${range.firstCycle}..${range.lastCycle})`);
+    }
+
+    let state;
+    if (cycle >= this.base.cycle) {
+      state = { cycle: this.base.cycle, time: this.base.time, sections: cloneState(this.base.sections) };
+    } else {
+      // Spilled: start from the nearest stored keyframe
+      await this.flush();
+      const keyframe = await this.store.getKeyframe(this.runId, cycle);
+      if (!keyframe) throw new Error(`No stored keyframe at or before cycle ${cycle}`);
+      state = keyframe;
+      const rows = await this.store.getEntries(this.runId, { fromCycle: keyframe.cycle + 1, toCycle: cycle });
+      for (const row of rows) applyDelta(state.sections, row.delta);
+      if (rows.length) state.time = rows[rows.length - 1].time;
+      state.cycle = cycle;
+      return state;
+    }
+
+    for (const entry of this.retained()) {
+      if (entry.cycle > cycle) break;
+      applyDelta(state.sections, entry.delta);
+      state.time = entry.time;
+    }
+    state.cycle = cycle;
+    return state;
+  }
+
+  /**
+   * Forget everything recorded after a cycle and continue recording from the given state at that cycle
+   * (the state a rewind restored). Stored entries after the cycle are deleted.
+   */
+  async truncate(cycle, time, sections) {
+    const retained = this.retained().filter(entry => entry.cycle <= cycle);
+    if (cycle < this.base.cycle) {
+      // Rewound into the spilled part: memory holds nothing older than the new starting point
+      await this.flush();
+      await this.store.deleteRun(this.runId, cycle);
+      this.entries = [];
+      this.head = 0;
+      this.base = { cycle, time, sections: cloneState(sections) };
+      this.spilled = 0; // the next spilled entry is a keyframe
+    } else {
+      this.entries = retained;
+      this.head = 0;
+    }
+    this.last = this.encode(sections);
+  }
+
+  /**
+   * Drop the stored entries of this recording
+   */
+  async discard() {
+    this.pending = [];
+    if (!this.store || this.firstSpilledCycle === null) return;
+    await this.writes;
+    await this.store.deleteRun(this.runId);
+  }
+}
+
+module.exports = { TraceRecorder };
@@ -13,7 +13,8 @@ const ST_KEYWORDS = [
 
 const ST_TYPES = [
   'BOOL', 'INT', 'DINT', 'REAL', 'LREAL', 'STRING', 'TIME', 'DATE', 'TOD', 'DT',
-  'SINT', 'USINT', 'UINT', 'UDINT', 'LINT', 'ULINT', 'BYTE', 'WORD', 'DWORD', 'LWORD'
+  'SINT', 'USINT', 'UINT', 'UDINT', 'LINT', 'ULINT', 'BYTE', 'WORD', 'DWORD', 'LWORD',
+  'WSTRING', 'LTIME', 'TIME_OF_DAY', 'DATE_AND_TIME'
 ];
 
 const VENDOR_SPECIFIC_RULES = {
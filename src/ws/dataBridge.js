@@ -0,0 +1,189 @@
+// src/ws/dataBridge.js
+// Plain WebSocket channel for the data bridge (pandaura-data-bridge) and other clients that do not speak socket.io,
+// on /ws/simulator, /ws/data-bridge and /ws. Messages are JSON objects with a type:
+//   client -> server  { type: 'register', service, capabilities, simulationId }
+//                     { type: 'subscribe', variable } or { type: 'subscribe', variables: [...] }   '*' = every variable
+//                     { type: 'unsubscribe', variable } or { type: 'unsubscribe', variables: [...] }
+//   server -> client  { type: 'registered', clientId, simulationId }
+//                     { type: 'subscribed', variables, unknown } / { type: 'unsubscribed', variables }
+//                     { type: 'variableUpdate', variable, value, timestamp }      one subscribed variable changed
+//                     { type: 'bulkUpdate', variables: [{ name, value }], timestamp }  several changed in one sample
+//                     { type: 'systemStatus', status, timestamp }   on connect and when the simulation starts, stops or pauses
+//                     { type: 'error', error }
+// The simulation is chosen by ?simulationId= on the URL or in register, else the default one. Its values are sampled
+// every publishInterval ms and a client only receives subscribed variables whose value changed since it last got
+// them; a new subscription gets the current value with the next sample.
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const simulations = require('../simulator/simulations');
+
+const PATHS = ['/ws/simulator', '/ws/data-bridge', '/ws'];
+const PUBLISH_INTERVAL = 100; // ms
+
+function send(client, message) {
+  if (client.ws.readyState === WebSocket.OPEN) client.ws.send(JSON.stringify(message));
+}
+
+function namesOf(data) {
+  const names = Array.isArray(data.variables) ? data.variables : data.variable !== undefined ? [data.variable] : [];
+  return names.map(String);
+}
+
+function resolveSimulation(client) {
+  return client.simulationId ? simulations.get(client.simulationId) : simulations.getDefault();
+}
+
+function describeStatus(client, simulation) {
+  if (!simulation) return { simulationId: client.simulationId, available: false };
+  const { state } = simulation.engine;
+  return {
+    simulationId: simulation.id,
+    projectId: state.projectId,
+    available: true,
+    isRunning: state.isRunning,
+    isPaused: state.isPaused,
+    halted: Boolean(state.pausedAt)
+  };
+}
+
+function setupDataBridgeSocket(server, { publishInterval = PUBLISH_INTERVAL } = {}) {
+  const wss = new WebSocket.Server({ noServer: true });
+  const clients = new Set();
+  let timer = null;
+
+  // Status changes and changed subscribed values of every client's simulation
+  const publish = () => {
+    const timestamp = Date.now();
+    for (const client of clients) {
+      const simulation = resolveSimulation(client);
+      const status = describeStatus(client, simulation);
+      const statusKey = JSON.stringify(status);
+      if (statusKey !== client.statusKey) {
+        client.statusKey = statusKey;
+        send(client, { type: 'systemStatus', status, timestamp });
+      }
+      if (!simulation || (!client.all && client.subscriptions.size === 0)) continue;
+
+      const values = simulation.engine.state.ioValues;
+      const changed = [];
+      for (const name of client.all ? Object.keys(values) : client.subscriptions) {
+        if (!(name in values)) continue;
+        const json = JSON.stringify(values[name]);
+        if (client.sent.get(name) === json) continue;
+        client.sent.set(name, json);
+        changed.push({ name, value: values[name] });
+      }
+      if (changed.length === 1) {
+        send(client, { type: 'variableUpdate', variable: changed[0].name, value: changed[0].value, timestamp });
+      } else if (changed.length > 1) {
+        send(client, { type: 'bulkUpdate', variables: changed, timestamp });
+      }
+    }
+  };
+
+  const handleMessage = (client, data) => {
+    switch (data.type) {
+      case 'register':
+        client.service = data.service || null;
+        client.capabilities = Array.isArray(data.capabilities) ? data.capabilities : [];
+        if (data.simulationId !== undefined && data.simulationId !== client.simulationId) {
+          client.simulationId = data.simulationId || null;
+          client.sent.clear();
+          client.statusKey = null;
+        }
+        console.log(`data bridge client ${client.id} registered as ${client.service || 'unknown service'}`);
+        send(client, { type: 'registered', clientId: client.id, simulationId: client.simulationId || resolveSimulation(client).id });
+        break;
+
+      case 'subscribe': {
+        const names = namesOf(data);
+        if (names.length === 0) return send(client, { type: 'error', error: 'subscribe needs variable or variables' });
+        for (const name of names) {
+          if (name === '*') client.all = true;
+          else client.subscriptions.add(name);
+          client.sent.delete(name);
+        }
+        if (client.all) client.sent.clear();
+        const simulation = resolveSimulation(client);
+        const values = simulation ? simulation.engine.state.ioValues : {};
+        // Kept anyway: the variable may appear once logic declaring it is started
+        const unknown = names.filter(name => name !== '*' && !(name in values));
+        send(client, { type: 'subscribed', variables: names, unknown, timestamp: Date.now() });
+        break;
+      }
+
+      case 'unsubscribe': {
+        const names = namesOf(data);
+        for (const name of names) {
+          if (name === '*') client.all = false;
+          else client.subscriptions.delete(name);
+        }
+        // A variable subscribed again later gets its current value again
+        for (const name of client.sent.keys()) {
+          if (!client.all && !client.subscriptions.has(name)) client.sent.delete(name);
+        }
+        send(client, { type: 'unsubscribed', variables: names, timestamp: Date.now() });
+        break;
+      }
+
+      default:
+        send(client, { type: 'error', error: `Unknown message type ${data.type}` });
+    }
+  };
+
+  wss.on('connection', (ws, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const client = {
+      id: uuidv4(),
+      ws,
+      simulationId: url.searchParams.get('simulationId') || null,
+      service: null,
+      capabilities: [],
+      subscriptions: new Set(),
+      all: false,
+      sent: new Map(), // variable -> JSON of the value last sent
+      statusKey: null
+    };
+    clients.add(client);
+    console.log('data bridge ws connected', client.id, url.pathname);
+
+    ws.on('message', message => {
+      let data;
+      try {
+        data = JSON.parse(message);
+      } catch (error) {
+        return send(client, { type: 'error', error: 'Messages must be JSON' });
+      }
+      if (!data || typeof data !== 'object') return send(client, { type: 'error', error: 'Messages must be JSON objects' });
+      handleMessage(client, data);
+    });
+
+    ws.on('close', () => {
+      clients.delete(client);
+      console.log('data bridge ws disconnected', client.id);
+      if (clients.size === 0 && timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    });
+
+    if (!timer) timer = setInterval(publish, publishInterval);
+    publish();
+  });
+
+  // socket.io keeps its own /socket.io/ path; other upgrade requests are left to it
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (!PATHS.includes(pathname)) return;
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+  });
+
+  wss.on('close', () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  });
+
+  return wss;
+}
+
+module.exports = { setupDataBridgeSocket };
@@ -1,12 +1,128 @@
 // src/ws/socket.js
 const { Server } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
+const simulations = require('../simulator/simulations');
+
+// Change-driven variable push. A client joins the room of a simulation or of a project (every simulation running
+// the project's logic) with subscribe_variables and then receives variables_changed events
+// { simulationId, projectId, cycle, time, timestamp, changes: [{ name, value, previous }] }, limited to the
+// variables it subscribed to. Deadband and publish intervals are set per simulation (PUT /api/simulate/publish).
+const simulationRoom = id => `simulation:${id}`;
+const projectRoom = id => `project:${id}`;
 
 let io;
+// Sockets with at least one variable subscription; change events are only listened to while there are any
+const subscribers = new Set();
+
+function onVariableChange(simulation, event) {
+  const projectId = simulation.engine.state.projectId || simulation.projectId;
+  const rooms = [simulationRoom(simulation.id)];
+  if (projectId) rooms.push(projectRoom(projectId));
+
+  const members = new Set();
+  rooms.forEach(room => (io.sockets.adapter.rooms.get(room) || []).forEach(id => members.add(id)));
+  members.forEach(id => {
+    const socket = io.sockets.sockets.get(id);
+    if (!socket) return;
+    // Variables wanted through any of the rooms; null = all of them
+    let wanted = new Set();
+    for (const room of rooms) {
+      if (!socket.data.subscriptions.has(room)) continue;
+      const variables = socket.data.subscriptions.get(room);
+      if (variables === null) {
+        wanted = null;
+        break;
+      }
+      variables.forEach(name => wanted.add(name));
+    }
+    const changes = wanted ? event.changes.filter(change => wanted.has(change.name)) : event.changes;
+    if (changes.length === 0) return;
+    socket.emit('variables_changed', {
+      simulationId: simulation.id,
+      projectId,
+      cycle: event.cycle,
+      time: event.time,
+      timestamp: event.timestamp,
+      changes
+    });
+  });
+}
+
+function updateSubscriber(socket) {
+  if (socket.data.subscriptions.size > 0) {
+    subscribers.add(socket.id);
+    if (!simulations.listeners('change').includes(onVariableChange)) simulations.on('change', onVariableChange);
+  } else {
+    subscribers.delete(socket.id);
+    if (subscribers.size === 0) simulations.off('change', onVariableChange);
+  }
+}
+
+function filterValues(values, variables) {
+  if (!variables) return { ...values };
+  const filtered = {};
+  variables.forEach(name => {
+    if (name in values) filtered[name] = values[name];
+  });
+  return filtered;
+}
+
 function setupSocket(server) {
   io = new Server(server, { cors: { origin: '*' }});
   io.on('connection', socket => {
     console.log('ws connected', socket.id);
+    socket.data.subscriptions = new Map(); // room -> Set of variable names, null for all
+
+    // { simulationId } (the default simulation when neither is given) or { projectId }, and optionally
+    // variables: [names]; subscribing to a room again replaces its variable list. The ack carries the current values.
+    socket.on('subscribe_variables', (data, ack) => {
+      // emit('subscribe_variables', ack) without a payload
+      if (typeof data === 'function') [data, ack] = [undefined, data];
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (data !== undefined && (!data || typeof data !== 'object')) {
+        return reply({ success: false, error: 'subscribe_variables expects an object' });
+      }
+      data = data || {};
+      let room;
+      let current;
+      const variables = Array.isArray(data.variables) ? new Set(data.variables.map(String)) : null;
+      if (data.projectId) {
+        room = projectRoom(data.projectId);
+        current = simulations.list({ projectId: data.projectId });
+      } else {
+        const simulation = data.simulationId ? simulations.get(data.simulationId) : simulations.getDefault();
+        if (!simulation) return reply({ success: false, error: `Simulation ${data.simulationId} not found` });
+        room = simulationRoom(simulation.id);
+        current = [simulation];
+      }
+
+      socket.join(room);
+      socket.data.subscriptions.set(room, variables);
+      updateSubscriber(socket);
+      reply({
+        success: true,
+        room,
+        current: current.map(simulation => ({
+          simulationId: simulation.id,
+          values: filterValues(simulation.engine.state.ioValues, variables)
+        }))
+      });
+    });
+
+    socket.on('unsubscribe_variables', (data, ack) => {
+      // emit('unsubscribe_variables', ack) without a payload
+      if (typeof data === 'function') [data, ack] = [undefined, data];
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (data !== undefined && (!data || typeof data !== 'object')) {
+        return reply({ success: false, error: 'unsubscribe_variables expects an object' });
+      }
+      data = data || {};
+      const room = data.projectId ? projectRoom(data.projectId) : simulationRoom(data.simulationId || simulations.getDefault().id);
+      socket.leave(room);
+      socket.data.subscriptions.delete(room);
+      updateSubscriber(socket);
+      reply({ success: true, room });
+    });
 
     socket.on('connect_client', (data)=> {
       console.log('client connect payload', data);
@@ -36,7 +152,11 @@ function setupSocket(server) {
       socket.broadcast.emit('logic_push_request', payload);
     });
 
-    socket.on('disconnect', ()=> console.log('ws disconnected', socket.id));
+    socket.on('disconnect', ()=> {
+      socket.data.subscriptions.clear();
+      updateSubscriber(socket);
+      console.log('ws disconnected', socket.id);
+    });
   });
 }
 